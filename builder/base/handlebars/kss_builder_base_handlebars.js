@@ -10,7 +10,7 @@
  */
 
 const KssBuilderBase = require('../kss_builder_base.js'),
-  marked = require('marked'),
+  KssSection = require('../../../lib/kss_section.js'),
   path = require('path'),
   Promise = require('bluebird');
 
@@ -60,11 +60,23 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
         describe: 'Placeholder text to use for modifier classes',
         default: '[modifier class]'
       },
+      'max-combinations': {
+        group: 'Style guide:',
+        multiple: false,
+        describe: 'Limit the modifier combinations shown for each section',
+        default: 24
+      },
       'nav-depth': {
         group: 'Style guide:',
         multiple: false,
         describe: 'Limit the navigation to the depth specified',
         default: 3
+      },
+      'nav-hide': {
+        group: 'Style guide:',
+        string: true,
+        choices: KssSection.statuses(),
+        describe: 'Hide the sections with the given status from the navigation'
       }
     });
   }
@@ -85,6 +97,31 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       // Store the global Handlebars object.
       this.Handlebars = require('handlebars');
 
+      // Add the helpers generating fake data, e.g. {{fakeName}} and
+      // {{fakeImage 320 200}}. Used as a block, {{#fakeList 3 "name"}}
+      // renders its contents for each item of the list.
+      let fakeData = this.fakeData,
+        Handlebars = this.Handlebars;
+      ['number', 'name', 'sentence', 'paragraph', 'date', 'image', 'list'].forEach(type => {
+        this.Handlebars.registerHelper('fake' + type.charAt(0).toUpperCase() + type.slice(1), function() {
+          // The last argument is the Handlebars options object.
+          let options = arguments[arguments.length - 1],
+            value = fakeData[type].apply(fakeData, Array.prototype.slice.call(arguments, 0, -1));
+          if (type !== 'list' || !options.fn) {
+            return value;
+          }
+          let output = '';
+          for (let index = 0; index < value.length; index++) {
+            let data = Handlebars.createFrame(options.data);
+            data.index = index;
+            data.first = index === 0;
+            data.last = index === value.length - 1;
+            output += options.fn(value[index], {data: data});
+          }
+          return output;
+        });
+      });
+
       if (this.options.verbose) {
         this.log('');
         this.log('Building your KSS style guide!');
@@ -100,28 +137,32 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
 
       let prepTasks = [];
 
-      // Create a new destination directory.
-      prepTasks.push(
-        fs.mkdirsAsync(this.options.destination).then(() => {
-          // Optionally, copy the contents of the builder's "kss-assets" folder.
-          return fs.copyAsync(
-            path.join(this.options.builder, 'kss-assets'),
-            path.join(this.options.destination, 'kss-assets'),
-            {
-              clobber: true,
-              filter: filePath => {
-                // Only look at the part of the path inside the builder.
-                let relativePath = path.sep + path.relative(this.options.builder, filePath);
-                // Skip any files with a path matching: /node_modules or /.
-                return (new RegExp('^(?!.*\\' + path.sep + '(node_modules$|\\.))')).test(relativePath);
+      // The kss-assets are not needed when kss lint builds the style guide
+      // without saving it, or when kss serve provides them itself.
+      if (!this.options.serve && !this.options.lint) {
+        // Create a new destination directory.
+        prepTasks.push(
+          fs.mkdirsAsync(this.options.destination).then(() => {
+            // Optionally, copy the contents of the builder's "kss-assets" folder.
+            return fs.copyAsync(
+              path.join(this.options.builder, 'kss-assets'),
+              path.join(this.options.destination, 'kss-assets'),
+              {
+                clobber: true,
+                filter: filePath => {
+                  // Only look at the part of the path inside the builder.
+                  let relativePath = path.sep + path.relative(this.options.builder, filePath);
+                  // Skip any files with a path matching: /node_modules or /.
+                  return (new RegExp('^(?!.*\\' + path.sep + '(node_modules$|\\.))')).test(relativePath);
+                }
               }
-            }
-          ).catch(() => {
-            // If the builder does not have a kss-assets folder, ignore the error.
-            return Promise.resolve();
-          });
-        })
-      );
+            ).catch(() => {
+              // If the builder does not have a kss-assets folder, ignore the error.
+              return Promise.resolve();
+            });
+          })
+        );
+      }
 
       // Load modules that extend Handlebars.
       this.options.extend.forEach(directory => {
@@ -155,6 +196,17 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
    */
   build(styleGuide) {
     this.styleGuide = styleGuide;
+
+    // During a rebuild, we can re-use the partials of the previous build.
+    let previousPartials = this.partials || {},
+      templateFileNames = [];
+    for (let reference in previousPartials) {
+      // istanbul ignore else
+      if (previousPartials.hasOwnProperty(reference)) {
+        templateFileNames = templateFileNames.concat(previousPartials[reference].fileNames);
+      }
+    }
+    let changes = this.sortChangedFiles(styleGuide, templateFileNames);
     this.partials = {};
 
     // istanbul ignore else
@@ -162,11 +214,12 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       this.templates = {};
     }
 
-    let buildTasks = [];
+    // Generate the pseudo-class states of the CSS files, if requested.
+    let buildTasks = [this.buildPseudoStates()];
 
     // Compile the index.hbs Handlebars template.
     // istanbul ignore else
-    if (typeof this.templates.index === 'undefined' || /* istanbul ignore next */ typeof this.templates.section === 'undefined') {
+    if (typeof this.templates.index === 'undefined' || /* istanbul ignore next */ typeof this.templates.section === 'undefined' || /* istanbul ignore next */ typeof this.templates['status-report'] === 'undefined') {
       buildTasks.push(
         fs.readFileAsync(path.resolve(this.options.builder, 'index.hbs'), 'utf8').then(content => {
           // istanbul ignore else
@@ -177,6 +230,10 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
           if (typeof this.templates.section === 'undefined') {
             this.templates.section = this.Handlebars.compile(content);
           }
+          // istanbul ignore else
+          if (typeof this.templates['status-report'] === 'undefined') {
+            this.templates['status-report'] = this.Handlebars.compile(content);
+          }
           return Promise.resolve();
         })
       );
@@ -194,7 +251,8 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       this.log('...Determining section markup:');
     }
 
-    let sectionRoots = [];
+    let sectionRoots = [],
+      changedRoots = [];
 
     // Save the name of the partial and its context for retrieval in
     // buildPage(), where we only know the reference.
@@ -207,9 +265,15 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       }
       this.partials[partial.reference] = {
         name: partial.name,
+        reference: partial.reference,
         context: partial.context,
         exampleName: partial.exampleMarkup ? partial.exampleName : false,
-        exampleContext: partial.exampleContext
+        exampleContext: partial.exampleContext,
+        source: partial.source,
+        file: partial.file,
+        fileNames: partial.fileNames,
+        fixtures: partial.fixtures,
+        schema: partial.schema
       };
 
       return Promise.resolve();
@@ -223,112 +287,153 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
         sectionRoots.push(currentRoot);
       }
 
-      if (!section.markup()) {
-        return;
+      // Load the section's markup and the markup of each of its named
+      // examples, which are saved as "[reference] ([name])".
+      let markups = section.examples().map(example => {
+        return {reference: section.reference() + ' (' + example.name + ')', markup: example.markup, isExample: true};
+      });
+      if (section.markup()) {
+        markups.unshift({reference: section.reference(), markup: section.markup(), isExample: false});
       }
 
-      // Register all the markup blocks as Handlebars partials.
-      let partial = {
-        name: section.reference(),
-        reference: section.reference(),
-        file: '',
-        markup: section.markup(),
-        context: {},
-        exampleName: false,
-        exampleMarkup: '',
-        exampleContext: {}
-      };
-
-      // Check if the markup is a file path.
-      if (!partial.markup.match(/^[^\n]+\.(html|hbs)$/)) {
-        if (this.options.verbose) {
-          this.log(' - ' + partial.reference + ': inline markup');
+      for (let markup of markups) {
+        // During a rebuild, re-use the previous partial if its section's markup
+        // and its files are unchanged.
+        let previousPartial = previousPartials[markup.reference];
+        if (changes && !changes.unknown && previousPartial && previousPartial.source === markup.markup
+          && !previousPartial.fileNames.some(fileName => changes.fileNames.indexOf(fileName) !== -1)) {
+          if (previousPartial.file && !markup.isExample) {
+            section.custom('markupFile', previousPartial.source);
+          }
+          this.partials[markup.reference] = previousPartial;
+          continue;
         }
-        buildTasks.push(
-          savePartial(partial)
-        );
-      } else {
-        // Attempt to load the file path.
-        section.custom('markupFile', partial.markup);
-        partial.file = partial.markup;
-        partial.name = path.basename(partial.file, path.extname(partial.file));
-        partial.exampleName = 'kss-example-' + partial.name;
-
-        let findPartials = [],
-          matchFilename = path.basename(partial.file),
-          matchExampleFilename = 'kss-example-' + matchFilename;
-        this.options.source.forEach(source => {
-          findPartials.push(glob(source + '/**/' + partial.file));
-          findPartials.push(glob(source + '/**/' + matchExampleFilename));
-        });
-        buildTasks.push(
-          Promise.all(findPartials).then(globMatches => {
-            let foundPartial = false,
-              foundExample = false,
-              readPartials = [];
-            for (let files of globMatches) {
-              if (!foundPartial || !foundExample) {
-                for (let file of files) {
-                  // Read the partial from the first matched path.
-                  let filename = path.basename(file);
-                  if (!foundPartial && filename === matchFilename) {
-                    foundPartial = true;
-                    partial.file = file;
-                    readPartials.push(
-                      fs.readFileAsync(partial.file, 'utf8').then(contents => {
-                        partial.markup = contents;
-                        // Load sample context for the partial from the sample
-                        // .json file.
-                        try {
-                          partial.context = require(path.join(path.dirname(file), partial.name + '.json'));
-                        } catch (error) {
-                          partial.context = {};
-                        }
-                        return Promise.resolve();
-                      })
-                    );
-                  } else if (!foundExample && filename === matchExampleFilename) {
-                    foundExample = true;
-                    readPartials.push(
-                      fs.readFileAsync(file, 'utf8').then(contents => {
-                        partial.exampleMarkup = contents;
-                        // Load sample context for the partial from the sample
-                        // .json file.
-                        try {
-                          partial.exampleContext = require(path.join(path.dirname(file), partial.exampleName + '.json'));
-                        } catch (error) {
-                          // istanbul ignore next
-                          partial.exampleContext = {};
-                        }
-                        return Promise.resolve();
-                      })
-                    );
+        if (changedRoots.indexOf(currentRoot) === -1) {
+          changedRoots.push(currentRoot);
+        }
+
+        // Register all the markup blocks as Handlebars partials.
+        let partial = {
+          name: markup.reference,
+          reference: markup.reference,
+          source: markup.markup,
+          file: '',
+          fileNames: [],
+          markup: markup.markup,
+          context: {},
+          exampleName: false,
+          exampleMarkup: '',
+          exampleContext: {},
+          fixtures: [],
+          schema: null
+        };
+
+        // Check if the markup is a file path.
+        if (!partial.markup.match(/^[^\n]+\.(html|hbs)$/)) {
+          if (this.options.verbose) {
+            this.log(' - ' + partial.reference + ': inline markup');
+          }
+          buildTasks.push(
+            savePartial(partial)
+          );
+        } else {
+          // Attempt to load the file path.
+          if (!markup.isExample) {
+            section.custom('markupFile', partial.markup);
+          }
+          partial.file = partial.markup;
+          partial.name = path.basename(partial.file, path.extname(partial.file));
+          partial.exampleName = 'kss-example-' + partial.name;
+
+          let findPartials = [],
+            matchFilename = path.basename(partial.file),
+            matchExampleFilename = 'kss-example-' + matchFilename;
+          partial.fileNames = [matchFilename, matchExampleFilename, partial.name + '.schema.json'].concat(this.contextFileNames(matchFilename), this.contextFileNames(matchExampleFilename));
+          this.options.source.forEach(source => {
+            findPartials.push(glob(source + '/**/' + partial.file));
+            findPartials.push(glob(source + '/**/' + matchExampleFilename));
+          });
+          buildTasks.push(
+            Promise.all(findPartials).then(globMatches => {
+              let foundPartial = false,
+                foundExample = false,
+                readPartials = [];
+              for (let files of globMatches) {
+                if (!foundPartial || !foundExample) {
+                  for (let file of files) {
+                    // Read the partial from the first matched path.
+                    let filename = path.basename(file);
+                    if (!foundPartial && filename === matchFilename) {
+                      foundPartial = true;
+                      partial.file = file;
+                      readPartials.push(
+                        this.loadSchema(file).then(schema => {
+                          partial.schema = schema;
+                          // Load the context fixtures and the sample context
+                          // for the partial from its context file, e.g. the
+                          // sample .json file, and check them with the schema.
+                          return Promise.all([
+                            this.loadFixtures(file, section, schema),
+                            this.loadTemplateContext(file, section, schema)
+                          ]);
+                        }).then(contexts => {
+                          partial.fixtures = contexts[0];
+                          for (let fixture of partial.fixtures) {
+                            partial.fileNames.push(fixture.file);
+                          }
+                          partial.context = contexts[1];
+                        }),
+                        fs.readFileAsync(partial.file, 'utf8').then(contents => {
+                          partial.markup = contents;
+                        })
+                      );
+                    } else if (!foundExample && filename === matchExampleFilename) {
+                      foundExample = true;
+                      readPartials.push(
+                        fs.readFileAsync(file, 'utf8').then(contents => {
+                          partial.exampleMarkup = contents;
+                          // Load sample context for the partial from its
+                          // context file, e.g. the sample .json file.
+                          return this.loadTemplateContext(file, section);
+                        }).then(context => {
+                          partial.exampleContext = context;
+                        })
+                      );
+                    }
                   }
                 }
               }
-            }
 
-            // If the markup file is not found, note that in the style guide.
-            if (!foundPartial && !foundExample) {
-              partial.markup += ' NOT FOUND!';
-              if (!this.options.verbose) {
-                this.log('WARNING: In section ' + partial.reference + ', ' + partial.markup);
+              // If the markup file is not found, note that in the style guide.
+              if (!foundPartial && !foundExample) {
+                partial.markup += ' NOT FOUND!';
+                if (!this.options.verbose) {
+                  this.log('WARNING: In section ' + partial.reference + ', ' + partial.markup);
+                }
+                let sourceFile = section.custom('sourceFile') || {};
+                this.addDiagnostic({
+                  severity: 'error',
+                  rule: 'markup-not-found',
+                  message: 'The markup file "' + partial.file + '" of section ' + partial.reference + ' was not found.',
+                  file: sourceFile.path,
+                  line: sourceFile.line
+                });
+              } else /* istanbul ignore if */ if (!foundPartial) {
+                // If we found an example, but no partial, register an empty
+                // partial.
+                partial.markup = '{{! Cannot be an empty string. }}';
               }
-            } else /* istanbul ignore if */ if (!foundPartial) {
-              // If we found an example, but no partial, register an empty
-              // partial.
-              partial.markup = '{{! Cannot be an empty string. }}';
-            }
 
-            if (this.options.verbose) {
-              this.log(' - ' + partial.reference + ': ' + partial.markup);
-            }
+              if (this.options.verbose) {
+                this.log(' - ' + partial.reference + ': ' + partial.markup);
+              }
 
-            return Promise.all(readPartials).then(() => {
-              return partial;
-            });
-          }).then(savePartial)
-        );
+              return Promise.all(readPartials).then(() => {
+                return partial;
+              });
+            }).then(savePartial)
+          );
+        }
       }
     });
 
@@ -337,17 +442,28 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
         this.log('...Building style guide pages:');
       }
 
-      let buildPageTasks = [];
+      let buildPageTasks = [],
+        buildAllPages = !changes || changes.stylesheets || changes.unknown;
 
       // Build the homepage.
-      buildPageTasks.push(this.buildPage('index', null, []));
+      if (buildAllPages || changes.homepage) {
+        buildPageTasks.push(this.buildPage('index', null, []));
+      }
 
       // Group all of the sections by their root reference, and make a page for
       // each.
       sectionRoots.forEach(rootReference => {
-        buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        if (buildAllPages || changedRoots.indexOf(rootReference) !== -1) {
+          buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        }
       });
 
+      // Build the report of the deprecated and experimental sections, if
+      // requested.
+      buildPageTasks.push(this.buildStatusReport().then(report => {
+        return report ? this.buildPage('status-report', null, [], {statusReport: {sections: report}}) : null;
+      }));
+
       return Promise.all(buildPageTasks);
     }).then(() => {
       // We return the KssStyleGuide, just like KssBuilderBase.build() does.
@@ -355,6 +471,33 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
     });
   }
 
+  /**
+   * Rebuild the style guide after some of its source files have changed.
+   *
+   * Unlike a full build, the kss-assets are not copied again and the Handlebars
+   * extensions are not re-loaded. Only the partials whose files have changed are
+   * re-registered, and only the pages affected by the changes are re-built.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @param {string[]} changedFiles The full paths of the changed files.
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
+   *   `KssStyleGuide` object.
+   */
+  rebuild(styleGuide, changedFiles) {
+    this.changedFiles = changedFiles;
+
+    // Only run KssBuilderBase's prepare() tasks.
+    return super.prepare(styleGuide).then(styleGuide => {
+      return this.build(styleGuide);
+    }).then(styleGuide => {
+      this.changedFiles = false;
+      return styleGuide;
+    }, error => {
+      this.changedFiles = false;
+      throw error;
+    });
+  }
+
   /**
    * Creates a 2-level hierarchical menu from the style guide.
    *
@@ -373,6 +516,8 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       delete menuItem.markup;
       delete menuItem.modifiers;
       delete menuItem.parameters;
+      delete menuItem.colors;
+      delete menuItem.source;
 
       // Mark the current page in the menu.
       menuItem.isActive = (menuItem.reference === pageReference);
@@ -383,12 +528,17 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       return menuItem;
     };
 
+    // Leave out the sections with a status hidden by the nav-hide option.
+    const isShown = section => {
+      return this.options['nav-hide'].indexOf(section.status().name) === -1;
+    };
+
     // Retrieve all the root sections of the style guide.
-    return this.styleGuide.sections('x').map(rootSection => {
+    return this.styleGuide.sections('x').filter(isShown).map(rootSection => {
       let menuItem = toMenuItem(rootSection);
 
       // Retrieve the child sections for each of the root sections.
-      menuItem.children = this.styleGuide.sections(rootSection.reference() + '.*').slice(1).map(toMenuItem);
+      menuItem.children = this.styleGuide.sections(rootSection.reference() + '.*').slice(1).filter(isShown).map(toMenuItem);
 
       // Remove menu items that are deeper than the nav-depth option.
       for (let i = 0; i < menuItem.children.length; i++) {
@@ -418,61 +568,158 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
     context.sections = sections.map(section => {
       return section.toJSON();
     });
+    context.sections.forEach((section, index) => {
+      // A custom "Status" property replaces the status of the section.
+      if (typeof sections[index].custom('status') !== 'undefined') {
+        return;
+      }
+      // Handlebars can't compare strings, so flag the stable sections.
+      section.status.isStable = section.status.name === 'stable';
+      // Link the replacement of the section to its page.
+      if (section.status.replacementURI) {
+        section.status.replacementURL = this.sectionURL(section.status.replacement);
+      }
+    });
     context.hasNumericReferences = this.styleGuide.hasNumericReferences();
     context.partials = this.partials;
     context.options = this.options || /* istanbul ignore next */ {};
 
-    // Render the template for each section markup and modifier.
-    context.sections.forEach(section => {
-      // If the section does not have any markup, render an empty string.
-      if (section.markup) {
-        // Load the information about this section's markup partial.
-        let partialInfo = this.partials[section.reference];
-        let template = this.Handlebars.compile('{{> "' + partialInfo.name + '"}}');
+    /* eslint-disable camelcase */
+
+    // Render a markup partial, or its kss-example-* partial, with the
+    // placeholder and with each of the given modifiers.
+    let renderMarkup = (partialInfo, modifiers) => {
+      // Seed the fake data before each render, so the markup of every
+      // modifier shows the same fake data on every build.
+      let render = (template, data) => {
+        this.fakeData.seed(partialInfo.reference);
+        return template(data);
+      };
 
-        // Copy the template.context so we can modify it.
-        let data = JSON.parse(JSON.stringify(partialInfo.context));
+      let template = this.Handlebars.compile('{{> "' + partialInfo.name + '"}}');
 
-        /* eslint-disable camelcase */
+      // Copy the template.context so we can modify it.
+      let data = JSON.parse(JSON.stringify(partialInfo.context));
 
-        // Display the placeholder if the section has modifiers.
-        data.modifier_class = data.modifier_class || '';
-        if (section.modifiers.length !== 0 && this.options.placeholder) {
-          data.modifier_class += (data.modifier_class ? ' ' : '') + this.options.placeholder;
+      // Display the placeholder if the section has modifiers; the modifiers'
+      // attributes are only added to their own markup.
+      data.modifier_class = data.modifier_class || '';
+      data.modifier_attributes = data.modifier_attributes || '';
+      if (modifiers.length !== 0 && this.options.placeholder) {
+        data.modifier_class += (data.modifier_class ? ' ' : '') + this.options.placeholder;
+      }
+
+      // We don't wrap the rendered template in "new handlebars.SafeString()" since
+      // we want the ability to display it as a code sample with {{ }} and as
+      // rendered HTML with {{{ }}}.
+      let rendered = {
+        markup: render(template, data)
+      };
+      rendered.example = rendered.markup;
+
+      let templateContext;
+      if (partialInfo.exampleName) {
+        template = this.Handlebars.compile('{{> "' + partialInfo.exampleName + '"}}');
+        templateContext = partialInfo.exampleContext;
+
+        // Re-render the example variable with the example partial.
+        data = JSON.parse(JSON.stringify(templateContext));
+        data.modifier_class = data.modifier_class || /* istanbul ignore next */ '';
+        data.modifier_attributes = data.modifier_attributes || '';
+        // istanbul ignore else
+        if (modifiers.length !== 0 && this.options.placeholder) {
+          data.modifier_class += (data.modifier_class ? ' ' : /* istanbul ignore next */ '') + this.options.placeholder;
         }
+        rendered.example = render(template, data);
+      } else {
+        templateContext = partialInfo.context;
+      }
 
-        // We don't wrap the rendered template in "new handlebars.SafeString()" since
-        // we want the ability to display it as a code sample with {{ }} and as
-        // rendered HTML with {{{ }}}.
-        section.markup = template(data);
-        section.example = section.markup;
+      // Renders the example with the given classes and attributes.
+      rendered.render = (className, attributes) => {
+        let data = JSON.parse(JSON.stringify(templateContext));
+        data.modifier_class = (data.modifier_class ? data.modifier_class + ' ' : '') + className;
+        data.modifier_attributes = [data.modifier_attributes].concat(attributes).filter(attributes => attributes).join(' ');
+        return render(template, data);
+      };
+      rendered.modifiers = modifiers.map(modifier => rendered.render(modifier.className, modifier.attributes));
 
-        let templateContext;
-        if (partialInfo.exampleName) {
-          template = this.Handlebars.compile('{{> "' + partialInfo.exampleName + '"}}');
-          templateContext = partialInfo.exampleContext;
+      return rendered;
+    };
 
-          // Re-render the example variable with the example partial.
-          data = JSON.parse(JSON.stringify(templateContext));
-          data.modifier_class = data.modifier_class || /* istanbul ignore next */ '';
-          // istanbul ignore else
-          if (section.modifiers.length !== 0 && this.options.placeholder) {
-            data.modifier_class += (data.modifier_class ? ' ' : /* istanbul ignore next */ '') + this.options.placeholder;
+    // Render a named example with its markup and the markup of its modifiers.
+    let renderExample = (example, partialInfo, modifiers) => {
+      let rendered = renderMarkup(partialInfo, modifiers);
+      example.markupFile = partialInfo.file ? partialInfo.source : '';
+      example.markup = rendered.markup;
+      example.example = rendered.example;
+      example.modifiers = modifiers.map((modifier, modifierIndex) => {
+        return Object.assign({}, modifier, {markup: rendered.modifiers[modifierIndex]});
+      });
+    };
+
+    // Render the template for each section markup and modifier.
+    context.sections.forEach((section, index) => {
+      let templates = [];
+
+      // If the section does not have any markup, render an empty string.
+      if (section.markup) {
+        // Load the information about this section's markup partial.
+        let partialInfo = this.partials[section.reference];
+        templates.push({name: '', partialInfo: partialInfo});
+
+        // Show the template variables described by the partial's schema
+        // along with the section's own parameters.
+        if (partialInfo.schema) {
+          let names = section.parameters.map(parameter => parameter.name);
+          for (let parameter of this.schemaParameters(partialInfo.schema)) {
+            if (names.indexOf(parameter.name()) === -1) {
+              section.parameters.push(parameter.toJSON());
+            }
           }
-          section.example = template(data);
-        } else {
-          templateContext = partialInfo.context;
         }
 
+        let rendered = renderMarkup(partialInfo, section.modifiers);
+        section.markup = rendered.markup;
+        section.example = rendered.example;
+        section.modifiers.forEach((modifier, modifierIndex) => {
+          modifier.markup = rendered.modifiers[modifierIndex];
+        });
 
-        section.modifiers.forEach(modifier => {
-          let data = JSON.parse(JSON.stringify(templateContext));
-          data.modifier_class = (data.modifier_class ? data.modifier_class + ' ' : '') + modifier.className;
-          modifier.markup = template(data);
+        // Render the combinations of the modifier groups.
+        section.combinations = sections[index].combinations(this.options['max-combinations']).map(combination => {
+          let className = combination.map(modifier => modifier.className()).filter(name => name).join(' ');
+          return {
+            modifiers: combination.map(modifier => modifier.name()),
+            className: className,
+            markup: rendered.render(className, combination.map(modifier => modifier.attributes()))
+          };
         });
-        /* eslint-enable camelcase */
+        section.hiddenCombinations = sections[index].combinationCount() - section.combinations.length;
+      }
+
+      // Render each of the named examples with the section's modifiers.
+      section.examples.forEach(example => {
+        let partialInfo = this.partials[section.reference + ' (' + example.name + ')'];
+        templates.push({name: example.name, partialInfo: partialInfo});
+        renderExample(example, partialInfo, section.modifiers);
+      });
+
+      // Add an example for each context fixture of the section's templates,
+      // e.g. "featured" for the card.featured.json fixture of card.hbs.
+      for (let template of templates) {
+        for (let fixture of template.partialInfo.fixtures || []) {
+          let example = {
+            name: template.name ? template.name + ': ' + fixture.name : fixture.name,
+            contextFile: fixture.file
+          };
+          example.referenceURI = section.referenceURI + '--' + encodeURI(example.name.replace(/[^\w-]+/g, '-').toLowerCase());
+          renderExample(example, Object.assign({}, template.partialInfo, {context: fixture.context, exampleName: false}), section.modifiers);
+          section.examples.push(example);
+        }
       }
     });
+    /* eslint-enable camelcase */
 
     // Create the HTML to load the optional CSS and JS (if a sub-class hasn't already built it.)
     // istanbul ignore else
@@ -484,6 +731,10 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
           context.styles = context.styles + '<link rel="stylesheet" href="' + this.options.css[key] + '">\n';
         }
       }
+      // Load the pseudo-class states after the CSS files.
+      if (this.options['pseudo-states']) {
+        context.styles += '<link rel="stylesheet" href="kss-pseudo-states.css">\n';
+      }
     }
     // istanbul ignore else
     if (typeof context.scripts === 'undefined') {
@@ -516,7 +767,7 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       // Convert the pageReference to be URI-friendly.
       pageReference = rootSection.referenceURI();
     } else if (this.options.verbose) {
-      this.log(' - homepage');
+      this.log(templateName === 'index' ? ' - homepage' : ' - ' + templateName);
     }
     let fileName = templateName + (pageReference ? '-' + pageReference : '') + '.html';
 
@@ -544,7 +795,7 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
       }).then(homePageText => {
         // Ensure homePageText is a non-false value. And run any results through
         // Markdown.
-        context.homepage = homePageText ? marked(homePageText) : ' ';
+        context.homepage = homePageText ? this.renderMarkdown(homePageText) : ' ';
         return Promise.resolve();
       });
     } else {
@@ -554,7 +805,7 @@ class KssBuilderBaseHandlebars extends KssBuilderBase {
 
     return getHomepageText.then(() => {
       // Render the template and save it to the destination.
-      return fs.writeFileAsync(
+      return this.writeFile(
         path.join(this.options.destination, fileName),
         this.templates[templateName](context)
       );
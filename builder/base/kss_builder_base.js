@@ -12,12 +12,22 @@
    See kss_builder_base_example.js for how to implement a builder.
    *************************************************************** */
 
-const path = require('path'),
-  Promise = require('bluebird');
+const Ajv = require('ajv'),
+  JSON5 = require('json5'),
+  KssFakeData = require('../../lib/kss_fake_data.js'),
+  KssParameter = require('../../lib/kss_parameter.js'),
+  markdown = require('../../lib/markdown.js'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  yaml = require('js-yaml');
 
 const fs = Promise.promisifyAll(require('fs-extra')),
   kssBuilderAPI = '3.0';
 
+// The extensions of the files that can hold the context data of a template, in
+// the order they are looked for.
+const contextExtensions = ['.json', '.json5', '.yaml', '.yml', '.js'];
+
 /**
  * A kss-node builder takes input files and builds a style guide.
  */
@@ -39,6 +49,13 @@ class KssBuilderBase {
     this.optionDefinitions = {};
     this.options = {};
 
+    // During a rebuild, the list of files changed since the last build.
+    this.changedFiles = false;
+
+    // The fake data used by the templates; builders seed it before rendering
+    // each template, so that a template shows the same data on every build.
+    this.fakeData = new KssFakeData();
+
     // Store the version of the builder API that the builder instance is
     // expecting; we will verify this in loadBuilder().
     this.API = 'undefined';
@@ -49,15 +66,20 @@ class KssBuilderBase {
     // The error logging function defaults to console.error.
     this.setLogErrorFunction(console.error);
 
+    // The write file function defaults to writing the file to disk.
+    this.setWriteFileFunction((file, contents) => {
+      return fs.writeFileAsync(file, contents);
+    });
+
     // Tell kss-node which Yargs-like options this builder has.
     this.addOptionDefinitions({
-      source: {
+      'source': {
         group: 'File locations:',
         string: true,
         path: true,
         describe: 'Source directory to recursively parse for KSS comments, homepage, and markup'
       },
-      destination: {
+      'destination': {
         group: 'File locations:',
         string: true,
         path: true,
@@ -65,23 +87,31 @@ class KssBuilderBase {
         describe: 'Destination directory of style guide',
         default: 'styleguide'
       },
-      mask: {
+      'mask': {
         group: 'File locations:',
         alias: 'm',
         string: true,
         multiple: false,
-        describe: 'Use a mask for detecting files containing KSS comments',
+        describe: 'Use a mask for detecting files containing KSS comments; add *.hbs, *.twig or *.html to include templates',
         default: '*.css|*.less|*.sass|*.scss|*.styl|*.stylus'
       },
+      'cache': {
+        group: 'File locations:',
+        alias: 'cache-dir',
+        string: true,
+        path: true,
+        multiple: false,
+        describe: 'Directory to store a cache of the parsed source files in'
+      },
 
-      clone: {
+      'clone': {
         group: 'Builder:',
         string: true,
         path: true,
         multiple: false,
         describe: 'Clone a style guide builder to customize'
       },
-      builder: {
+      'builder': {
         group: 'Builder:',
         alias: 'b',
         string: true,
@@ -90,23 +120,65 @@ class KssBuilderBase {
         describe: 'Use the specified builder when building your style guide',
         default: path.relative(process.cwd(), path.join(__dirname, '..', 'handlebars'))
       },
-      css: {
+      'css': {
         group: 'Style guide:',
         string: true,
         describe: 'URL of a CSS file to include in the style guide'
       },
-      js: {
+      'js': {
         group: 'Style guide:',
         string: true,
         describe: 'URL of a JavaScript file to include in the style guide'
       },
-      custom: {
+      'custom': {
         group: 'Style guide:',
         string: true,
-        describe: 'Process a custom property name when parsing KSS comments'
+        describe: 'Process a custom property name when parsing KSS comments; add a type with "name:type"'
+      },
+      'duplicates': {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        choices: ['warn', 'error', 'merge', 'keep-first'],
+        describe: 'What to do when sections have the same reference',
+        default: 'warn'
+      },
+      'markdown': {
+        group: 'Style guide:',
+        string: true,
+        multiple: false,
+        describe: 'Module providing the Markdown renderer or marked options'
+      },
+      'source-code': {
+        group: 'Style guide:',
+        boolean: true,
+        multiple: false,
+        describe: 'Show the source code that follows each KSS comment',
+        default: false
+      },
+      'auto-modifiers': {
+        group: 'Style guide:',
+        boolean: true,
+        multiple: false,
+        describe: 'Derive missing modifier lists from the CSS rules',
+        default: false
+      },
+      'pseudo-states': {
+        group: 'Style guide:',
+        boolean: true,
+        multiple: false,
+        describe: 'Generate the pseudo-class states of the --css files when building',
+        default: false
+      },
+      'status-report': {
+        group: 'Style guide:',
+        boolean: true,
+        multiple: false,
+        describe: 'Build a report of the deprecated and experimental sections',
+        default: false
       },
 
-      verbose: {
+      'verbose': {
         count: true,
         multiple: false,
         describe: 'Display verbose details while building'
@@ -229,6 +301,11 @@ class KssBuilderBase {
       this.setLogErrorFunction(options.logErrorFunction);
     }
 
+    // Set the function used to save the files of the style guide.
+    if (typeof options.writeFileFunction === 'function') {
+      this.setWriteFileFunction(options.writeFileFunction);
+    }
+
     // Allow clone to be used without a path. We can't specify this default path
     // in the option definition or the clone flag would always be "on".
     if (options.clone === '' || options.clone === true) {
@@ -435,6 +512,461 @@ class KssBuilderBase {
     return this;
   }
 
+  /**
+   * Reports a problem found while building the style guide.
+   *
+   * Unlike log(), the problem is not shown to the user directly. If a
+   * `KssDiagnostics` object is given as the `diagnostics` option, e.g. by the
+   * `kss lint` command, the problem is added to it.
+   *
+   * @param {Object} diagnostic An object with `severity` ("error" or
+   *   "warning"), `rule`, `message`, `file` and `line` properties.
+   * @returns {KssBuilderBase} The `KssBuilderBase` object is returned to allow
+   *   chaining of methods.
+   */
+  addDiagnostic(diagnostic) {
+    if (this.options.diagnostics) {
+      this.options.diagnostics.add(diagnostic);
+    }
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Renders Markdown, e.g. the homepage's Markdown file, into HTML.
+   *
+   * The Markdown renderer given with the `markdown` option is used, so that the
+   * homepage is rendered the same way as the section descriptions. See
+   * [`kss.markdown()`]{@link module:kss.markdown}.
+   *
+   * @param {string} text The Markdown to render.
+   * @returns {string} The HTML.
+   */
+  renderMarkdown(text) {
+    // If Markdown is disabled for the section descriptions, render the
+    // homepage with the default renderer.
+    return markdown(this.options.markdown === false ? true : this.options.markdown)(text);
+  }
+
+  /**
+   * Loads the context data of a template from a file.
+   *
+   * The file is parsed according to its extension: `.json`, `.json5`, `.yaml`
+   * or `.yml`. A `.js` file is a Node.js module that exports either the data
+   * or a function returning the data, or a `Promise` of it; the function is
+   * given the section whose markup uses the template, the builder's options
+   * and a `KssFakeData` object seeded with the section's reference. The file
+   * is read again every time, so that its changes are seen during a rebuild.
+   *
+   * @param {string} file The full path to the context file.
+   * @param {KssSection} [section] The section whose markup uses the template.
+   * @returns {Promise.<Object>} A `Promise` object resolving to the context
+   *   data.
+   */
+  loadContext(file, section) {
+    let extension = path.extname(file);
+    if (extension === '.js') {
+      return Promise.try(() => {
+        delete require.cache[require.resolve(file)];
+        let context = require(file);
+        return typeof context === 'function' ? context(section, this.options, new KssFakeData(section ? section.reference() : path.basename(file))) : context;
+      }).then(context => {
+        return context || {};
+      });
+    }
+    return fs.readFileAsync(file, 'utf8').then(contents => {
+      if (extension === '.json5') {
+        return JSON5.parse(contents);
+      } else if (extension === '.yaml' || extension === '.yml') {
+        return yaml.safeLoad(contents, {filename: file});
+      }
+      return JSON.parse(contents);
+    }).then(context => {
+      return context || {};
+    });
+  }
+
+  /**
+   * Returns the names of the files that can hold the context data of a
+   * template, e.g. `card.json`, `card.json5`, `card.yaml`, `card.yml` and
+   * `card.js` for the template `card.hbs`.
+   *
+   * @param {string} file The name of, or path to, the template.
+   * @returns {string[]} The file names, in the order they are looked for.
+   */
+  contextFileNames(file) {
+    let name = path.basename(file, path.extname(file));
+    return contextExtensions.map(extension => name + extension);
+  }
+
+  /**
+   * Loads the context data of a template from the first of its context files
+   * found next to it. See `contextFileNames()` and `loadContext()`.
+   *
+   * If the context file cannot be loaded, or does not match the template's
+   * schema, a warning is logged.
+   *
+   * @param {string} file The full path to the template.
+   * @param {KssSection} [section] The section whose markup uses the template.
+   * @param {Object} [schema] The JSON schema of the template's context.
+   * @returns {Promise.<Object>} A `Promise` object resolving to the context
+   *   data, or to an empty object if there is none.
+   */
+  loadTemplateContext(file, section, schema) {
+    // Find the first of the template's context files that exists.
+    return Promise.reduce(this.contextFileNames(file), (found, fileName) => {
+      if (found) {
+        return found;
+      }
+      let contextFile = path.join(path.dirname(file), fileName);
+      return fs.statAsync(contextFile).then(() => {
+        return contextFile;
+      }).catch(error => {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      });
+    }, false).then(contextFile => {
+      if (!contextFile) {
+        return {};
+      }
+      return this.loadContext(contextFile, section).then(context => {
+        this.validateContext(context, 'context file', contextFile, section, schema);
+        return context;
+      }, error => {
+        this.log('WARNING: The context file ' + path.basename(contextFile) + ' could not be loaded: ' + error.message);
+        this.addDiagnostic({
+          severity: 'warning',
+          rule: 'invalid-context',
+          message: 'The context file ' + path.basename(contextFile) + ' could not be loaded: ' + error.message,
+          file: contextFile
+        });
+        return {};
+      });
+    });
+  }
+
+  /**
+   * Loads the context fixtures of a template, i.e. the context files named
+   * after the template and a label, e.g. `card.featured.json` and
+   * `card.empty.yaml` for the template `card.hbs`. See `loadContext()`.
+   *
+   * If a fixture cannot be loaded, or does not match the template's schema, a
+   * warning is logged.
+   *
+   * @param {string} file The full path to the template.
+   * @param {KssSection} [section] The section whose markup uses the template.
+   * @param {Object} [schema] The JSON schema of the template's context.
+   * @returns {Promise.<Array>} A `Promise` object resolving to an array of
+   *   objects with the `name` of each fixture, e.g. "featured", the name of
+   *   its `file` and its `context` data.
+   */
+  loadFixtures(file, section, schema) {
+    let prefix = path.basename(file, path.extname(file)) + '.';
+    return fs.readdirAsync(path.dirname(file)).then(fileNames => {
+      fileNames = fileNames.sort().filter(fileName => {
+        let extension = path.extname(fileName);
+        return fileName.indexOf(prefix) === 0 && contextExtensions.indexOf(extension) !== -1 && fileName.length > prefix.length + extension.length && fileName !== prefix + 'schema.json';
+      });
+      return Promise.all(fileNames.map(fileName => {
+        return this.loadContext(path.join(path.dirname(file), fileName), section).then(context => {
+          this.validateContext(context, 'context fixture', path.join(path.dirname(file), fileName), section, schema);
+          return {
+            name: fileName.slice(prefix.length, -path.extname(fileName).length),
+            file: fileName,
+            context: context
+          };
+        }).catch(error => {
+          this.log('WARNING: The context fixture ' + fileName + ' could not be loaded: ' + error.message);
+          this.addDiagnostic({
+            severity: 'warning',
+            rule: 'invalid-context',
+            message: 'The context fixture ' + fileName + ' could not be loaded: ' + error.message,
+            file: path.join(path.dirname(file), fileName)
+          });
+          return null;
+        });
+      }));
+    }).then(fixtures => {
+      return fixtures.filter(fixture => fixture);
+    });
+  }
+
+  /**
+   * Loads the JSON schema of the context data of a template, i.e. the
+   * `card.schema.json` file next to the template `card.hbs`.
+   *
+   * The schema uses [JSON Schema](http://json-schema.org) draft 4. If the
+   * schema cannot be loaded, a warning is logged.
+   *
+   * @param {string} file The full path to the template.
+   * @returns {Promise.<Object|null>} A `Promise` object resolving to the
+   *   schema, or to `null` if the template has none.
+   */
+  loadSchema(file) {
+    let schemaFile = path.join(path.dirname(file), path.basename(file, path.extname(file)) + '.schema.json');
+    return fs.readFileAsync(schemaFile, 'utf8').then(contents => {
+      let schema = JSON.parse(contents);
+      // Only draft 4 is known; a schema of a later draft is checked as draft 4.
+      delete schema.$schema;
+      compileSchema(schema);
+      return schema;
+    }).catch(error => {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      this.log('WARNING: The schema ' + path.basename(schemaFile) + ' could not be loaded: ' + error.message);
+      this.addDiagnostic({
+        severity: 'warning',
+        rule: 'invalid-schema',
+        message: 'The schema ' + path.basename(schemaFile) + ' could not be loaded: ' + error.message,
+        file: schemaFile
+      });
+      return null;
+    });
+  }
+
+  /**
+   * Checks that the context data of a template matches its JSON schema.
+   *
+   * If it does not, a warning naming the section is logged.
+   *
+   * @param {Object} context The context data.
+   * @param {string} kind The kind of context, e.g. "context fixture".
+   * @param {string} file The full path to the context file.
+   * @param {KssSection} [section] The section whose markup uses the template.
+   * @param {Object} [schema] The JSON schema of the template's context.
+   * @returns {boolean} Whether the context matches the schema, or `true` if
+   *   there is no schema.
+   */
+  validateContext(context, kind, file, section, schema) {
+    if (!schema) {
+      return true;
+    }
+    let validator = compileSchema(schema);
+    if (validator.validate(context)) {
+      return true;
+    }
+    let message = 'The ' + kind + ' ' + path.basename(file) + (section ? ' of section ' + section.reference() : '') + ' does not match its schema: ' + validator.ajv.errorsText(validator.validate.errors, {dataVar: 'context'});
+    this.log('WARNING: ' + message);
+    this.addDiagnostic({
+      severity: 'warning',
+      rule: 'context-schema',
+      message: message,
+      file: file
+    });
+    return false;
+  }
+
+  /**
+   * Creates the template variables of a template from the properties of its
+   * JSON schema; the properties of a nested object are named after the object,
+   * e.g. `author.name`.
+   *
+   * @param {Object} schema The JSON schema of the template's context.
+   * @returns {KssParameter[]} The template variables.
+   */
+  schemaParameters(schema) {
+    let renderMarkdown = markdown(this.options.markdown),
+      parameters = [];
+
+    let addProperties = (schema, prefix) => {
+      let required = schema.required || [];
+      for (let name in schema.properties || {}) {
+        // istanbul ignore else
+        if (schema.properties.hasOwnProperty(name)) {
+          let property = schema.properties[name] || {},
+            type = Array.isArray(property.type) ? property.type.join('|') : (property.type || ''),
+            description = property.description || property.title || '';
+          if (property.enum) {
+            type = property.enum.map(value => JSON.stringify(value)).join('|');
+          }
+          parameters.push(new KssParameter({
+            name: prefix + name,
+            type: type,
+            defaultValue: typeof property.default === 'undefined' ? '' : JSON.stringify(property.default),
+            optional: required.indexOf(name) === -1,
+            description: renderMarkdown ? renderMarkdown(description, {inline: true}) : description
+          }));
+          if (property.properties) {
+            addProperties(property, prefix + name + '.');
+          }
+        }
+      }
+    };
+    addProperties(schema, '');
+
+    return parameters;
+  }
+
+  /**
+   * Returns the URL of a section in the style guide being built, i.e. the
+   * section's anchor on the page of its root section.
+   *
+   * @param {string} reference The reference of the section.
+   * @returns {string|boolean} The URL of the section, or `false` if the section
+   *   is not documented.
+   */
+  sectionURL(reference) {
+    let section = this.styleGuide.sections(reference);
+    if (!section || section instanceof Array) {
+      return false;
+    }
+    let rootSection = this.styleGuide.sections(section.reference().split(this.styleGuide.referenceDelimiter())[0]);
+    // istanbul ignore if
+    if (!rootSection || rootSection instanceof Array) {
+      return false;
+    }
+    return 'section-' + rootSection.referenceURI() + '.html#kssref-' + section.referenceURI();
+  }
+
+  /**
+   * Saves a file of the style guide.
+   *
+   * Since a style guide can be built somewhere other than on disk, e.g. in
+   * memory by `kss serve`, builders should use the writeFile() method to save
+   * the pages of the style guide.
+   *
+   * @param {string} file The full path of the file.
+   * @param {string} contents The contents of the file.
+   * @returns {Promise} A `Promise` object resolving when the file is saved.
+   */
+  writeFile(file, contents) {
+    return Promise.resolve(this.writeFileFunction(file, contents));
+  }
+
+  /**
+   * The `writeFile()` method saves a file of the style guide. This method
+   * allows the system to define the underlying function used by the writeFile
+   * method. The default write file function writes the file to disk.
+   *
+   * @param {Function} writeFileFunction Function to save a file, given the
+   *   full path of the file and its contents.
+   * @returns {KssBuilderBase} The `KssBuilderBase` object is returned to allow
+   *   chaining of methods.
+   */
+  setWriteFileFunction(writeFileFunction) {
+    this.writeFileFunction = writeFileFunction;
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Saves the pseudo-class states of the style guide's CSS files as
+   * `kss-pseudo-states.css`.
+   *
+   * If the `pseudo-states` option is used, the style rules of the local CSS
+   * files given with the `css` option that use a pseudo-class, e.g. `:hover`,
+   * are copied with the pseudo-class replaced by a class, e.g.
+   * `.pseudo-class-hover`, so that the markup of a pseudo-class modifier can
+   * display its design. Unlike the kss.js script, the rules nested in
+   * conditional at-rules, e.g. `@media`, are also copied. The URLs of the CSS
+   * files are resolved against the style guide's destination.
+   *
+   * Builders should call this method when building the style guide and load
+   * `kss-pseudo-states.css` after the CSS files.
+   *
+   * @returns {Promise} A `Promise` object resolving when the file is saved.
+   */
+  buildPseudoStates() {
+    if (!this.options['pseudo-states']) {
+      return Promise.resolve();
+    }
+
+    let urls = (this.options.css || []).filter(url => {
+      // Only local files can be read.
+      return !/^([a-z][\w+.-]*:|\/\/)/i.test(url);
+    });
+    return Promise.all(urls.map(url => {
+      let file = path.resolve(this.options.destination, url.replace(/[?#].*$/, ''));
+      return fs.readFileAsync(file, 'utf8').then(contents => {
+        return pseudoStateRules(contents, path.posix.dirname(url));
+      }).catch(() => {
+        this.log('WARNING: ' + url + ' could not be read, so its pseudo-class states were not generated.');
+        this.addDiagnostic({
+          severity: 'warning',
+          rule: 'stylesheet-not-found',
+          message: 'The stylesheet ' + file + ' could not be read, so its pseudo-class states were not generated.'
+        });
+        return '';
+      });
+    })).then(rules => {
+      return this.writeFile(path.join(this.options.destination, 'kss-pseudo-states.css'), rules.filter(css => css).join('\n'));
+    });
+  }
+
+  /**
+   * Lists the deprecated and experimental sections of the style guide being
+   * built.
+   *
+   * Each entry of the report has the section's `reference`, `header`, `url`,
+   * `status`, `since`, `reason`, the `file` and `line` of its KSS comment, an
+   * `excerpt` of its description as plain text and its `replacement`, if any,
+   * with the `reference`, `header` and `url` of the replacing section.
+   *
+   * @returns {Object[]} The entries of the report, in the order of the style
+   *   guide.
+   */
+  statusReport() {
+    return this.styleGuide.sections().filter(section => {
+      return section.deprecated() || section.experimental();
+    }).map(section => {
+      let status = section.status(),
+        sourceFile = section.custom('sourceFile') || {},
+        replacement = false;
+      if (status.replacement) {
+        let url = this.sectionURL(status.replacement);
+        replacement = {
+          reference: status.replacement,
+          header: url ? this.styleGuide.sections(status.replacement).header() : '',
+          url: url
+        };
+      }
+      return {
+        reference: section.reference(),
+        header: section.header(),
+        url: this.sectionURL(section.reference()),
+        status: status.name,
+        since: status.since,
+        reason: status.reason,
+        replacement: replacement,
+        file: sourceFile.name || '',
+        line: sourceFile.line || 0,
+        excerpt: excerpt(section.description())
+      };
+    });
+  }
+
+  /**
+   * Saves the report of the deprecated and experimental sections as
+   * `status-report.json`.
+   *
+   * If the `status-report` option is used, the report returned by
+   * `statusReport()` is saved so it can be used to plan migrations. Builders
+   * should call this method when building the style guide and build a
+   * `status-report.html` page with the report.
+   *
+   * @returns {Promise.<Object[]|boolean>} A `Promise` object resolving to the
+   *   entries of the report when the file is saved, or to `false` if the
+   *   `status-report` option is not used.
+   */
+  buildStatusReport() {
+    if (!this.options['status-report']) {
+      return Promise.resolve(false);
+    }
+
+    let report = this.statusReport();
+    return this.writeFile(
+      path.join(this.options.destination, 'status-report.json'),
+      JSON.stringify({sections: report}, null, 2) + '\n'
+    ).then(() => {
+      return report;
+    });
+  }
+
   /**
    * Clone a builder's files.
    *
@@ -546,6 +1078,289 @@ class KssBuilderBase {
   build(styleGuide) {
     return Promise.resolve(styleGuide);
   }
+
+  /**
+   * Rebuild the style guide after some of its source files have changed.
+   *
+   * This method is used by the `--watch` mode of kss. By default, it runs the
+   * `prepare()` and `build()` methods again. A sub-class of KssBuilderBase can
+   * override this method to skip tasks that only need to be done once or to
+   * only rebuild the parts of the style guide affected by the changed files.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @param {string[]} changedFiles The full paths of the changed files.
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
+   *   `KssStyleGuide` object.
+   */
+  rebuild(styleGuide, changedFiles) {
+    this.changedFiles = changedFiles;
+
+    return this.prepare(styleGuide).then(styleGuide => {
+      return this.build(styleGuide);
+    }).then(styleGuide => {
+      this.changedFiles = false;
+      return styleGuide;
+    }, error => {
+      this.changedFiles = false;
+      throw error;
+    });
+  }
+
+  /**
+   * Sorts the files changed since the last build by how they affect the style
+   * guide.
+   *
+   * If the builder is not rebuilding the style guide, this method returns
+   * `false`. Otherwise it returns an object with these properties:
+   * - `stylesheets`: whether any of the parsed source files changed.
+   * - `homepage`: whether the homepage's Markdown file changed.
+   * - `fileNames`: the file names of the changed template files.
+   * - `unknown`: whether any other file changed, e.g. a template included by
+   *   another template.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @param {string[]} templateFileNames The file names (without a directory)
+   *   of the templates and context files used by the previous build.
+   * @returns {Object|boolean} An object describing the changes, or `false`.
+   */
+  sortChangedFiles(styleGuide, templateFileNames) {
+    if (!this.changedFiles) {
+      return false;
+    }
+
+    let changes = {
+      stylesheets: false,
+      homepage: false,
+      fileNames: [],
+      unknown: false
+    };
+    this.changedFiles.forEach(file => {
+      let fileName = path.basename(file);
+      if (styleGuide.meta.files.indexOf(file) !== -1) {
+        changes.stylesheets = true;
+      } else if (fileName === this.options.homepage) {
+        changes.homepage = true;
+      } else if (templateFileNames.indexOf(fileName) !== -1) {
+        changes.fileNames.push(fileName);
+      } else {
+        changes.unknown = true;
+      }
+    });
+
+    return changes;
+  }
 }
 
+// The pseudo-classes that the markup of the modifiers can display; the same
+// ones as the kss.js script.
+const pseudoClasses = ['hover', 'enabled', 'disabled', 'active', 'visited', 'focus', 'target', 'checked', 'empty', 'first-of-type', 'last-of-type', 'first-child', 'last-child'];
+
+// The at-rules whose blocks contain style rules that apply conditionally.
+const conditionalAtRules = ['media', 'supports', 'document', 'layer', 'container', 'scope'];
+
+/**
+ * Creates the pseudo-class state rules of a CSS file.
+ *
+ * Each style rule with a selector that uses a pseudo-class is copied, with the
+ * pseudo-class replaced by a class, e.g. `:hover` by `.pseudo-class-hover`,
+ * inside the same conditional at-rules. The relative URLs of the rules are
+ * resolved against the given base URL.
+ *
+ * @private
+ * @param {string} css The contents of the CSS file.
+ * @param {string} baseUrl The URL of the CSS file's directory, relative to the
+ *   style guide.
+ * @returns {string} The CSS of the pseudo-class state rules.
+ */
+const pseudoStateRules = function(css, baseUrl) {
+  let pseudos = new RegExp(':(' + pseudoClasses.join('|') + ')(?![\\w-])', 'g'),
+    position = 0;
+  css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  // Reads the text up to the next "{", ";" or "}" outside of strings and
+  // parentheses.
+  let readPrelude = function() {
+    let start = position,
+      quote = false,
+      depth = 0;
+    for (; position < css.length; position++) {
+      let character = css.charAt(position);
+      if (quote) {
+        if (character === '\\') {
+          position++;
+        } else if (character === quote) {
+          quote = false;
+        }
+      } else if (character === '"' || character === '\'') {
+        quote = character;
+      } else if (character === '(') {
+        depth++;
+      } else if (character === ')') {
+        depth--;
+      } else if (depth <= 0 && '{;}'.indexOf(character) !== -1) {
+        break;
+      }
+    }
+    return css.slice(start, position).trim();
+  };
+
+  // Reads the block after a "{", up to its matching "}".
+  let readBlock = function() {
+    let start = ++position,
+      depth = 1;
+    while (position < css.length && depth) {
+      readPrelude();
+      if (css.charAt(position) === '{') {
+        depth++;
+      } else if (css.charAt(position) === '}') {
+        depth--;
+      }
+      position++;
+    }
+    return css.slice(start, position - 1);
+  };
+
+  // Reads the rules up to the end of the current block and returns the state
+  // rules.
+  let readRules = function() {
+    let rules = [];
+    while (position < css.length) {
+      let prelude = readPrelude(),
+        character = css.charAt(position);
+      if (character !== '{') {
+        // Skip at-rule statements, e.g. @import, and the end of a block.
+        position++;
+        if (character === '}') {
+          break;
+        }
+        continue;
+      }
+
+      let atRule = prelude.match(/^@(?:-\w+-)?([\w-]+)/);
+      if (atRule) {
+        if (conditionalAtRules.indexOf(atRule[1].toLowerCase()) !== -1) {
+          position++;
+          let nested = readRules();
+          if (nested.length) {
+            rules.push(prelude + ' {\n' + nested.join('\n').replace(/^/gm, '  ') + '\n}');
+          }
+        } else {
+          // Skip the blocks that do not contain style rules, e.g. @keyframes.
+          readBlock();
+        }
+        continue;
+      }
+
+      // Replace the pseudo-classes, but not the pseudo-elements, e.g. "::empty".
+      let declarations = readBlock(),
+        selectors = splitSelectors(prelude).map(selector => {
+          return selector.replace(pseudos, (match, name, offset) => {
+            return selector.charAt(offset - 1) === ':' ? match : '.pseudo-class-' + name;
+          });
+        }).filter(selector => {
+          return selector.indexOf('.pseudo-class-') !== -1;
+        });
+      if (selectors.length) {
+        rules.push(selectors.join(',\n') + ' {' + resolveUrls(declarations, baseUrl) + '}');
+      }
+    }
+    return rules;
+  };
+
+  return readRules().join('\n');
+};
+
+/**
+ * Splits a selector list into its selectors, ignoring the commas inside
+ * parentheses, e.g. in `:not(a, b)`.
+ *
+ * @private
+ * @param {string} selectorList The selector list.
+ * @returns {Array} An array of the selectors.
+ */
+const splitSelectors = function(selectorList) {
+  let selectors = [''],
+    depth = 0;
+  for (let character of selectorList) {
+    if (character === ',' && !depth) {
+      selectors.push('');
+      continue;
+    }
+    if (character === '(') {
+      depth++;
+    } else if (character === ')') {
+      depth--;
+    }
+    selectors[selectors.length - 1] += character;
+  }
+  return selectors.map(selector => selector.trim());
+};
+
+/**
+ * Resolves the relative URLs of some CSS against a base URL.
+ *
+ * @private
+ * @param {string} css The CSS.
+ * @param {string} baseUrl The base URL.
+ * @returns {string} The CSS.
+ */
+const resolveUrls = function(css, baseUrl) {
+  if (baseUrl === '.' || baseUrl === '') {
+    return css;
+  }
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+    // Leave absolute URLs, data URIs and fragments as-is.
+    if (/^([a-z][\w+.-]*:|\/|#)/i.test(url)) {
+      return match;
+    }
+    return 'url(' + quote + path.posix.join(baseUrl, url) + quote + ')';
+  });
+};
+
+/**
+ * Returns the start of a description as plain text, e.g. for a report.
+ *
+ * @private
+ * @param {string} description The description, which can be HTML.
+ * @param {number} [length] The maximum length of the excerpt; defaults to 160.
+ * @returns {string} The excerpt.
+ */
+const excerpt = function(description, length) {
+  length = length || 160;
+  let text = description
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= length) {
+    return text;
+  }
+  // Cut the text at the end of a word.
+  return text.slice(0, length - 1).replace(/\s+\S*$/, '') + '…';
+};
+
+// The validators of the loaded schemas. Each schema has its own Ajv instance,
+// so that a changed schema with the same "id" can be loaded during a rebuild.
+const validators = new WeakMap();
+
+/**
+ * Compiles the validator of a JSON schema, which uses JSON Schema draft 4.
+ *
+ * @private
+ * @param {Object} schema The JSON schema.
+ * @returns {Object} An object with the `ajv` instance and the `validate`
+ *   function of the schema.
+ */
+const compileSchema = function(schema) {
+  if (!validators.has(schema)) {
+    let ajv = new Ajv({allErrors: true});
+    validators.set(schema, {ajv: ajv, validate: ajv.compile(schema)});
+  }
+  return validators.get(schema);
+};
+
 module.exports = KssBuilderBase;
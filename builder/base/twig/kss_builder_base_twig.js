@@ -10,7 +10,7 @@
  */
 
 const KssBuilderBase = require('../kss_builder_base.js'),
-  marked = require('marked'),
+  KssSection = require('../../../lib/kss_section.js'),
   path = require('path'),
   Promise = require('bluebird');
 
@@ -72,11 +72,23 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         describe: 'Placeholder text to use for modifier classes',
         default: '[modifier class]'
       },
+      'max-combinations': {
+        group: 'Style guide:',
+        multiple: false,
+        describe: 'Limit the modifier combinations shown for each section',
+        default: 24
+      },
       'nav-depth': {
         group: 'Style guide:',
         multiple: false,
         describe: 'Limit the navigation to the depth specified',
         default: 3
+      },
+      'nav-hide': {
+        group: 'Style guide:',
+        string: true,
+        choices: KssSection.statuses(),
+        describe: 'Hide the sections with the given status from the navigation'
       }
     });
   }
@@ -105,6 +117,14 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         });
       }).bind(this.Twig);
 
+      // During a rebuild, we need to remove changed templates from the
+      // registry before they can be compiled again.
+      this.Twig.registryRemove = (function(id) {
+        this.extend(function(Twig) {
+          delete Twig.Templates.registry[id];
+        });
+      }).bind(this.Twig);
+
       // Collect the namespaces to be used by Twig.
       this.namespaces = {
         builderTwig: path.resolve(this.options.builder)
@@ -164,6 +184,15 @@ class KssBuilderBaseTwig extends KssBuilderBase {
       });
       this.safeMarkup = safeMarkup;
 
+      // Add the functions generating fake data, e.g. {{ fake_name() }} and
+      // {% for name in fake_list(3, 'name') %}.
+      let fakeData = this.fakeData;
+      ['number', 'name', 'sentence', 'paragraph', 'date', 'image', 'list'].forEach(type => {
+        this.Twig.extendFunction('fake_' + type, function() {
+          return fakeData[type].apply(fakeData, arguments);
+        });
+      });
+
       if (this.options.verbose) {
         this.log('');
         this.log('Building your KSS style guide!');
@@ -182,29 +211,33 @@ class KssBuilderBaseTwig extends KssBuilderBase {
 
       let prepTasks = [];
 
-      // Create a new destination directory.
-      prepTasks.push(
-        fs.mkdirsAsync(this.options.destination).then(() => {
-          // Optionally, copy the contents of the builder's "kss-assets" folder.
-          return fs.copyAsync(
-            path.join(this.options.builder, 'kss-assets'),
-            path.join(this.options.destination, 'kss-assets'),
-            {
-              clobber: true,
-              filter: filePath => {
-                // Only look at the part of the path inside the builder.
-                let relativePath = path.sep + path.relative(this.options.builder, filePath);
-                // Skip any files with a path matching: /node_modules or /.
-                return (new RegExp('^(?!.*\\' + path.sep + '(node_modules$|\\.))')).test(relativePath);
+      // The kss-assets are not needed when kss lint builds the style guide
+      // without saving it, or when kss serve provides them itself.
+      if (!this.options.serve && !this.options.lint) {
+        // Create a new destination directory.
+        prepTasks.push(
+          fs.mkdirsAsync(this.options.destination).then(() => {
+            // Optionally, copy the contents of the builder's "kss-assets" folder.
+            return fs.copyAsync(
+              path.join(this.options.builder, 'kss-assets'),
+              path.join(this.options.destination, 'kss-assets'),
+              {
+                clobber: true,
+                filter: filePath => {
+                  // Only look at the part of the path inside the builder.
+                  let relativePath = path.sep + path.relative(this.options.builder, filePath);
+                  // Skip any files with a path matching: /node_modules or /.
+                  return (new RegExp('^(?!.*\\' + path.sep + '(node_modules$|\\.))')).test(relativePath);
+                }
               }
-            }
-          ).catch(() => {
-            // If the builder does not have a kss-assets folder, ignore the error.
-            // istanbul ignore next
-            return Promise.resolve();
-          });
-        })
-      );
+            ).catch(() => {
+              // If the builder does not have a kss-assets folder, ignore the error.
+              // istanbul ignore next
+              return Promise.resolve();
+            });
+          })
+        );
+      }
 
       // Load modules that extend Twig.
       if (this.options['extend-drupal8']) {
@@ -241,6 +274,17 @@ class KssBuilderBaseTwig extends KssBuilderBase {
    */
   build(styleGuide) {
     this.styleGuide = styleGuide;
+
+    // During a rebuild, we can re-use the templates of the previous build.
+    let previousTemplates = this.userTemplates || {},
+      templateFileNames = [];
+    for (let reference in previousTemplates) {
+      // istanbul ignore else
+      if (previousTemplates.hasOwnProperty(reference)) {
+        templateFileNames = templateFileNames.concat(previousTemplates[reference].fileNames);
+      }
+    }
+    let changes = this.sortChangedFiles(styleGuide, templateFileNames);
     this.userTemplates = {};
 
     // istanbul ignore else
@@ -249,14 +293,18 @@ class KssBuilderBaseTwig extends KssBuilderBase {
     }
 
     // Reset the Twig template registry so KSS can be run in a "watch" task that
-    // does not destroy the Node.js environment between builds.
-    this.Twig.registryReset();
+    // does not destroy the Node.js environment between builds. A rebuild only
+    // removes the changed templates, below.
+    if (!changes || changes.unknown) {
+      this.Twig.registryReset();
+    }
 
-    let buildTasks = [];
+    // Generate the pseudo-class states of the CSS files, if requested.
+    let buildTasks = [this.buildPseudoStates()];
 
     // Compile the index.twig Twig template.
     // istanbul ignore else
-    if (typeof this.templates.index === 'undefined' || /* istanbul ignore next */ typeof this.templates.section === 'undefined') {
+    if (typeof this.templates.index === 'undefined' || /* istanbul ignore next */ typeof this.templates.section === 'undefined' || /* istanbul ignore next */ typeof this.templates['status-report'] === 'undefined') {
       buildTasks.push(
         this.Twig.twigAsync({
           id: '@builderTwig/index.twig',
@@ -270,6 +318,10 @@ class KssBuilderBaseTwig extends KssBuilderBase {
           if (typeof this.templates.section === 'undefined') {
             this.templates.section = template;
           }
+          // istanbul ignore else
+          if (typeof this.templates['status-report'] === 'undefined') {
+            this.templates['status-report'] = template;
+          }
           return Promise.resolve();
         })
       );
@@ -287,7 +339,8 @@ class KssBuilderBaseTwig extends KssBuilderBase {
       this.log('...Determining section markup:');
     }
 
-    let sectionRoots = [];
+    let sectionRoots = [],
+      changedRoots = [];
 
     // Compile an inline template in markup.
     let compileInline = template => {
@@ -304,9 +357,15 @@ class KssBuilderBaseTwig extends KssBuilderBase {
     let saveTemplate = template => {
       this.userTemplates[template.reference] = {
         ref: template.name,
+        reference: template.reference,
         context: template.context,
         exampleRef: template.exampleFile ? template.exampleName : false,
-        exampleContext: template.exampleContext
+        exampleContext: template.exampleContext,
+        source: template.source,
+        file: template.file,
+        fileNames: template.fileNames,
+        fixtures: template.fixtures,
+        schema: template.schema
       };
 
       return Promise.resolve();
@@ -320,124 +379,172 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         sectionRoots.push(currentRoot);
       }
 
-      if (!section.markup()) {
-        return;
+      // Load the section's markup and the markup of each of its named
+      // examples, which are saved as "[reference] ([name])".
+      let markups = section.examples().map(example => {
+        return {reference: section.reference() + ' (' + example.name + ')', markup: example.markup, isExample: true};
+      });
+      if (section.markup()) {
+        markups.unshift({reference: section.reference(), markup: section.markup(), isExample: false});
       }
 
-      // Register all the markup blocks as Twig templates.
-      let template = {
-        name: section.reference(),
-        reference: section.reference(),
-        file: '',
-        markup: section.markup(),
-        context: {},
-        exampleName: false,
-        exampleFile: '',
-        exampleContext: {}
-      };
+      for (let markup of markups) {
+        // During a rebuild, re-use the previous template if its section's markup
+        // and its files are unchanged.
+        let previousTemplate = previousTemplates[markup.reference];
+        if (changes && !changes.unknown && previousTemplate && previousTemplate.source === markup.markup
+          && !previousTemplate.fileNames.some(fileName => changes.fileNames.indexOf(fileName) !== -1)) {
+          if (previousTemplate.file && !markup.isExample) {
+            section.custom('markupFile', previousTemplate.source);
+          }
+          this.userTemplates[markup.reference] = previousTemplate;
+          continue;
+        }
+        if (changedRoots.indexOf(currentRoot) === -1) {
+          changedRoots.push(currentRoot);
+        }
 
-      // Check if the markup is a file path.
-      if (!template.markup.match(/^[^\n]+\.twig$/)) {
-        // istanbul ignore else
-        if (this.options.verbose) {
-          this.log(' - ' + template.reference + ': inline markup');
+        // Register all the markup blocks as Twig templates.
+        let template = {
+          name: markup.reference,
+          reference: markup.reference,
+          source: markup.markup,
+          file: '',
+          fileNames: [],
+          markup: markup.markup,
+          context: {},
+          exampleName: false,
+          exampleFile: '',
+          exampleContext: {},
+          fixtures: [],
+          schema: null
+        };
+        if (changes && previousTemplate) {
+          // Remove the old templates from the Twig registry.
+          this.Twig.registryRemove(previousTemplate.ref);
+          if (previousTemplate.exampleRef) {
+            this.Twig.registryRemove(previousTemplate.exampleRef);
+          }
         }
-        buildTasks.push(
-          compileInline(template).then(saveTemplate)
-        );
-      } else {
-        // Attempt to load the file path.
-        section.custom('markupFile', template.markup);
-        template.file = template.markup;
-        template.name = path.basename(template.file);
-        template.exampleName = 'kss-example-' + template.name;
-
-        let findTemplates = [];
-        this.options.source.forEach(source => {
-          findTemplates.push(glob(source + '/**/' + template.file));
-          findTemplates.push(glob(source + '/**/kss-example-' + template.name));
-        });
-        buildTasks.push(
-          Promise.all(findTemplates).then(globMatches => {
-            let foundTemplate = false,
-              foundExample = false,
-              compileTemplates = [];
-            for (let files of globMatches) {
-              if (!foundTemplate || !foundExample) {
-                for (let file of files) {
-                  // Read the template from the first matched path.
-                  let filename = path.basename(file);
-                  if (!foundTemplate && filename === template.name) {
-                    foundTemplate = true;
-                    template.file = file;
-                    compileTemplates.push(
-                      this.Twig.twigAsync({
-                        id: template.name,
-                        path: file
-                      }).then(() => {
-                        // Load sample context for the template from the sample
-                        // .json file.
-                        try {
-                          template.context = require(path.join(path.dirname(template.file), path.basename(template.name, '.twig') + '.json'));
-                        } catch (error) {
-                          template.context = {};
-                        }
-                        return Promise.resolve();
-                      })
-                    );
-                  } else if (!foundExample && filename === template.exampleName) {
-                    foundExample = true;
-                    template.exampleFile = file;
-                    compileTemplates.push(
-                      this.Twig.twigAsync({
-                        id: template.exampleName,
-                        path: file
-                      }).then(() => {
-                        // Load sample context for the template from the sample
-                        // .json file.
-                        try {
-                          template.exampleContext = require(path.join(path.dirname(template.exampleFile), path.basename(template.exampleName, '.twig') + '.json'));
-                        } catch (error) {
-                          // istanbul ignore next
-                          template.exampleContext = {};
-                        }
-                        return Promise.resolve();
-                      })
-                    );
+
+        // Check if the markup is a file path.
+        if (!template.markup.match(/^[^\n]+\.twig$/)) {
+          // istanbul ignore else
+          if (this.options.verbose) {
+            this.log(' - ' + template.reference + ': inline markup');
+          }
+          buildTasks.push(
+            compileInline(template).then(saveTemplate)
+          );
+        } else {
+          // Attempt to load the file path.
+          if (!markup.isExample) {
+            section.custom('markupFile', template.markup);
+          }
+          template.file = template.markup;
+          template.name = path.basename(template.file);
+          template.exampleName = 'kss-example-' + template.name;
+
+          template.fileNames = [template.name, template.exampleName, path.basename(template.name, '.twig') + '.schema.json'].concat(this.contextFileNames(template.name), this.contextFileNames(template.exampleName));
+
+          let findTemplates = [];
+          this.options.source.forEach(source => {
+            findTemplates.push(glob(source + '/**/' + template.file));
+            findTemplates.push(glob(source + '/**/kss-example-' + template.name));
+          });
+          buildTasks.push(
+            Promise.all(findTemplates).then(globMatches => {
+              let foundTemplate = false,
+                foundExample = false,
+                compileTemplates = [];
+              for (let files of globMatches) {
+                if (!foundTemplate || !foundExample) {
+                  for (let file of files) {
+                    // Read the template from the first matched path.
+                    let filename = path.basename(file);
+                    if (!foundTemplate && filename === template.name) {
+                      foundTemplate = true;
+                      template.file = file;
+                      compileTemplates.push(
+                        this.loadSchema(file).then(schema => {
+                          template.schema = schema;
+                          // Load the context fixtures and the sample context
+                          // for the template from its context file, e.g. the
+                          // sample .json file, and check them with the schema.
+                          return Promise.all([
+                            this.loadFixtures(file, section, schema),
+                            this.loadTemplateContext(file, section, schema)
+                          ]);
+                        }).then(contexts => {
+                          template.fixtures = contexts[0];
+                          for (let fixture of template.fixtures) {
+                            template.fileNames.push(fixture.file);
+                          }
+                          template.context = contexts[1];
+                        }),
+                        this.Twig.twigAsync({
+                          id: template.name,
+                          path: file
+                        })
+                      );
+                    } else if (!foundExample && filename === template.exampleName) {
+                      foundExample = true;
+                      template.exampleFile = file;
+                      compileTemplates.push(
+                        this.Twig.twigAsync({
+                          id: template.exampleName,
+                          path: file
+                        }).then(() => {
+                          // Load sample context for the template from its
+                          // context file, e.g. the sample .json file.
+                          return this.loadTemplateContext(template.exampleFile, section);
+                        }).then(context => {
+                          template.exampleContext = context;
+                        })
+                      );
+                    }
                   }
                 }
               }
-            }
 
-            // If the markup file is not found, note that in the style guide.
-            if (!foundTemplate && !foundExample) {
-              template.markup += ' NOT FOUND!';
-              if (!this.options.verbose) {
-                this.log('WARNING: In section ' + template.reference + ', ' + template.markup);
+              // If the markup file is not found, note that in the style guide.
+              if (!foundTemplate && !foundExample) {
+                template.markup += ' NOT FOUND!';
+                if (!this.options.verbose) {
+                  this.log('WARNING: In section ' + template.reference + ', ' + template.markup);
+                }
+                let sourceFile = section.custom('sourceFile') || {};
+                this.addDiagnostic({
+                  severity: 'error',
+                  rule: 'markup-not-found',
+                  message: 'The markup file "' + template.file + '" of section ' + template.reference + ' was not found.',
+                  file: sourceFile.path,
+                  line: sourceFile.line
+                });
+                compileTemplates.push(
+                  compileInline(template)
+                );
+              } else /* istanbul ignore if */ if (!foundTemplate) {
+                // If we found an example, but no template, compile an empty
+                // template.
+                compileTemplates.push(
+                  this.Twig.twigAsync({
+                    id: template.name,
+                    data: '{# Cannot be an empty string. #}'
+                  })
+                );
               }
-              compileTemplates.push(
-                compileInline(template)
-              );
-            } else /* istanbul ignore if */ if (!foundTemplate) {
-              // If we found an example, but no template, compile an empty
-              // template.
-              compileTemplates.push(
-                this.Twig.twigAsync({
-                  id: template.name,
-                  data: '{# Cannot be an empty string. #}'
-                })
-              );
-            }
 
-            if (this.options.verbose) {
-              this.log(' - ' + template.reference + ': ' + template.markup);
-            }
+              if (this.options.verbose) {
+                this.log(' - ' + template.reference + ': ' + template.markup);
+              }
 
-            return Promise.all(compileTemplates).then(() => {
-              return template;
-            });
-          }).then(saveTemplate)
-        );
+              return Promise.all(compileTemplates).then(() => {
+                return template;
+              });
+            }).then(saveTemplate)
+          );
+        }
       }
     });
 
@@ -446,17 +553,28 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         this.log('...Building style guide pages:');
       }
 
-      let buildPageTasks = [];
+      let buildPageTasks = [],
+        buildAllPages = !changes || changes.stylesheets || changes.unknown;
 
       // Build the homepage.
-      buildPageTasks.push(this.buildPage('index', null, []));
+      if (buildAllPages || changes.homepage) {
+        buildPageTasks.push(this.buildPage('index', null, []));
+      }
 
       // Group all of the sections by their root reference, and make a page for
       // each.
       sectionRoots.forEach(rootReference => {
-        buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        if (buildAllPages || changedRoots.indexOf(rootReference) !== -1) {
+          buildPageTasks.push(this.buildPage('section', rootReference, this.styleGuide.sections(rootReference + '.*')));
+        }
       });
 
+      // Build the report of the deprecated and experimental sections, if
+      // requested.
+      buildPageTasks.push(this.buildStatusReport().then(report => {
+        return report ? this.buildPage('status-report', null, [], {statusReport: {sections: report}}) : null;
+      }));
+
       return Promise.all(buildPageTasks);
     }).then(() => {
       // We return the KssStyleGuide, just like KssBuilderBase.build() does.
@@ -464,6 +582,34 @@ class KssBuilderBaseTwig extends KssBuilderBase {
     });
   }
 
+  /**
+   * Rebuild the style guide after some of its source files have changed.
+   *
+   * Unlike a full build, the kss-assets are not copied again and the Twig
+   * extensions are not re-loaded. Only the templates whose files have changed
+   * are compiled again, and only the pages affected by the changes are
+   * re-built.
+   *
+   * @param {KssStyleGuide} styleGuide The KSS style guide in object format.
+   * @param {string[]} changedFiles The full paths of the changed files.
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to a
+   *   `KssStyleGuide` object.
+   */
+  rebuild(styleGuide, changedFiles) {
+    this.changedFiles = changedFiles;
+
+    // Only run KssBuilderBase's prepare() tasks.
+    return super.prepare(styleGuide).then(styleGuide => {
+      return this.build(styleGuide);
+    }).then(styleGuide => {
+      this.changedFiles = false;
+      return styleGuide;
+    }, error => {
+      this.changedFiles = false;
+      throw error;
+    });
+  }
+
   /**
    * Creates a 2-level hierarchical menu from the style guide.
    *
@@ -482,6 +628,8 @@ class KssBuilderBaseTwig extends KssBuilderBase {
       delete menuItem.markup;
       delete menuItem.modifiers;
       delete menuItem.parameters;
+      delete menuItem.colors;
+      delete menuItem.source;
 
       // Mark the current page in the menu.
       menuItem.isActive = (menuItem.reference === pageReference);
@@ -492,12 +640,17 @@ class KssBuilderBaseTwig extends KssBuilderBase {
       return menuItem;
     };
 
+    // Leave out the sections with a status hidden by the nav-hide option.
+    const isShown = section => {
+      return this.options['nav-hide'].indexOf(section.status().name) === -1;
+    };
+
     // Retrieve all the root sections of the style guide.
-    return this.styleGuide.sections('x').map(rootSection => {
+    return this.styleGuide.sections('x').filter(isShown).map(rootSection => {
       let menuItem = toMenuItem(rootSection);
 
       // Retrieve the child sections for each of the root sections.
-      menuItem.children = this.styleGuide.sections(rootSection.reference() + '.*').slice(1).map(toMenuItem);
+      menuItem.children = this.styleGuide.sections(rootSection.reference() + '.*').slice(1).filter(isShown).map(toMenuItem);
 
       // Remove menu items that are deeper than the nav-depth option.
       for (let i = 0; i < menuItem.children.length; i++) {
@@ -528,68 +681,167 @@ class KssBuilderBaseTwig extends KssBuilderBase {
     context.sections = sections.map(section => {
       return section.toJSON();
     });
+    context.sections.forEach((section, index) => {
+      // A custom "Status" property replaces the status of the section.
+      if (typeof sections[index].custom('status') !== 'undefined') {
+        return;
+      }
+      // Link the replacement of the section to its page.
+      if (section.status.replacementURI) {
+        section.status.replacementURL = this.sectionURL(section.status.replacement);
+      }
+    });
     context.hasNumericReferences = this.styleGuide.hasNumericReferences();
     context.userTemplates = this.userTemplates;
     context.options = this.options || /* istanbul ignore next */ {};
 
+    /* eslint-disable camelcase */
+
+    // Render a markup template, or its kss-example-* template, with the
+    // placeholder and with each of the given modifiers.
+    let renderMarkup = (templateInfo, modifiers) => {
+      // Seed the fake data before each render, so the markup of every
+      // modifier shows the same fake data on every build.
+      let render = (template, data) => {
+        this.fakeData.seed(templateInfo.reference);
+        return template.render(this.safeMarkup(data));
+      };
+
+      return this.Twig.twigAsync({
+        ref: templateInfo.ref
+      }).then(template => {
+        // Copy the template.context so we can modify it.
+        let data = JSON.parse(JSON.stringify(templateInfo.context));
+
+        // Display the placeholder if the section has modifiers; the modifiers'
+        // attributes are only added to their own markup.
+        data.modifier_class = data.modifier_class || '';
+        data.modifier_attributes = data.modifier_attributes || '';
+        if (modifiers.length !== 0 && this.options.placeholder) {
+          data.modifier_class += (data.modifier_class ? ' ' : '') + this.options.placeholder;
+        }
+
+        let rendered = {
+          markup: render(template, data)
+        };
+        rendered.example = rendered.markup;
+
+        let getExampleTemplate,
+          templateContext;
+        if (templateInfo.exampleRef) {
+          getExampleTemplate = this.Twig.twigAsync({
+            ref: templateInfo.exampleRef
+          });
+          templateContext = templateInfo.exampleContext;
+        } else {
+          getExampleTemplate = Promise.resolve(template);
+          templateContext = templateInfo.context;
+        }
+
+        return getExampleTemplate.then(template => {
+          if (templateInfo.exampleRef) {
+            let data = JSON.parse(JSON.stringify(templateContext));
+            data.modifier_class = data.modifier_class || /* istanbul ignore next */ '';
+            data.modifier_attributes = data.modifier_attributes || '';
+            // istanbul ignore else
+            if (modifiers.length !== 0 && this.options.placeholder) {
+              data.modifier_class += (data.modifier_class ? ' ' : /* istanbul ignore next */ '') + this.options.placeholder;
+            }
+            rendered.example = render(template, data);
+          }
+
+          // Renders the example with the given classes and attributes.
+          rendered.render = (className, attributes) => {
+            let data = JSON.parse(JSON.stringify(templateContext));
+            data.modifier_class = (data.modifier_class ? data.modifier_class + ' ' : '') + className;
+            data.modifier_attributes = [data.modifier_attributes].concat(attributes).filter(attributes => attributes).join(' ');
+            return render(template, data);
+          };
+          rendered.modifiers = modifiers.map(modifier => rendered.render(modifier.className, modifier.attributes));
+
+          return rendered;
+        });
+      });
+    };
+    /* eslint-enable camelcase */
+
+    // Render a named example with its markup and the markup of its modifiers.
+    let renderExample = (example, templateInfo, modifiers) => {
+      return renderMarkup(templateInfo, modifiers).then(rendered => {
+        example.markupFile = templateInfo.file ? templateInfo.source : '';
+        example.markup = rendered.markup;
+        example.example = rendered.example;
+        example.modifiers = modifiers.map((modifier, modifierIndex) => {
+          return Object.assign({}, modifier, {markup: rendered.modifiers[modifierIndex]});
+        });
+      });
+    };
+
     // Render the template for each section markup and modifier.
     return Promise.all(
-      context.sections.map(section => {
+      context.sections.map((section, index) => {
+        let renderTasks = [],
+          templates = [];
         if (section.markup) {
           // Load the information about this section's markup template.
           let templateInfo = this.userTemplates[section.reference];
-          return this.Twig.twigAsync({
-            ref: templateInfo.ref
-          }).then(template => {
-            // Copy the template.context so we can modify it.
-            let data = JSON.parse(JSON.stringify(templateInfo.context));
-
-            /* eslint-disable camelcase */
-
-            // Display the placeholder if the section has modifiers.
-            data.modifier_class = data.modifier_class || '';
-            if (section.modifiers.length !== 0 && this.options.placeholder) {
-              data.modifier_class += (data.modifier_class ? ' ' : '') + this.options.placeholder;
+          templates.push({name: '', templateInfo: templateInfo});
+
+          // Show the template variables described by the template's schema
+          // along with the section's own parameters.
+          if (templateInfo.schema) {
+            let names = section.parameters.map(parameter => parameter.name);
+            for (let parameter of this.schemaParameters(templateInfo.schema)) {
+              if (names.indexOf(parameter.name()) === -1) {
+                section.parameters.push(parameter.toJSON());
+              }
             }
+          }
 
-            section.markup = template.render(this.safeMarkup(data));
-            section.example = section.markup;
-
-            let getExampleTemplate,
-              templateContext;
-            if (templateInfo.exampleRef) {
-              getExampleTemplate = this.Twig.twigAsync({
-                ref: templateInfo.exampleRef
-              });
-              templateContext = templateInfo.exampleContext;
-            } else {
-              getExampleTemplate = Promise.resolve(template);
-              templateContext = templateInfo.context;
-            }
+          renderTasks.push(renderMarkup(templateInfo, section.modifiers).then(rendered => {
+            section.markup = rendered.markup;
+            section.example = rendered.example;
+            section.modifiers.forEach((modifier, modifierIndex) => {
+              modifier.markup = rendered.modifiers[modifierIndex];
+            });
 
+            // Render the combinations of the modifier groups.
             /* eslint-disable max-nested-callbacks */
-            return getExampleTemplate.then(template => {
-              if (templateInfo.exampleRef) {
-                let data = JSON.parse(JSON.stringify(templateContext));
-                data.modifier_class = data.modifier_class || /* istanbul ignore next */ '';
-                // istanbul ignore else
-                if (section.modifiers.length !== 0 && this.options.placeholder) {
-                  data.modifier_class += (data.modifier_class ? ' ' : /* istanbul ignore next */ '') + this.options.placeholder;
-                }
-                section.example = template.render(this.safeMarkup(data));
-              }
-              section.modifiers.forEach(modifier => {
-                let data = JSON.parse(JSON.stringify(templateContext));
-                data.modifier_class = (data.modifier_class ? data.modifier_class + ' ' : '') + modifier.className;
-                modifier.markup = template.render(this.safeMarkup(data));
-              });
-              return Promise.resolve();
+            section.combinations = sections[index].combinations(this.options['max-combinations']).map(combination => {
+              let className = combination.map(modifier => modifier.className()).filter(name => name).join(' ');
+              return {
+                modifiers: combination.map(modifier => modifier.name()),
+                className: className,
+                markup: rendered.render(className, combination.map(modifier => modifier.attributes()))
+              };
             });
-            /* eslint-enable camelcase, max-nested-callbacks */
-          });
-        } else {
-          return Promise.resolve();
+            /* eslint-enable max-nested-callbacks */
+            section.hiddenCombinations = sections[index].combinationCount() - section.combinations.length;
+          }));
+        }
+
+        // Render each of the named examples with the section's modifiers.
+        for (let example of section.examples) {
+          let templateInfo = this.userTemplates[section.reference + ' (' + example.name + ')'];
+          templates.push({name: example.name, templateInfo: templateInfo});
+          renderTasks.push(renderExample(example, templateInfo, section.modifiers));
+        }
+
+        // Add an example for each context fixture of the section's templates,
+        // e.g. "featured" for the card.featured.json fixture of card.twig.
+        for (let template of templates) {
+          for (let fixture of template.templateInfo.fixtures || []) {
+            let example = {
+              name: template.name ? template.name + ': ' + fixture.name : fixture.name,
+              contextFile: fixture.file
+            };
+            example.referenceURI = section.referenceURI + '--' + encodeURI(example.name.replace(/[^\w-]+/g, '-').toLowerCase());
+            section.examples.push(example);
+            renderTasks.push(renderExample(example, Object.assign({}, template.templateInfo, {context: fixture.context, exampleRef: false}), section.modifiers));
+          }
         }
+
+        return Promise.all(renderTasks);
       })
     ).then(() => {
 
@@ -603,6 +855,10 @@ class KssBuilderBaseTwig extends KssBuilderBase {
             context.styles = context.styles + '<link rel="stylesheet" href="' + this.options.css[key] + '">\n';
           }
         }
+        // Load the pseudo-class states after the CSS files.
+        if (this.options['pseudo-states']) {
+          context.styles += '<link rel="stylesheet" href="kss-pseudo-states.css">\n';
+        }
       }
       // istanbul ignore else
       if (typeof context.scripts === 'undefined') {
@@ -635,7 +891,7 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         // Convert the pageReference to be URI-friendly.
         pageReference = rootSection.referenceURI();
       } else if (this.options.verbose) {
-        this.log(' - homepage');
+        this.log(templateName === 'index' ? ' - homepage' : ' - ' + templateName);
       }
       let fileName = templateName + (pageReference ? '-' + pageReference : '') + '.html';
 
@@ -663,7 +919,7 @@ class KssBuilderBaseTwig extends KssBuilderBase {
         }).then(homePageText => {
           // Ensure homePageText is a non-false value. And run any results through
           // Markdown.
-          context.homepage = homePageText ? marked(homePageText) : ' ';
+          context.homepage = homePageText ? this.renderMarkdown(homePageText) : ' ';
           return Promise.resolve();
         });
       } else {
@@ -673,7 +929,7 @@ class KssBuilderBaseTwig extends KssBuilderBase {
 
       return getHomepageText.then(() => {
         // Render the template and save it to the destination.
-        return fs.writeFileAsync(
+        return this.writeFile(
           path.join(this.options.destination, fileName),
           this.templates[templateName].render(context)
         );
@@ -42,6 +42,11 @@
     if (el = document.getElementById(id)) {
       el.classList.toggle('is-fullscreen');
       document.body.classList.toggle('kss-fullscreen-mode');
+      // Keep the ancestors of the element, e.g. the section of a named
+      // example, visible.
+      for (var parent = el.parentNode; parent && parent !== document.body; parent = parent.parentNode) {
+        parent.classList.toggle('has-fullscreen');
+      }
 
       // When enabling the focus mode, change the location hash.
       if (el.classList.contains('is-fullscreen')) {
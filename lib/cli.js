@@ -26,7 +26,10 @@ const fs = Promise.promisifyAll(require('fs-extra'));
  *
  * @param {Object} opts The `stdout`, `stderr` and `argv` options to use.
  * @returns {Promise.<KssStyleGuide|null>} A `Promise` object resolving to a
- *   `KssStyleGuide` object, or to `null` if the clone option is used.
+ *   `KssStyleGuide` object, or to `null` if the clone option is used. If the
+ *   watch option or the serve command is used, the `Promise` resolves once the
+ *   watcher or server is closed. If the lint command finds errors, the
+ *   `Promise` is rejected.
  */
 const cli = function(opts) {
   // First 2 args are "node" and path to kss script; we don't need them.
@@ -42,6 +45,13 @@ const cli = function(opts) {
     opts.stdout.write(message + '\n');
   };
 
+  // The "serve" command builds the style guide in memory and serves it. The
+  // "lint" command reports the problems found in the style guide.
+  let command = false;
+  if (args[0] === 'serve' || args[0] === 'lint') {
+    command = args.shift();
+  }
+
   // If the demo is requested, load the settings from its config file.
   if (args.indexOf('--demo') !== -1) {
     // Add the configuration file to the raw arguments list.
@@ -63,6 +73,27 @@ const cli = function(opts) {
       describe: 'Builds a KSS demo.',
       default: false
     },
+    'watch': {
+      multiple: false,
+      boolean: true,
+      describe: 'Rebuild the style guide when its source files change',
+      default: false
+    },
+    'port': {
+      group: 'Server:',
+      multiple: false,
+      number: true,
+      describe: 'Port number used by "kss serve"',
+      default: 8080
+    },
+    'reporter': {
+      group: 'Lint:',
+      multiple: false,
+      string: true,
+      choices: ['text', 'json'],
+      describe: 'Format of the report of "kss lint"',
+      default: 'text'
+    },
     // Prevent yargs from complaining about JSON comments in the config file.
     '//': {
       describe: 'Comments in JSON files will be ignored'
@@ -150,7 +181,7 @@ const cli = function(opts) {
     options = yargs(args)
       .options(builder.getOptionDefinitions())
       // Make a --help option available.
-      .usage('Usage: kss [options]')
+      .usage('Usage: kss [serve|lint] [options]')
       .help('help')
       .alias('help', 'h')
       .alias('help', '?')
@@ -226,6 +257,13 @@ const cli = function(opts) {
       }
     }
 
+    // Note the command being run, then remove the options kss() does not use.
+    let reporter = options.reporter;
+    if (command) {
+      options[command] = true;
+    }
+    delete options.reporter;
+
     // Pass on cli()'s stdout/stderr reporters to kss().
     options.logFunction = reportMessage;
     options.logErrorFunction = reportError;
@@ -233,7 +271,34 @@ const cli = function(opts) {
     return Promise.all([
       demo,
       kss(options)
-    ]);
+    ]).then(results => {
+      // In lint mode, report the diagnostics found.
+      if (results[1] instanceof kss.KssDiagnostics) {
+        let diagnostics = results[1];
+        opts.stdout.write(diagnostics.report(reporter) + '\n');
+        // Fail if any errors were found.
+        if (diagnostics.hasErrors()) {
+          return Promise.reject(new Error('kss lint found ' + diagnostics.errors().length + ' error(s).'));
+        }
+        return results;
+      }
+      // In watch or serve mode, keep running until the watcher or server is
+      // closed, e.g. when the user presses Ctrl+C.
+      if (results[1] instanceof kss.KssWatcher || results[1] instanceof kss.KssServer) {
+        let watcher = results[1];
+        return new Promise(resolve => {
+          let stop = () => {
+            watcher.close();
+          };
+          process.once('SIGINT', stop);
+          watcher.once('close', () => {
+            process.removeListener('SIGINT', stop);
+            resolve(results);
+          });
+        });
+      }
+      return results;
+    });
   });
 };
 
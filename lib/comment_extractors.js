@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+ * The `kss/lib/comment_extractors` module is normally accessed via the
+ * [`commentExtractors`]{@link module:kss.commentExtractors} object of the `kss`
+ * module:
+ * ```
+ * const kss = require('kss');
+ * kss.commentExtractors.add('.vue', extractor);
+ * ```
+ * @private
+ * @module kss/lib/comment_extractors
+ */
+
+const path = require('path');
+
+/**
+ * Returns an array of comment blocks found within a CSS, Less, Sass (SCSS
+ * syntax) or Stylus string.
+ *
+ * `//`, `/* *\/` and `/** *\/` comments are found.
+ *
+ * @private
+ * @param  {String} input The string to search.
+ * @returns {Array} An array of blocks found as objects containing line, text,
+ *   and raw properties.
+ */
+const css = function(input) {
+  /* eslint-disable key-spacing */
+  const commentRegex = {
+    single:        /^\s*\/\/.*$/,
+    docblockStart: /^\s*\/\*\*\s*$/,
+    multiStart:    /^\s*\/\*+\s*$/,
+    multiFinish:   /^\s*\*\/\s*$/
+  };
+  /* eslint-enable key-spacing */
+
+  let blocks = [],
+    block = {
+      line: 0,
+      text: '',
+      raw: ''
+    },
+    indentAmount = false,
+    insideSingleBlock = false,
+    insideMultiBlock = false,
+    insideDocblock = false;
+
+  // Add an empty line to catch any comment at the end of the input.
+  input += '\n';
+  const lines = input.split('\n');
+  for (let i = 0; i < lines.length; i += 1) {
+    let line = lines[i];
+
+    // Remove trailing space.
+    line = line.replace(/\s*$/, '');
+
+    // Single-line parsing.
+    if (!insideMultiBlock && !insideDocblock && line.match(commentRegex.single)) {
+      block.raw += line + '\n';
+      // Add the current line (and a newline) minus the comment marker.
+      block.text += line.replace(/^\s*\/\/\s?/, '') + '\n';
+      if (!insideSingleBlock) {
+        block.line = i + 1;
+      }
+      insideSingleBlock = true;
+      // Continue to next line.
+      continue;
+    }
+
+    // If we have reached the end of the current block, save it.
+    if (insideSingleBlock || (insideMultiBlock || insideDocblock) && line.match(commentRegex.multiFinish)) {
+      let doneWithCurrentLine = !insideSingleBlock;
+      block.text = block.text.replace(/^\n+/, '').replace(/\n+$/, '');
+      blocks.push(block);
+      insideMultiBlock = insideDocblock = insideSingleBlock = indentAmount = false;
+      block = {
+        line: 0,
+        text: '',
+        raw: ''
+      };
+      // If we "found" the end of a single-line comment block, we are not done
+      // processing the current line and cannot skip the rest of this loop.
+      if (doneWithCurrentLine) {
+        continue;
+      }
+    }
+
+    // Docblock parsing.
+    if (line.match(commentRegex.docblockStart)) {
+      insideDocblock = true;
+      block.raw += line + '\n';
+      block.line = i + 1;
+      continue;
+    }
+    if (insideDocblock) {
+      block.raw += line + '\n';
+      // Add the current line (and a newline) minus the comment marker.
+      block.text += line.replace(/^\s*\*\s?/, '') + '\n';
+      continue;
+    }
+
+    // Multi-line parsing.
+    if (line.match(commentRegex.multiStart)) {
+      insideMultiBlock = true;
+      block.raw += line + '\n';
+      block.line = i + 1;
+      continue;
+    }
+    if (insideMultiBlock) {
+      block.raw += line + '\n';
+      // If this is the first interior line, determine the indentation amount.
+      if (indentAmount === false) {
+        // Skip initial blank lines.
+        if (line === '') {
+          continue;
+        }
+        indentAmount = line.match(/^\s*/)[0];
+      }
+      // Always strip same indentation amount from each line.
+      block.text += line.replace(new RegExp('^' + indentAmount), '', 1) + '\n';
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Returns an array of comment blocks found within a Sass string written in the
+ * indented syntax.
+ *
+ * In the indented syntax, a `//` or `/*` comment continues on the following
+ * lines that are indented deeper than the comment marker; a closing `*\/` is
+ * optional. Consecutive `//` lines are also treated as a single comment block.
+ *
+ * @private
+ * @param  {String} input The string to search.
+ * @returns {Array} An array of blocks found as objects containing line, text,
+ *   and raw properties.
+ */
+const sass = function(input) {
+  let blocks = [],
+    block = false,
+    // The indentation of the current block's comment marker.
+    markerIndent = 0,
+    // The indentation stripped from the lines following the comment marker.
+    indentAmount = false,
+    // Whether the previous line was a "//" line of the current block.
+    afterSingleLine = false;
+
+  let saveBlock = function() {
+    // Remove the empty lines at the end of the block.
+    block.raw = block.raw.replace(/\n+$/, '\n');
+    block.text = block.text.replace(/^\n+/, '').replace(/\n+$/, '');
+    blocks.push(block);
+    block = false;
+  };
+
+  const lines = input.split('\n');
+  for (let i = 0; i < lines.length; i += 1) {
+    // Remove trailing space.
+    let line = lines[i].replace(/\s*$/, ''),
+      marker = line.match(/^(\s*)(\/\/|\/\*+)\s?(.*)$/);
+
+    if (block) {
+      // Add an empty line or a line indented deeper than the comment marker.
+      if (line === '' || line.match(/^\s*/)[0].length > markerIndent) {
+        // If this is the first interior line, determine the indentation amount.
+        if (indentAmount === false && line !== '') {
+          indentAmount = line.match(/^\s*/)[0];
+        }
+        block.raw += line + '\n';
+        block.text += line.replace(new RegExp('^' + (indentAmount || '')), '', 1).replace(/\s*\*\/$/, '') + '\n';
+        afterSingleLine = false;
+        continue;
+      }
+
+      // Add the next line of a series of "//" lines.
+      if (afterSingleLine && marker && marker[2] === '//' && marker[1].length === markerIndent) {
+        block.raw += line + '\n';
+        block.text += marker[3] + '\n';
+        continue;
+      }
+
+      // We have reached the end of the current block, save it.
+      saveBlock();
+    }
+
+    // Start a new block, unless it is a "/* */" comment on a single line.
+    if (marker && !(marker[2] !== '//' && /\*\/$/.test(marker[3]))) {
+      block = {
+        line: i + 1,
+        text: marker[3] + '\n',
+        raw: line + '\n'
+      };
+      markerIndent = marker[1].length;
+      indentAmount = false;
+      afterSingleLine = marker[2] === '//';
+    }
+  }
+
+  // Save the comment block at the end of the input.
+  if (block) {
+    saveBlock();
+  }
+
+  return blocks;
+};
+
+/**
+ * Creates a comment extractor for a syntax whose comments have a start marker
+ * and an end marker, e.g. `<!--` and `-->`.
+ *
+ * A comment block must start at the beginning of a line, ignoring white space.
+ * The indentation of the first indented line inside the comment is removed
+ * from each line of the comment.
+ *
+ * @private
+ * @param {Array} delimiters An array of objects with a `start` RegExp, matching
+ *   the start of the line up to and including the start marker, and an `end`
+ *   string.
+ * @returns {Function} The comment extractor.
+ */
+const delimited = function(delimiters) {
+  const extractor = function(input) {
+    let blocks = [],
+      block = false,
+      end = '',
+      indentAmount = false;
+
+    const lines = input.split('\n');
+    for (let i = 0; i < lines.length; i += 1) {
+      // Remove trailing space.
+      let line = lines[i].replace(/\s*$/, ''),
+        text;
+
+      if (!block) {
+        // Start a new block if the line starts with a comment marker.
+        let delimiter = delimiters.find(delimiter => {
+          return delimiter.start.test(line);
+        });
+        if (!delimiter) {
+          continue;
+        }
+        block = {
+          line: i + 1,
+          text: '',
+          raw: ''
+        };
+        end = delimiter.end;
+        indentAmount = false;
+        // Remove the comment marker.
+        text = line.replace(delimiter.start, '').replace(/^\s+/, '');
+      } else {
+        // If this is the first interior line, determine the indentation amount.
+        if (indentAmount === false && line !== '') {
+          indentAmount = line.match(/^\s*/)[0];
+        }
+        // Always strip same indentation amount from each line.
+        text = line.replace(new RegExp('^' + (indentAmount || '')), '', 1);
+      }
+
+      block.raw += line + '\n';
+
+      // If we have reached the end of the current block, save it.
+      let endIndex = text.indexOf(end);
+      if (endIndex !== -1) {
+        block.text += text.slice(0, endIndex).replace(/\s+$/, '');
+        block.text = block.text.replace(/^\n+/, '').replace(/\n+$/, '');
+        blocks.push(block);
+        block = false;
+      } else {
+        block.text += text + '\n';
+      }
+    }
+
+    return blocks;
+  };
+  // Since extractors for different delimiters share the same source, keep the
+  // delimiters to tell them apart in the cache fingerprint.
+  extractor.delimiters = delimiters;
+  return extractor;
+};
+
+/**
+ * Returns an array of comment blocks found within a Handlebars template.
+ *
+ * `{{!-- --}}` and `{{! }}` comments are found.
+ *
+ * @private
+ * @function
+ * @param  {String} input The string to search.
+ * @returns {Array} An array of blocks found as objects containing line, text,
+ *   and raw properties.
+ */
+const handlebars = delimited([
+  {start: /^\s*\{\{!--/, end: '--}}'},
+  {start: /^\s*\{\{!/, end: '}}'}
+]);
+
+/**
+ * Returns an array of comment blocks found within a Twig template.
+ *
+ * `{# #}` comments are found.
+ *
+ * @private
+ * @function
+ * @param  {String} input The string to search.
+ * @returns {Array} An array of blocks found as objects containing line, text,
+ *   and raw properties.
+ */
+const twig = delimited([
+  {start: /^\s*\{#/, end: '#}'}
+]);
+
+/**
+ * Returns an array of comment blocks found within an HTML file.
+ *
+ * `<!-- -->` comments are found.
+ *
+ * @private
+ * @function
+ * @param  {String} input The string to search.
+ * @returns {Array} An array of blocks found as objects containing line, text,
+ *   and raw properties.
+ */
+const html = delimited([
+  {start: /^\s*<!--/, end: '-->'}
+]);
+
+// The comment extractors, keyed by file extension.
+const extractors = {};
+
+/**
+ * Adds a comment extractor for the given file extensions.
+ *
+ * A comment extractor is a function that is given the contents of a file (with
+ * Unix line endings) and returns an array of the comment blocks found. Each
+ * comment block is an object with these properties:
+ * - `line`: the line number of the start of the comment.
+ * - `text`: the text of the comment, without the comment markers.
+ * - `raw`: the lines of the file containing the comment.
+ *
+ * Adding an extractor for an extension that already has one replaces the
+ * existing extractor. Note that `traverse()` only reads the files matching its
+ * `mask` option.
+ *
+ * ```
+ * const kss = require('kss');
+ * kss.commentExtractors.add(['.vue'], kss.commentExtractors.html);
+ * ```
+ *
+ * @alias module:kss.commentExtractors.add
+ * @param {string|string[]} extensions The file extension (e.g. ".twig") or an
+ *   array of file extensions.
+ * @param {Function} extractor The comment extractor.
+ */
+const add = function(extensions, extractor) {
+  if (!Array.isArray(extensions)) {
+    extensions = [extensions];
+  }
+  for (let extension of extensions) {
+    extension = extension.toLowerCase();
+    extractors[extension.charAt(0) === '.' ? extension : '.' + extension] = extractor;
+  }
+};
+
+/**
+ * Returns the comment extractor for a file.
+ *
+ * @alias module:kss.commentExtractors.get
+ * @param {string} [file] Optional. The path or name of the file. If not given,
+ *   or if no extractor was added for the file's extension, the CSS extractor is
+ *   returned.
+ * @returns {Function} The comment extractor.
+ */
+const get = function(file) {
+  let extension = path.extname(file || '').toLowerCase();
+  return extractors.hasOwnProperty(extension) ? extractors[extension] : css;
+};
+
+// Add the built-in comment extractors.
+add(['.css', '.less', '.scss', '.styl', '.stylus'], css);
+add('.sass', sass);
+add(['.hbs', '.handlebars'], handlebars);
+add('.twig', twig);
+add(['.html', '.htm'], html);
+
+module.exports = {
+  add: add,
+  get: get,
+  css: css,
+  sass: sass,
+  handlebars: handlebars,
+  twig: twig,
+  html: html
+};
@@ -17,10 +17,18 @@
  * const KssSection    = require('kss').KssSection;
  * const KssModifier   = require('kss').KssModifier;
  * const KssParameter  = require('kss').KssParameter;
+ * const KssColor      = require('kss').KssColor;
+ * const KssFakeData   = require('kss').KssFakeData;
+ * const KssCache      = require('kss').KssCache;
+ * const KssDiagnostics = require('kss').KssDiagnostics;
+ * const KssWatcher    = require('kss').KssWatcher;
+ * const KssServer     = require('kss').KssServer;
  *
  * const kss           = require('kss');
  * const traverse      = require('kss').traverse();
  * const parse         = require('kss').parse();
+ * const commentExtractors = require('kss').commentExtractors;
+ * const markdown      = require('kss').markdown();
  * ```
  *
  * The usual style guide build process:
@@ -31,7 +39,9 @@
  *   `parse()`.
  * - The `parse()` function finds the KSS comments in the provided text, creates
  *   a JSON object containing all the parsed data and passes it the
- *   `new KssStyleGuide(data)` constructor to create a style guide object.
+ *   `new KssStyleGuide(data)` constructor to create a style guide object. The
+ *   comments of each file are found by the comment extractor registered for
+ *   the file's extension in `commentExtractors`.
  * - The `kss()` function loads the specified builder, which is a collection of
  *   files and an optional module that provides a sub-class of `KssBuilderBase`.
  * - `kss()` passes its options to the builder the builder's `addOptions()`
@@ -41,20 +51,54 @@
  *   has one.)
  * - The builder's `build()` method is run and the style guide files are
  *   created in the specified destination.
+ * - If the `watch` option is used, a `KssWatcher` object watches the `source`
+ *   directories and calls the builder's `rebuild()` method when files change.
+ * - If the `serve` option is used, the style guide is built in memory and a
+ *   `KssServer` object serves it (and live reloads it) while a `KssWatcher`
+ *   object watches for changes.
+ * - If the `lint` option is used, the style guide is built without being
+ *   saved and the problems found are collected in a `KssDiagnostics` object.
  * @module kss
  */
 
 const KssBuilderBase = require('../builder'),
+  KssCache = require('./kss_cache.js'),
+  KssDiagnostics = require('./kss_diagnostics.js'),
+  KssServer = require('./kss_server.js'),
+  KssWatcher = require('./kss_watcher.js'),
   path = require('path'),
   Promise = require('bluebird'),
   traverse = require('./traverse.js');
 
+// The problems reported even when not linting, since they change what is shown
+// in the style guide or point to modifiers that are out of date.
+const buildRules = ['duplicate-reference', 'invalid-custom-property', 'unknown-modifier', 'undocumented-modifier'];
+
+/**
+ * Logs the problems found while building that are reported even when not
+ * linting.
+ *
+ * @private
+ * @param {KssBuilderBase} builder The builder used to log the problems.
+ * @param {Array} diagnostics The problems found.
+ */
+const logDiagnostics = function(builder, diagnostics) {
+  diagnostics.forEach(diagnostic => {
+    if (buildRules.indexOf(diagnostic.rule) !== -1) {
+      builder.log(diagnostic.severity.toUpperCase() + ': ' + diagnostic.message);
+    }
+  });
+};
+
 /**
  * Builds a style guide given the proper options.
  *
  * @param {object} [options] A collection of options.
- * @returns {Promise.<KssStyleGuide|null>} A `Promise` object resolving to a
- *   `KssStyleGuide` object, or to `null` if the clone option is used.
+ * @returns {Promise.<KssStyleGuide|KssWatcher|KssServer|KssDiagnostics|null>}
+ *   A `Promise` object resolving to a `KssStyleGuide` object, to a
+ *   `KssWatcher` object if the watch option is used, to a `KssServer` object
+ *   if the serve option is used, to a `KssDiagnostics` object if the lint
+ *   option is used, or to `null` if the clone option is used.
  */
 const kss = function(options) {
   options = options || {};
@@ -108,24 +152,85 @@ const kss = function(options) {
       builder.log('...Parsing your style guide:');
     }
 
-    // Then traverse the source and parse the files found.
-    return traverse(builder.getOptions('source'), {
+    // To serve the style guide, build it in memory and watch for changes.
+    let server;
+    if (builder.getOptions('serve')) {
+      server = new KssServer(builder, {port: builder.getOptions('port')});
+      builder.addOptions({watch: true});
+    }
+
+    // To lint the style guide, build it without saving it and collect the
+    // problems found.
+    let diagnostics = new KssDiagnostics();
+    if (builder.getOptions('lint')) {
+      builder.addOptions({diagnostics: diagnostics});
+      builder.setWriteFileFunction(() => {
+        return Promise.resolve();
+      });
+      if (!builder.getOptions('verbose')) {
+        builder.setLogFunction(() => {});
+      }
+    }
+
+    let traverseOptions = {
       header: true,
-      markdown: true,
+      markdown: builder.getOptions('markdown'),
       markup: true,
       mask: builder.getOptions('mask'),
-      custom: builder.getOptions('custom')
-    }).then(styleGuide => {
+      custom: builder.getOptions('custom'),
+      cache: builder.getOptions('cache'),
+      duplicates: builder.getOptions('duplicates'),
+      sourceCode: builder.getOptions('source-code'),
+      autoModifiers: builder.getOptions('auto-modifiers'),
+      // Check the modifiers against the local CSS files given with the css
+      // option, whose URLs are relative to the style guide.
+      stylesheets: builder.getOptions('css').filter(url => {
+        return !/^([a-z][\w+.-]*:|\/\/)/i.test(url);
+      }).map(url => {
+        return path.resolve(builder.getOptions('destination'), url.replace(/[?#].*$/, ''));
+      }),
+      diagnostics: diagnostics
+    };
+    // When watching, keep the parsed files in memory for the rebuilds.
+    if (builder.getOptions('watch') && !traverseOptions.cache) {
+      traverseOptions.cache = new KssCache();
+    }
+
+    // Then traverse the source and parse the files found.
+    return traverse(builder.getOptions('source'), traverseOptions).then(styleGuide => {
+      if (!builder.getOptions('lint')) {
+        logDiagnostics(builder, diagnostics.diagnostics());
+      }
+
       // Then allow the builder to prepare itself and the KssStyleGuide object.
       return builder.prepare(styleGuide);
     }).then(styleGuide => {
       // Then build the style guide.
       return builder.build(styleGuide);
     }).then(styleGuide => {
+      if (builder.getOptions('lint')) {
+        return diagnostics;
+      }
+
       if (builder.getOptions('verbose')) {
         builder.log('');
       }
       builder.log('Style guide build completed successfully!');
+
+      // If requested, rebuild the style guide whenever its files change.
+      if (builder.getOptions('watch')) {
+        builder.log('Watching for changes...');
+        let watcher = new KssWatcher(builder, traverseOptions),
+          logged = diagnostics.diagnostics().length;
+        // Log the problems found by each rebuild that parsed the source again.
+        watcher.on('build', () => {
+          logDiagnostics(builder, diagnostics.diagnostics().slice(logged));
+          logged = diagnostics.diagnostics().length;
+        });
+        let watching = watcher.watch(styleGuide);
+        return server ? watching.then(watcher => server.listen(watcher)) : watching;
+      }
+
       return Promise.resolve(styleGuide);
     });
   }).catch(error => {
@@ -139,5 +244,13 @@ module.exports.KssStyleGuide = require('./kss_style_guide.js');
 module.exports.KssSection = require('./kss_section.js');
 module.exports.KssModifier = require('./kss_modifier.js');
 module.exports.KssParameter = require('./kss_parameter.js');
+module.exports.KssColor = require('./kss_color.js');
+module.exports.KssFakeData = require('./kss_fake_data.js');
+module.exports.KssCache = KssCache;
+module.exports.KssDiagnostics = KssDiagnostics;
+module.exports.KssWatcher = KssWatcher;
+module.exports.KssServer = KssServer;
 module.exports.parse = require('./parse.js');
 module.exports.traverse = traverse;
+module.exports.commentExtractors = require('./comment_extractors.js');
+module.exports.markdown = require('./markdown.js');
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_cache` module is normally accessed via the
+ * [`KssCache()`]{@link module:kss.KssCache} class of the `kss` module:
+ * ```
+ * const KssCache = require('kss').KssCache;
+ * ```
+ * @private
+ * @module kss/lib/kss_cache
+ */
+
+const crypto = require('crypto'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  version = require('../package.json').version;
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+/**
+ * A KssCache object stores the data parsed from each source file, e.g. its
+ * sections, so that unchanged files do not need to be parsed again.
+ *
+ * Each file is stored by its path along with a hash of its contents; if the
+ * contents change, the cached sections are ignored. If a directory is given,
+ * the cache can be saved to and loaded from disk so that it persists between
+ * builds.
+ *
+ * This class is normally accessed via the [`kss`]{@link module:kss} module:
+ * ```
+ * const KssCache = require('kss').KssCache;
+ * ```
+ *
+ * @alias module:kss.KssCache
+ */
+class KssCache {
+
+  /**
+   * Creates a KssCache object.
+   *
+   * @param {string} [directory] Optional. The directory to save the cache
+   *   file in. If not given, the cache is only kept in memory.
+   */
+  constructor(directory) {
+    this.meta = {
+      directory: directory || '',
+      fileName: 'kss-cache.json',
+      used: {}
+    };
+
+    this.data = {
+      version: version,
+      files: {}
+    };
+  }
+
+  /**
+   * Returns the path to the cache file.
+   *
+   * @returns {string} The full path to the cache file, or an empty string if
+   *   the cache is only kept in memory.
+   */
+  path() {
+    return this.meta.directory ? path.join(this.meta.directory, this.meta.fileName) : '';
+  }
+
+  /**
+   * Loads the cache file from disk.
+   *
+   * If the cache file does not exist, cannot be read, or was written by a
+   * different version of kss, the cache is emptied instead.
+   *
+   * @returns {Promise.<KssCache>} A `Promise` object resolving to the
+   *   `KssCache` object.
+   */
+  load() {
+    if (!this.path()) {
+      return Promise.resolve(this);
+    }
+
+    return fs.readFileAsync(this.path(), 'utf8').then(contents => {
+      let data = JSON.parse(contents);
+      if (data.version === version && data.files) {
+        this.data.files = data.files;
+      } else {
+        this.data.files = {};
+      }
+    }).catch(() => {
+      // A missing or corrupt cache file is not an error; start over.
+      this.data.files = {};
+    }).then(() => {
+      return this;
+    });
+  }
+
+  /**
+   * Saves the cache file to disk.
+   *
+   * Only the files that have been read or stored since the cache was loaded
+   * are saved, so deleted source files are pruned from the cache.
+   *
+   * @returns {Promise.<KssCache>} A `Promise` object resolving to the
+   *   `KssCache` object.
+   */
+  save() {
+    if (!this.path()) {
+      return Promise.resolve(this);
+    }
+
+    let data = {
+      version: this.data.version,
+      files: {}
+    };
+    for (let filePath in this.meta.used) {
+      // istanbul ignore else
+      if (this.meta.used.hasOwnProperty(filePath) && this.data.files[filePath]) {
+        data.files[filePath] = this.data.files[filePath];
+      }
+    }
+
+    return fs.mkdirsAsync(this.meta.directory).then(() => {
+      return fs.writeFileAsync(this.path(), JSON.stringify(data));
+    }).then(() => {
+      return this;
+    });
+  }
+
+  /**
+   * Calculates the hash used to determine if a file has changed.
+   *
+   * @param {Object} file A file object with `base`, `path` and `contents`
+   *   properties.
+   * @param {string} [fingerprint] Optional. A string describing the options
+   *   used to parse the file.
+   * @returns {string} The hash of the file.
+   */
+  hash(file, fingerprint) {
+    return crypto.createHash('sha1')
+      .update((fingerprint || '') + '\n' + (file.base || '') + '\n' + file.contents)
+      .digest('hex');
+  }
+
+  /**
+   * Returns the cached data of a file, if the file has not changed.
+   *
+   * @param {Object} file A file object with `base`, `path` and `contents`
+   *   properties.
+   * @param {string} [fingerprint] Optional. A string describing the options
+   *   used to parse the file.
+   * @returns {*} A copy of the cached data, or `false` if the file is not
+   *   cached or has changed.
+   */
+  get(file, fingerprint) {
+    let entry = this.data.files[file.path];
+
+    if (!entry || entry.hash !== this.hash(file, fingerprint)) {
+      return false;
+    }
+
+    this.meta.used[file.path] = true;
+    // Return a copy so the cached data can not be altered.
+    return JSON.parse(JSON.stringify(entry.data));
+  }
+
+  /**
+   * Stores the data parsed from a file.
+   *
+   * @param {Object} file A file object with `base`, `path` and `contents`
+   *   properties.
+   * @param {string} [fingerprint] Optional. A string describing the options
+   *   used to parse the file.
+   * @param {*} data The data parsed from the file; it must be convertible to
+   *   JSON.
+   * @returns {KssCache} The `KssCache` object is returned to allow chaining of
+   *   methods.
+   */
+  set(file, fingerprint, data) {
+    this.meta.used[file.path] = true;
+    this.data.files[file.path] = {
+      hash: this.hash(file, fingerprint),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    // Allow chaining.
+    return this;
+  }
+}
+
+module.exports = KssCache;
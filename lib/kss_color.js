@@ -0,0 +1,346 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_color` module is normally accessed via the
+ * [`KssColor()`]{@link module:kss.KssColor} class of the `kss` module:
+ * ```
+ * const KssColor = require('kss').KssColor;
+ * ```
+ * @private
+ * @module kss/lib/kss_color
+ */
+
+/**
+ * A KssColor object represents a single color of a `KssSection`'s palette.
+ *
+ * Colors are documented with a `Colors:` property in a KSS comment; each line
+ * has a name (e.g. a Sass or Less variable or a CSS custom property), a color
+ * value and an optional description:
+ * ```
+ * // Colors:
+ * // $brand-blue: #0066cc - The primary color of the brand.
+ * // --link-color: rgb(6, 69, 173)
+ * ```
+ *
+ * This class is normally accessed via the [`kss`]{@link module:kss} module:
+ * ```
+ * const KssColor = require('kss').KssColor;
+ * ```
+ *
+ * @alias module:kss.KssColor
+ */
+class KssColor {
+
+  /**
+   * Creates a KssColor object and stores the given data.
+   *
+   * If passed an object, it will add `section`, `name`, `value` and
+   * `description` properties.
+   *
+   * @param {Object} [data] An object of data.
+   */
+  constructor(data) {
+    data = data || {};
+
+    this.meta = {
+      section: null
+    };
+
+    this.data = {
+      name: '',
+      value: '',
+      description: ''
+    };
+
+    // Loop through the given properties.
+    for (let name in data) {
+      // If the property is defined in this.data or this.meta, add it via our API.
+      if (data.hasOwnProperty(name) && (this.data.hasOwnProperty(name) || this.meta.hasOwnProperty(name))) {
+        this[name](data[name]);
+      }
+    }
+  }
+
+  /**
+   * Gets or sets the `KssSection` object this `KssColor` is associated with.
+   *
+   * If the `section` value is provided, the `KssSection` for this color is
+   * set. Otherwise, the `KssSection` of the color is returned.
+   *
+   * @param {KssSection} [section] Optional. The `KssSection` that owns the
+   *   `KssColor`.
+   * @returns {KssSection|KssColor} If section is given, the current `KssColor`
+   *   object is returned to allow chaining of methods. Otherwise, the
+   *   `KssSection` object the color belongs to is returned.
+   */
+  section(section) {
+    if (typeof section === 'undefined') {
+      return this.meta.section;
+    }
+
+    this.meta.section = section;
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the name of the `KssColor`, e.g. `$brand-blue`.
+   *
+   * If the `name` value is provided, the name of this `KssColor` is set.
+   * Otherwise, the name of the `KssColor` is returned.
+   *
+   * @param {string} [name] Optional. The name of the `KssColor`.
+   * @returns {string|KssColor} If name is given, the current `KssColor` object
+   *   is returned to allow chaining of methods. Otherwise, the name of the
+   *   `KssColor` is returned.
+   */
+  name(name) {
+    if (typeof name === 'undefined') {
+      return this.data.name;
+    }
+
+    this.data.name = name;
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the value of the `KssColor`, e.g. `#0066cc`.
+   *
+   * If the `value` is provided, the value of this `KssColor` is set. Otherwise,
+   * the value of the `KssColor` is returned.
+   *
+   * @param {string} [value] Optional. The value of the `KssColor`.
+   * @returns {string|KssColor} If value is given, the current `KssColor` object
+   *   is returned to allow chaining of methods. Otherwise, the value of the
+   *   `KssColor` is returned.
+   */
+  value(value) {
+    if (typeof value === 'undefined') {
+      return this.data.value;
+    }
+
+    this.data.value = value;
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the description of the `KssColor`.
+   *
+   * If the `description` is provided, the description of this `KssColor` is
+   * set. Otherwise, the description of the `KssColor` is returned.
+   *
+   * @param {string} [description] Optional. The description of the `KssColor`.
+   * @returns {string|KssColor} If description is given, the current `KssColor`
+   *   object is returned to allow chaining of methods. Otherwise, the
+   *   description of the `KssColor` is returned.
+   */
+  description(description) {
+    if (typeof description === 'undefined') {
+      return this.data.description;
+    }
+
+    this.data.description = description;
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Returns the red, green, blue and alpha channels of the color.
+   *
+   * Hexadecimal, `rgb()`, `rgba()`, `hsl()` and `hsla()` values can be
+   * converted. If the value is the name of another color of the same section,
+   * e.g. `$link: $brand-blue`, that color's value is used.
+   *
+   * @returns {Object|boolean} An object with `r`, `g`, `b` (0-255) and `a`
+   *   (0-1) properties, or `false` if the value could not be converted.
+   */
+  channels() {
+    let value = this.value().trim(),
+      seen = [this];
+    // Follow references to other colors of the same section.
+    while (this.section() && this.section().colors(value) && seen.indexOf(this.section().colors(value)) === -1) {
+      seen.push(this.section().colors(value));
+      value = this.section().colors(value).value().trim();
+    }
+    return parseColor(value);
+  }
+
+  /**
+   * Returns the color as a hexadecimal value, e.g. `#0066cc`.
+   *
+   * The alpha channel is ignored.
+   *
+   * @returns {string|boolean} The hexadecimal value, or `false` if the value
+   *   could not be converted.
+   */
+  hex() {
+    let channels = this.channels();
+    if (!channels) {
+      return false;
+    }
+    return '#' + [channels.r, channels.g, channels.b].map(channel => {
+      return (channel < 16 ? '0' : '') + channel.toString(16);
+    }).join('');
+  }
+
+  /**
+   * Returns the color as an `rgb()` value, or an `rgba()` value if the color
+   * is translucent.
+   *
+   * @returns {string|boolean} The `rgb()` value, or `false` if the value could
+   *   not be converted.
+   */
+  rgb() {
+    let channels = this.channels();
+    if (!channels) {
+      return false;
+    }
+    let rgb = channels.r + ', ' + channels.g + ', ' + channels.b;
+    return channels.a < 1 ? 'rgba(' + rgb + ', ' + channels.a + ')' : 'rgb(' + rgb + ')';
+  }
+
+  /**
+   * Returns the WCAG contrast ratio between the color and another color.
+   *
+   * The alpha channel is ignored.
+   *
+   * @param {string} [other] Optional. The other color; defaults to white.
+   * @returns {number|boolean} The contrast ratio, from 1 to 21, rounded to 2
+   *   decimals, or `false` if either color could not be converted.
+   */
+  contrast(other) {
+    let channels = this.channels(),
+      otherChannels = parseColor(typeof other === 'undefined' ? '#fff' : other);
+    if (!channels || !otherChannels) {
+      return false;
+    }
+    let luminances = [luminance(channels), luminance(otherChannels)].sort((a, b) => { return b - a; });
+    return Math.round((luminances[0] + 0.05) / (luminances[1] + 0.05) * 100) / 100;
+  }
+
+  /**
+   * Return the `KssColor` as a JSON object.
+   *
+   * Besides the name, value and description, the JSON object includes the
+   * `hex` and `rgb` values and the `contrast` ratios against `black` and
+   * `white`, so templates can show them.
+   *
+   * @returns {Object} A JSON object representation of the `KssColor`.
+   */
+  toJSON() {
+    let hex = this.hex();
+    return {
+      name: this.name(),
+      value: this.value(),
+      description: this.description(),
+      hex: hex,
+      rgb: this.rgb(),
+      contrast: hex ? {
+        black: this.contrast('#000'),
+        white: this.contrast('#fff')
+      } : false
+    };
+  }
+}
+
+// The CSS color keywords that can be converted.
+const namedColors = {
+  black: {r: 0, g: 0, b: 0, a: 1},
+  white: {r: 255, g: 255, b: 255, a: 1},
+  transparent: {r: 0, g: 0, b: 0, a: 0}
+};
+
+/**
+ * Converts a CSS color value to its red, green, blue and alpha channels.
+ *
+ * @private
+ * @param {string} value The color value.
+ * @returns {Object|boolean} An object with `r`, `g`, `b` and `a` properties,
+ *   or `false` if the value could not be converted.
+ */
+const parseColor = function(value) {
+  value = value.trim().toLowerCase();
+
+  // Hexadecimal values: #rgb, #rgba, #rrggbb and #rrggbbaa.
+  let match = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (match) {
+    let digits = match[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => { return digit + digit; }).join('');
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? Math.round(parseInt(digits.slice(6, 8), 16) / 255 * 100) / 100 : 1
+    };
+  }
+
+  // Functional values: rgb(), rgba(), hsl() and hsla().
+  match = value.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!match) {
+    return namedColors.hasOwnProperty(value) ? Object.assign({}, namedColors[value]) : false;
+  }
+  let args = match[2].split(/\s*[,\/]\s*|\s+/).filter(arg => { return arg !== ''; });
+  if (args.length < 3 || args.length > 4 || args.some(arg => { return !/^-?[\d.]+(%|deg)?$/.test(arg); })) {
+    return false;
+  }
+  let number = function(arg, max) {
+      let value = parseFloat(arg);
+      return Math.min(max, Math.max(0, /%$/.test(arg) ? value / 100 * max : value));
+    },
+    alpha = args.length === 4 ? number(args[3], 1) : 1;
+
+  if (match[1].charAt(0) === 'r') {
+    return {
+      r: Math.round(number(args[0], 255)),
+      g: Math.round(number(args[1], 255)),
+      b: Math.round(number(args[2], 255)),
+      a: alpha
+    };
+  }
+
+  // Convert the hue, saturation and lightness to RGB.
+  let hue = ((parseFloat(args[0]) % 360) + 360) % 360 / 360,
+    saturation = number(args[1], 1),
+    lightness = number(args[2], 1),
+    q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation,
+    p = 2 * lightness - q,
+    toChannel = function(t) {
+      t = (t + 1) % 1;
+      let channel = p;
+      if (t < 1 / 6) {
+        channel = p + (q - p) * 6 * t;
+      } else if (t < 1 / 2) {
+        channel = q;
+      } else if (t < 2 / 3) {
+        channel = p + (q - p) * (2 / 3 - t) * 6;
+      }
+      return Math.round(channel * 255);
+    };
+  return {
+    r: toChannel(hue + 1 / 3),
+    g: toChannel(hue),
+    b: toChannel(hue - 1 / 3),
+    a: alpha
+  };
+};
+
+/**
+ * Calculates the WCAG relative luminance of a color.
+ *
+ * @private
+ * @param {Object} channels An object with `r`, `g` and `b` properties.
+ * @returns {number} The relative luminance, from 0 to 1.
+ */
+const luminance = function(channels) {
+  let linear = [channels.r, channels.g, channels.b].map(channel => {
+    channel = channel / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+};
+
+module.exports = KssColor;
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_diagnostics` module is normally accessed via the
+ * [`KssDiagnostics()`]{@link module:kss.KssDiagnostics} class of the `kss`
+ * module:
+ * ```
+ * const KssDiagnostics = require('kss').KssDiagnostics;
+ * ```
+ * @private
+ * @module kss/lib/kss_diagnostics
+ */
+
+/**
+ * A KssDiagnostics object collects the problems found while parsing the KSS
+ * comments and building the style guide.
+ *
+ * Each diagnostic is an object with these properties:
+ * - `severity`: either "error" or "warning".
+ * - `rule`: the ID of the rule that found the problem, e.g. "empty-header".
+ * - `message`: a description of the problem.
+ * - `file`: the path of the file with the problem, if known.
+ * - `line`: the line number of the problem, if known.
+ *
+ * This class is normally accessed via the [`kss`]{@link module:kss} module:
+ * ```
+ * const KssDiagnostics = require('kss').KssDiagnostics;
+ * ```
+ *
+ * @alias module:kss.KssDiagnostics
+ */
+class KssDiagnostics {
+
+  /**
+   * Creates a KssDiagnostics object.
+   *
+   * @param {Object[]} [diagnostics] Optional. An array of diagnostics to add.
+   */
+  constructor(diagnostics) {
+    this.data = {
+      diagnostics: []
+    };
+
+    if (diagnostics) {
+      diagnostics.forEach(diagnostic => {
+        this.add(diagnostic);
+      });
+    }
+  }
+
+  /**
+   * Return the `KssDiagnostics` as a JSON object.
+   *
+   * @returns {Object} A JSON object with the number of errors and warnings and
+   *   the list of diagnostics.
+   */
+  toJSON() {
+    return {
+      errorCount: this.errors().length,
+      warningCount: this.warnings().length,
+      diagnostics: this.diagnostics()
+    };
+  }
+
+  /**
+   * Adds a diagnostic.
+   *
+   * @param {Object} diagnostic The diagnostic to add; if the `severity` is not
+   *   given, it defaults to "warning".
+   * @returns {KssDiagnostics} The `KssDiagnostics` object is returned to allow
+   *   chaining of methods.
+   */
+  add(diagnostic) {
+    this.data.diagnostics.push({
+      severity: diagnostic.severity === 'error' ? 'error' : 'warning',
+      rule: diagnostic.rule || '',
+      message: diagnostic.message || '',
+      file: diagnostic.file || '',
+      line: diagnostic.line || 0
+    });
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Adds an error.
+   *
+   * @param {string} rule The ID of the rule that found the problem.
+   * @param {string} message A description of the problem.
+   * @param {Object} [location] Optional. An object with the `file` and `line`
+   *   of the problem.
+   * @returns {KssDiagnostics} The `KssDiagnostics` object is returned to allow
+   *   chaining of methods.
+   */
+  error(rule, message, location) {
+    location = location || {};
+    return this.add({severity: 'error', rule: rule, message: message, file: location.file, line: location.line});
+  }
+
+  /**
+   * Adds a warning.
+   *
+   * @param {string} rule The ID of the rule that found the problem.
+   * @param {string} message A description of the problem.
+   * @param {Object} [location] Optional. An object with the `file` and `line`
+   *   of the problem.
+   * @returns {KssDiagnostics} The `KssDiagnostics` object is returned to allow
+   *   chaining of methods.
+   */
+  warning(rule, message, location) {
+    location = location || {};
+    return this.add({severity: 'warning', rule: rule, message: message, file: location.file, line: location.line});
+  }
+
+  /**
+   * Returns the diagnostics, sorted by file and line number.
+   *
+   * @returns {Object[]} An array of diagnostics.
+   */
+  diagnostics() {
+    return this.data.diagnostics.slice().sort((a, b) => {
+      if (a.file !== b.file) {
+        return a.file > b.file ? 1 : -1;
+      }
+      return a.line - b.line;
+    });
+  }
+
+  /**
+   * Returns the diagnostics with a severity of "error".
+   *
+   * @returns {Object[]} An array of diagnostics.
+   */
+  errors() {
+    return this.diagnostics().filter(diagnostic => {
+      return diagnostic.severity === 'error';
+    });
+  }
+
+  /**
+   * Returns the diagnostics with a severity of "warning".
+   *
+   * @returns {Object[]} An array of diagnostics.
+   */
+  warnings() {
+    return this.diagnostics().filter(diagnostic => {
+      return diagnostic.severity === 'warning';
+    });
+  }
+
+  /**
+   * Returns whether any errors were found.
+   *
+   * @returns {boolean} Whether any errors were found.
+   */
+  hasErrors() {
+    return this.errors().length > 0;
+  }
+
+  /**
+   * Formats the diagnostics as a report.
+   *
+   * The "text" reporter lists each diagnostic on its own line, e.g.
+   * `css/buttons.scss:12: warning: Section 2.1 has no header. [empty-header]`,
+   * followed by a summary. The "json" reporter returns the JSON version of the
+   * diagnostics.
+   *
+   * @param {string} [reporter] Optional. Either "text" (the default) or
+   *   "json".
+   * @returns {string} The report.
+   */
+  report(reporter) {
+    if (reporter === 'json') {
+      return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    let lines = this.diagnostics().map(diagnostic => {
+      let location = diagnostic.file ? diagnostic.file + (diagnostic.line ? ':' + diagnostic.line : '') + ': ' : '';
+      return location + diagnostic.severity + ': ' + diagnostic.message + ' [' + diagnostic.rule + ']';
+    });
+
+    let errorCount = this.errors().length,
+      warningCount = this.warnings().length;
+    if (errorCount || warningCount) {
+      lines.push('');
+    }
+    lines.push(errorCount + ' error' + (errorCount === 1 ? '' : 's') + ', ' + warningCount + ' warning' + (warningCount === 1 ? '' : 's'));
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = KssDiagnostics;
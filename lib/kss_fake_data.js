@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_fake_data` module is normally accessed via the
+ * [`KssFakeData()`]{@link module:kss.KssFakeData} class of the `kss` module:
+ * ```
+ * const KssFakeData = require('kss').KssFakeData;
+ * ```
+ * @private
+ * @module kss/lib/kss_fake_data
+ */
+
+/**
+ * A KssFakeData object generates fake data for the context of templates, e.g.
+ * names, sentences and placeholder images.
+ *
+ * The data is generated offline from a seeded pseudo-random sequence, so the
+ * same seed always generates the same data:
+ * ```
+ * const KssFakeData = require('kss').KssFakeData;
+ * let fake = new KssFakeData('card');
+ * fake.name();
+ * // "Amara Abara", every time.
+ * ```
+ *
+ * This class is normally accessed via the [`kss`]{@link module:kss} module:
+ * ```
+ * const KssFakeData = require('kss').KssFakeData;
+ * ```
+ *
+ * @alias module:kss.KssFakeData
+ */
+class KssFakeData {
+
+  /**
+   * Creates a KssFakeData object seeded with the given value.
+   *
+   * @param {string|number} [seed] The seed of the pseudo-random sequence.
+   */
+  constructor(seed) {
+    this.seed(seed);
+  }
+
+  /**
+   * Restarts the pseudo-random sequence from the given seed.
+   *
+   * @param {string|number} [seed] The seed of the pseudo-random sequence.
+   * @returns {KssFakeData} The `KssFakeData` object is returned to allow
+   *   chaining of methods.
+   */
+  seed(seed) {
+    // Hash the seed into 32 bits with FNV-1a.
+    let text = String(typeof seed === 'undefined' ? '' : seed),
+      hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    this.state = hash >>> 0;
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Returns the next number of the pseudo-random sequence.
+   *
+   * @returns {number} A number from 0 up to, but not including, 1.
+   */
+  random() {
+    // Mulberry32.
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let value = this.state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a whole number.
+   *
+   * @param {number} [min] The smallest number to return; defaults to 0.
+   * @param {number} [max] The largest number to return; defaults to 100.
+   * @returns {number} The number.
+   */
+  number(min, max) {
+    min = typeof min === 'number' ? min : 0;
+    max = typeof max === 'number' ? max : 100;
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Returns a person's full name.
+   *
+   * @returns {string} The name, e.g. "Amara Abara".
+   */
+  name() {
+    return pick(this, firstNames) + ' ' + pick(this, lastNames);
+  }
+
+  /**
+   * Returns a sentence of lorem ipsum.
+   *
+   * @param {number} [words] The number of words; defaults to 4 to 12 words.
+   * @returns {string} The sentence.
+   */
+  sentence(words) {
+    words = typeof words === 'number' ? words : this.number(4, 12);
+    let sentence = [];
+    for (let i = 0; i < words; i++) {
+      sentence.push(pick(this, loremWords));
+    }
+    sentence = sentence.join(' ');
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1) + '.';
+  }
+
+  /**
+   * Returns a paragraph of lorem ipsum.
+   *
+   * @param {number} [sentences] The number of sentences; defaults to 3 to 6
+   *   sentences.
+   * @returns {string} The paragraph.
+   */
+  paragraph(sentences) {
+    sentences = typeof sentences === 'number' ? sentences : this.number(3, 6);
+    let paragraph = [];
+    for (let i = 0; i < sentences; i++) {
+      paragraph.push(this.sentence());
+    }
+    return paragraph.join(' ');
+  }
+
+  /**
+   * Returns a date.
+   *
+   * @param {string} [from] The earliest date to return, e.g. "2020-01-01";
+   *   defaults to 2000-01-01.
+   * @param {string} [to] The latest date to return; defaults to 2029-12-31.
+   * @returns {string} The date in the YYYY-MM-DD format.
+   */
+  date(from, to) {
+    let day = 24 * 60 * 60 * 1000,
+      start = Math.floor(Date.parse(from || '2000-01-01') / day),
+      end = Math.floor(Date.parse(to || '2029-12-31') / day);
+    return new Date(this.number(start, end) * day).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Returns a placeholder image as a data URI of an SVG image, which can be
+   * used as the `src` of an `<img>`.
+   *
+   * @param {number} [width] The width of the image; defaults to 320.
+   * @param {number} [height] The height of the image; defaults to the width
+   *   divided by 1.6.
+   * @param {string} [text] The text shown in the image; defaults to its
+   *   dimensions.
+   * @returns {string} The data URI.
+   */
+  image(width, height, text) {
+    width = typeof width === 'number' ? width : 320;
+    height = typeof height === 'number' ? height : Math.round(width / 1.6);
+    text = typeof text === 'string' ? text : width + '×' + height;
+    let escapedText = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+      svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">'
+        + '<rect width="100%" height="100%" fill="' + pick(this, imageColors) + '"/>'
+        + '<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="' + Math.max(10, Math.round(Math.min(width, height) / 8)) + '" fill="#fff">' + escapedText + '</text>'
+        + '</svg>';
+    return 'data:image/svg+xml,' + encodeURIComponent(svg);
+  }
+
+  /**
+   * Returns a list of fake data.
+   *
+   * @param {number} count The number of items in the list.
+   * @param {string} [type] The name of the `KssFakeData` method generating each
+   *   item, e.g. "name"; without a type, the items are their indexes.
+   * @param {...*} [args] The arguments given to the method.
+   * @returns {Array} The list.
+   */
+  list(count, type) {
+    let args = Array.prototype.slice.call(arguments, 2),
+      list = [];
+    if (type && listTypes.indexOf(type) === -1) {
+      throw new Error('Unknown type of fake data: ' + type);
+    }
+    for (let i = 0; i < count; i++) {
+      list.push(type ? this[type].apply(this, args) : i);
+    }
+    return list;
+  }
+}
+
+// The KssFakeData methods that can generate the items of a list.
+const listTypes = ['number', 'name', 'sentence', 'paragraph', 'date', 'image'];
+
+const firstNames = ['Ada', 'Alan', 'Amara', 'Ben', 'Chen', 'Dana', 'Elena', 'Femi', 'Grace', 'Hugo', 'Ines', 'Jonas', 'Kai', 'Lena', 'Malik', 'Nora', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Sam', 'Tara', 'Uma', 'Victor', 'Wen', 'Yusuf', 'Zoe'];
+
+const lastNames = ['Abara', 'Berg', 'Costa', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Haddad', 'Ito', 'Jensen', 'Keller', 'Lopez', 'Moreau', 'Nakamura', 'Okafor', 'Petrov', 'Quispe', 'Rossi', 'Silva', 'Tanaka', 'Usman', 'Varga', 'Weber', 'Xu', 'Yilmaz', 'Zhang'];
+
+const loremWords = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo', 'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit', 'voluptate', 'velit', 'esse', 'cillum', 'fugiat', 'nulla', 'pariatur'];
+
+const imageColors = ['#5b7083', '#6a8caf', '#7d9d7a', '#a3826b', '#8c7aa9', '#b06f7e'];
+
+/**
+ * Picks an item of a list.
+ *
+ * @private
+ * @param {KssFakeData} fake The KssFakeData object.
+ * @param {Array} list The list.
+ * @returns {*} The item.
+ */
+const pick = function(fake, list) {
+  return list[Math.floor(fake.random() * list.length)];
+};
+
+module.exports = KssFakeData;
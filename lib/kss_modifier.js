@@ -25,8 +25,8 @@ class KssModifier {
   /**
    * Creates a KssModifier object and stores the given data.
    *
-   * If passed an object, it will add `section`, `name`, `description`, and
-   * `className` properties.
+   * If passed an object, it will add `section`, `name`, `description`,
+   * `className` and `attributes` properties.
    *
    * @param {Object} [data] An object of data.
    */
@@ -40,7 +40,8 @@ class KssModifier {
     this.data = {
       name: '',
       description: '',
-      className: ''
+      className: '',
+      attributes: ''
     };
 
     // Loop through the given properties.
@@ -148,7 +149,8 @@ class KssModifier {
       if (this.data.className) {
         return this.data.className;
       } else {
-        let name = this.name().replace(/:/g, '.pseudo-class-');
+        // Attribute selectors are returned by the attributes() method.
+        let name = this.name().replace(attributeSelector(), '').replace(/:/g, '.pseudo-class-');
 
         // If the name includes child selectors, we only want the first parent
         // selector. Markup should not be multiple elements deep at this stage.
@@ -168,6 +170,59 @@ class KssModifier {
     return this;
   }
 
+  /**
+   * Gets or sets the HTML attributes suitable to insert into a markup sample to
+   * display the modifier's design.
+   *
+   * By default, the attributes are based on the attribute selectors of the
+   * modifier's name, so that components styled by their state attributes can
+   * be displayed. The value of an attribute selector with an operator other
+   * than `=`, e.g. `[class^="icon"]`, is used as-is, since it matches the
+   * selector.
+   *
+   * ```
+   * modifier.name('.menu[data-state="open"][aria-expanded="true"]');
+   * modifier.attributes(); // Returns 'data-state="open" aria-expanded="true"'
+   * modifier.className();  // Returns "menu"
+   * ```
+   *
+   * To override the default behavior, the attributes can also be set manually;
+   * if the `attributes` parameter is provided, the attributes of this
+   * `KssModifier` are set and will later be returned as-is instead of
+   * calculated based on the `name()`.
+   *
+   * @param {string} [attributes] Optional. The attributes of the
+   *   `KssModifier`.
+   * @returns {string|KssModifier} If the attributes parameter is given, the
+   *   current `KssModifier` object is returned to allow chaining of methods.
+   *   Otherwise, the attributes of the `KssModifier` are returned.
+   */
+  attributes(attributes) {
+    if (typeof attributes === 'undefined') {
+      if (this.data.attributes) {
+        return this.data.attributes;
+      }
+
+      // If the name includes child selectors, we only want the attributes of
+      // the first parent selector, like className() does.
+      let name = this.name(),
+        end = name.replace(attributeSelector(), match => { return match.replace(/\s/g, '_'); }).search(/\s/),
+        regex = attributeSelector(),
+        result = [],
+        match;
+      name = end === -1 ? name : name.slice(0, end);
+      while ((match = regex.exec(name)) !== null) {
+        let value = [match[3], match[4], match[5]].filter(value => { return typeof value !== 'undefined'; })[0];
+        result.push(match[1] + (typeof value === 'undefined' ? '' : '="' + value.replace(/&/g, '&amp;').replace(/"/g, '&quot;') + '"'));
+      }
+      return result.join(' ');
+    }
+
+    this.data.attributes = attributes;
+    // Allow chaining.
+    return this;
+  }
+
   /**
    * Returns the HTML markup used to render this modifier.
    *
@@ -193,9 +248,25 @@ class KssModifier {
     return {
       name: this.name(),
       description: this.description(),
-      className: this.className()
+      className: this.className(),
+      attributes: this.attributes()
     };
   }
 }
 
+/**
+ * Returns a regular expression matching an attribute selector, e.g.
+ * `[data-state="open"]`.
+ *
+ * The attribute's name is the first group and its value is the third, fourth
+ * or fifth group, depending on whether it is double-quoted, single-quoted or
+ * unquoted.
+ *
+ * @private
+ * @returns {RegExp} The regular expression; it has the global flag.
+ */
+const attributeSelector = function() {
+  return /\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*(?:[iIsS]\s*)?)?\]/g;
+};
+
 module.exports = KssModifier;
@@ -25,8 +25,8 @@ class KssParameter {
   /**
    * Creates a KssParameter object and stores the given data.
    *
-   * If passed an object, it will add `section`, `name`, and `description`
-   * properties.
+   * If passed an object, it will add `section`, `name`, `type`,
+   * `defaultValue`, `optional` and `description` properties.
    *
    * @param {Object} [data] An object of data.
    */
@@ -39,7 +39,9 @@ class KssParameter {
 
     this.data = {
       name: '',
+      type: '',
       defaultValue: '',
+      optional: false,
       description: ''
     };
 
@@ -95,6 +97,30 @@ class KssParameter {
     return this;
   }
 
+  /**
+   * Gets or sets the type of the `KssParameter`, e.g. `length`.
+   *
+   * The type is given in braces after the parameter's name, e.g.
+   * `$size {length} = 1rem - The size.`
+   *
+   * If the `type` value is provided, the type of this `KssParameter` is set.
+   * Otherwise, the type of the `KssParameter` is returned.
+   *
+   * @param {string} [type] Optional. The type of the `KssParameter`.
+   * @returns {string|KssParameter} If type is given, the current `KssParameter`
+   *   object is returned to allow chaining of methods. Otherwise, the type of the
+   *   `KssParameter` is returned.
+   */
+  type(type) {
+    if (typeof type === 'undefined') {
+      return this.data.type;
+    }
+
+    this.data.type = type;
+    // Allow chaining.
+    return this;
+  }
+
   /**
    * Gets or sets the default value of the `KssParameter`.
    *
@@ -118,6 +144,32 @@ class KssParameter {
     }
   }
 
+  /**
+   * Gets or sets the optional flag of the `KssParameter`.
+   *
+   * A parameter is optional if its name is wrapped in brackets, e.g.
+   * `[$size] - The size.`, or if it has a default value.
+   *
+   * If the `optional` value is provided, the optional flag of this
+   * `KssParameter` is set. Otherwise, the optional flag of the `KssParameter` is
+   * returned.
+   *
+   * @param {boolean} [optional] Optional. The optional flag of the
+   *   `KssParameter`.
+   * @returns {boolean|KssParameter} If `optional` is given, the current
+   *   `KssParameter` object is returned to allow chaining of methods. Otherwise,
+   *   the optional flag of the `KssParameter` is returned.
+   */
+  optional(optional) {
+    if (typeof optional === 'undefined') {
+      return this.data.optional;
+    }
+
+    this.data.optional = !!optional;
+    // Allow chaining.
+    return this;
+  }
+
   /**
    * Gets or sets the description of the `KssParameter`.
    *
@@ -147,7 +199,9 @@ class KssParameter {
   toJSON() {
     return {
       name: this.name(),
+      type: this.type(),
       defaultValue: this.defaultValue(),
+      optional: this.optional(),
       description: this.description()
     };
   }
@@ -1,6 +1,7 @@
 'use strict';
 
-const KssModifier = require('./kss_modifier'),
+const KssColor = require('./kss_color'),
+  KssModifier = require('./kss_modifier'),
   KssParameter = require('./kss_parameter');
 
 /**
@@ -33,7 +34,9 @@ class KssSection {
   /**
    * Creates a KssSection object and stores the given data.
    *
-   * If passed an object, it will add the properties to the section.
+   * If passed an object, it will add the properties to the section. The
+   * properties of its `customData` object are added as custom properties, even
+   * if they are named after a built-in property.
    *
    * @param {Object} [data] An object of data.
    */
@@ -44,6 +47,8 @@ class KssSection {
       styleGuide: data.styleGuide || null,
       raw: data.raw || '',
       customPropertyNames: [],
+      // The custom properties named after a built-in property.
+      customData: {},
       depth: data.depth || 0
     };
 
@@ -52,13 +57,24 @@ class KssSection {
       description: '',
       deprecated: false,
       experimental: false,
+      status: {
+        name: 'stable',
+        since: '',
+        replacement: '',
+        reason: ''
+      },
       reference: '',
       referenceNumber: '',
       referenceURI: '',
       weight: 0,
       markup: '',
+      examples: [],
+      metadata: {},
+      source: false,
       modifiers: [],
-      parameters: []
+      modifierGroups: [],
+      parameters: [],
+      colors: []
     };
 
     // Loop through the given properties.
@@ -75,6 +91,12 @@ class KssSection {
         }
       }
     }
+    for (let name in data.customData) {
+      // istanbul ignore else
+      if (data.customData.hasOwnProperty(name)) {
+        this.custom(name, data.customData[name]);
+      }
+    }
   }
 
   /**
@@ -89,28 +111,52 @@ class KssSection {
       description: this.description(),
       deprecated: this.deprecated(),
       experimental: this.experimental(),
+      status: Object.assign({}, this.status()),
       reference: this.reference(),
       referenceNumber: this.referenceNumber(),
       referenceURI: this.referenceURI(),
       weight: this.weight(),
       markup: this.markup(),
+      metadata: this.metadata(),
+      source: this.source(),
       // Include meta as well.
       depth: this.depth()
     };
     /* eslint-enable key-spacing */
 
+    // Link the replacement of the section, if it is documented.
+    let replacement = this.status().replacement && this.styleGuide() ? this.styleGuide().sections(this.status().replacement) : false;
+    if (replacement instanceof KssSection) {
+      returnObject.status.replacementHeader = replacement.header();
+      returnObject.status.replacementURI = replacement.referenceURI();
+    }
+
     returnObject.modifiers = this.modifiers().map(modifier => {
       return modifier.toJSON();
     });
+    returnObject.modifierGroups = this.modifierGroups();
+    // Give each example a URI of its own, e.g. "2-1--with-icon".
+    returnObject.examples = this.examples().map(example => {
+      return {
+        name: example.name,
+        markup: example.markup,
+        referenceURI: this.referenceURI() + '--' + encodeURI(example.name.replace(/[^\w-]+/g, '-').toLowerCase())
+      };
+    });
     returnObject.parameters = this.parameters().map(parameter => {
       return parameter.toJSON();
     });
+    returnObject.colors = this.colors().map(color => {
+      return color.toJSON();
+    });
 
-    // Add custom properties to the JSON object.
+    // Add custom properties to the JSON object. A custom property named after a
+    // built-in list, e.g. "modifiers", only replaces the list if it is empty.
     for (let i = 0; i < this.meta.customPropertyNames.length; i++) {
+      let name = this.meta.customPropertyNames[i];
       // istanbul ignore else
-      if (typeof this.custom(this.meta.customPropertyNames[i]) !== 'undefined') {
-        returnObject[this.meta.customPropertyNames[i]] = this.custom(this.meta.customPropertyNames[i]);
+      if (typeof this.custom(name) !== 'undefined' && !(Array.isArray(returnObject[name]) && returnObject[name].length)) {
+        returnObject[name] = this.custom(name);
       }
     }
 
@@ -203,6 +249,13 @@ class KssSection {
    * set. Otherwise, the section's custom property with the name specified in the
    * `name` parameter is returned.
    *
+   * When parsing KSS comments, the value of a custom property declared with a
+   * type (e.g. "Since:date") is converted to that type, so this method will
+   * return a number, boolean, array, `Date`, etc.
+   *
+   * A custom property named after a built-in property, e.g. "colors", is kept
+   * apart from it, but replaces it in the section's JSON; see `toJSON()`.
+   *
    * @param {string} name The name of the section's custom property.
    * @param {*} [value] Optional. The value of the section's custom property.
    * @returns {KssSection|*} If `value` is given, the `KssSection` object is
@@ -210,16 +263,20 @@ class KssSection {
    *   property, `name`, is returned.
    */
   custom(name, value) {
+    // Keep a custom property named after a built-in property apart from it.
+    let isBuiltIn = this.meta.customData.hasOwnProperty(name) || this.data.hasOwnProperty(name) && this.meta.customPropertyNames.indexOf(name) === -1,
+      data = isBuiltIn ? this.meta.customData : this.data;
+
     if (typeof value === 'undefined') {
       /* eslint-disable no-undefined */
-      return this.meta.customPropertyNames.indexOf(name) === -1 ? undefined : this.data[name];
+      return this.meta.customPropertyNames.indexOf(name) === -1 ? undefined : data[name];
     }
 
     if (this.styleGuide()) {
       this.styleGuide().customPropertyNames(name);
     }
     this.meta.customPropertyNames.push(name);
-    this.data[name] = value;
+    data[name] = value;
     // Allow chaining.
     return this;
   }
@@ -229,6 +286,8 @@ class KssSection {
    *
    * If the `deprecated` value is provided, the `deprecated` flag for this section
    * is set. Otherwise, the `deprecated` flag for the section is returned.
+   * Setting the flag sets the status of the section to "deprecated", or back to
+   * "stable".
    *
    * @param {boolean} [deprecated] Optional. The deprecated flag for the section.
    * @returns {KssSection|boolean} If `deprecated` is given, the `KssSection`
@@ -240,7 +299,9 @@ class KssSection {
       return this.data.deprecated;
     }
 
-    this.data.deprecated = !!deprecated;
+    if (!!deprecated !== this.data.deprecated) {
+      this.status(Object.assign({}, this.data.status, {name: deprecated ? 'deprecated' : 'stable'}));
+    }
     // Allow chaining.
     return this;
   }
@@ -250,6 +311,8 @@ class KssSection {
    *
    * If the `experimental` value is provided, the `experimental` flag for this
    * section is set. Otherwise, the `deprecated` flag for the section is returned.
+   * Setting the flag sets the status of the section to "experimental", or back
+   * to "stable".
    *
    * @param {boolean} [experimental] Optional. The experimental flag for the
    *   section.
@@ -262,11 +325,60 @@ class KssSection {
       return this.data.experimental;
     }
 
-    this.data.experimental = !!experimental;
+    if (!!experimental !== this.data.experimental) {
+      this.status(Object.assign({}, this.data.status, {name: experimental ? 'experimental' : 'stable'}));
+    }
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the status of the section in its lifecycle.
+   *
+   * The status is an object with these properties:
+   * - `name`: one of "draft", "experimental", "stable", "deprecated" or
+   *   "removed"
+   * - `since`: the version since which the section has this status
+   * - `replacement`: the reference of the section replacing this section
+   * - `reason`: the reason for the status
+   *
+   * The `deprecated` and `experimental` flags of the section follow its status.
+   *
+   * If the `status` value is provided, the `status` of this section is set.
+   * Otherwise, the `status` of the section is returned.
+   *
+   * @param {Object|string} [status] Optional. The status of the section, or
+   *   just the name of the status.
+   * @returns {KssSection|Object} If `status` is given, the `KssSection` object
+   *   is returned to allow chaining of methods. Otherwise, the status of the
+   *   section is returned.
+   */
+  status(status) {
+    if (typeof status === 'undefined') {
+      return this.data.status;
+    }
+
+    status = Object.assign({name: 'stable', since: '', replacement: '', reason: ''}, typeof status === 'string' ? {name: status} : status);
+    if (statuses.indexOf(status.name) === -1) {
+      throw new Error('Unknown status of section: ' + status.name);
+    }
+    this.data.status = status;
+    this.data.deprecated = status.name === 'deprecated';
+    this.data.experimental = status.name === 'experimental';
     // Allow chaining.
     return this;
   }
 
+  /**
+   * Gets the names of the statuses a section can have, in the order of its
+   * lifecycle.
+   *
+   * @returns {string[]} The names of the statuses.
+   */
+  static statuses() {
+    return statuses.slice();
+  }
+
   /**
    * Gets or sets the reference for the section.
    *
@@ -421,10 +533,106 @@ class KssSection {
     return this;
   }
 
+  /**
+   * Gets or sets the named examples of the section.
+   *
+   * Each example is an object with a `name` and the `markup` of the example,
+   * which can be inline markup or the name of a template file like the
+   * section's markup, e.g. `{name: 'with icon', markup: 'button-icon.hbs'}`.
+   *
+   * If the `examples` value is provided, the examples of this section are set.
+   * Otherwise, the examples of the section are returned.
+   *
+   * @param {Object[]} [examples] Optional. The named examples.
+   * @returns {KssSection|Object[]} If `examples` is given, the `KssSection`
+   *   object is returned to allow chaining of methods. Otherwise, the named
+   *   examples of the section are returned.
+   */
+  examples(examples) {
+    if (typeof examples === 'undefined') {
+      return this.data.examples;
+    }
+
+    this.data.examples = examples.map(example => {
+      return {
+        name: example.name,
+        markup: example.markup
+      };
+    });
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or sets the source code that follows the section's KSS comment.
+   *
+   * The source code is only captured when parsing with the `sourceCode`
+   * option. It is an object with these properties:
+   * - `code`: the source code following the KSS comment, up to the next KSS
+   *   comment.
+   * - `selectors`: an array of the selectors of the code's style rules.
+   * - `customProperties`: an object with `declared` and `used` arrays of the
+   *   names of the CSS custom properties, e.g. `--color`.
+   * - `variables`: an array of the names of the Sass variables referenced.
+   *
+   * If the `source` value is provided, the `source` for this section is set.
+   * Otherwise, the `source` of the section is returned.
+   *
+   * @param {Object} [source] Optional. The source code of the section.
+   * @returns {KssSection|Object|boolean} If `source` is given, the
+   *   `KssSection` object is returned to allow chaining of methods. Otherwise,
+   *   the source code of the section is returned, or `false` if none.
+   */
+  source(source) {
+    if (typeof source === 'undefined') {
+      return this.data.source;
+    }
+
+    this.data.source = source;
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Gets or adds the structured metadata of the section.
+   *
+   * The metadata is usually given in a YAML front matter block at the start of
+   * the section's KSS comment.
+   *
+   * Different types of arguments for `metadata` will yield different results:
+   * - `Object`: The properties of the object are added to the section's
+   *   metadata, replacing any existing properties with the same name.
+   * - `undefined`: Pass nothing to return all of the section's metadata.
+   * - `string`: Use a string to return a specific metadata property by name.
+   *
+   * @param {Object|string} [metadata] Optional. The metadata to add or the name
+   *   of the metadata property to return.
+   * @returns {KssSection|Object|*} If an object is given, the `KssSection`
+   *   object is returned to allow chaining of methods. Otherwise, the requested
+   *   metadata of the section is returned.
+   */
+  metadata(metadata) {
+    if (typeof metadata === 'undefined') {
+      return this.data.metadata;
+    } else if (typeof metadata === 'string') {
+      return this.data.metadata[metadata];
+    }
+
+    for (let name in metadata) {
+      // istanbul ignore else
+      if (metadata.hasOwnProperty(name)) {
+        this.data.metadata[name] = metadata[name];
+      }
+    }
+    // Allow chaining.
+    return this;
+  }
+
   /**
    * Gets or adds nested objects of the section.
    *
-   * A common helper for `.modifiers()` and `.parameters()` methods.
+   * A common helper for `.modifiers()`, `.parameters()` and `.colors()`
+   * methods.
    *
    * Different types of arguments for `properties` will yield different results:
    * - `Object|Array`: If the value is an array of objects or an object, the
@@ -502,6 +710,94 @@ class KssSection {
     return this._propertyHelper('modifiers', KssModifier, modifiers);
   }
 
+  /**
+   * Gets or sets the groups of the section's modifiers that can be combined.
+   *
+   * Each group is an object with a `name` (which can be empty) and a
+   * `modifiers` array of the names of the group's modifiers, e.g.
+   * `{name: 'size', modifiers: ['.button--small', '.button--large']}`. The
+   * modifiers of a group are mutually exclusive; see `combinations()`.
+   *
+   * If the `modifierGroups` value is provided, the groups of this section are
+   * set. Otherwise, the groups of the section are returned.
+   *
+   * @param {Object[]} [modifierGroups] Optional. The modifier groups.
+   * @returns {KssSection|Object[]} If `modifierGroups` is given, the
+   *   `KssSection` object is returned to allow chaining of methods. Otherwise,
+   *   the modifier groups of the section are returned.
+   */
+  modifierGroups(modifierGroups) {
+    if (typeof modifierGroups === 'undefined') {
+      return this.data.modifierGroups;
+    }
+
+    this.data.modifierGroups = modifierGroups.map(group => {
+      return {
+        name: group.name || '',
+        modifiers: group.modifiers.slice()
+      };
+    });
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Returns the combinations of the modifiers of the section's modifier groups.
+   *
+   * Each combination has at most one modifier of each group and at least two
+   * modifiers, since the single modifiers are already shown on their own. The
+   * combinations are ordered by the groups, then by the order of the modifiers
+   * in their group.
+   *
+   * @param {number} [limit] Optional. The maximum number of combinations to
+   *   return.
+   * @returns {Array.<KssModifier[]>} An array of the combinations; each
+   *   combination is an array of `KssModifier` objects.
+   */
+  combinations(limit) {
+    let groups = this.modifierGroups().map(group => {
+        return group.modifiers.map(name => this.modifiers(name)).filter(modifier => modifier);
+      }).filter(group => group.length),
+      combinations = [];
+    limit = typeof limit === 'undefined' ? Infinity : limit;
+
+    // Add each modifier of the group, or none of them, to the combination.
+    let combine = (index, combination) => {
+      if (combinations.length >= limit) {
+        return;
+      }
+      if (index === groups.length) {
+        if (combination.length >= 2) {
+          combinations.push(combination);
+        }
+        return;
+      }
+      combine(index + 1, combination);
+      groups[index].forEach(modifier => {
+        combine(index + 1, combination.concat([modifier]));
+      });
+    };
+    combine(0, []);
+
+    return combinations;
+  }
+
+  /**
+   * Returns the number of combinations of the modifiers of the section's
+   * modifier groups, without a limit. See `combinations()`.
+   *
+   * @returns {number} The number of combinations.
+   */
+  combinationCount() {
+    let groups = this.modifierGroups().map(group => {
+        return group.modifiers.filter(name => this.modifiers(name)).length;
+      }).filter(length => length),
+      // The combinations of any number of modifiers, minus the combination
+      // without any modifier and the single modifiers.
+      count = groups.reduce((count, length) => count * (length + 1), 1) - 1;
+    return groups.reduce((count, length) => count - length, count);
+  }
+
   /**
    * Gets or adds parameters if the section is a CSS preprocessor function/mixin.
    *
@@ -522,6 +818,30 @@ class KssSection {
   parameters(parameters) {
     return this._propertyHelper('parameters', KssParameter, parameters);
   }
+
+  /**
+   * Gets or adds the colors of the section's palette.
+   *
+   * Different types of arguments will yield different results:
+   * - `colors(Object|Array)`: If the value is an array of objects or an object,
+   *   the `colors` are added to this section.
+   * - `colors()`: Pass nothing to return all of the section's colors in an
+   *   array.
+   * - `colors(Integer)`: Use a 0-based index to return the section's Nth color.
+   * - `colors(String)`: Use a string to return a specific color by name, e.g.
+   *   `$brand-blue`.
+   *
+   * @param {*} [colors] Optional. The colors of the section.
+   * @returns {KssSection|KssColor|KssColor[]|boolean} If `colors` is given, the
+   *   `KssSection` object is returned to allow chaining of methods. Otherwise,
+   *   the requested colors of the section are returned.
+   */
+  colors(colors) {
+    return this._propertyHelper('colors', KssColor, colors);
+  }
 }
 
+// The statuses of a section, from the start of its lifecycle to its end.
+const statuses = ['draft', 'experimental', 'stable', 'deprecated', 'removed'];
+
 module.exports = KssSection;
@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_server` module is normally accessed via the
+ * [`KssServer()`]{@link module:kss.KssServer} class of the `kss` module:
+ * ```
+ * const KssServer = require('kss').KssServer;
+ * ```
+ * @private
+ * @module kss/lib/kss_server
+ */
+
+const EventEmitter = require('events'),
+  http = require('http'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  traverse = require('./traverse.js');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+// The URL path used by the live reload client to listen for changes.
+const eventsPath = '/kss-live-reload';
+
+// The live reload client injected into each page of the style guide. When the
+// server sends a "css" event, the client re-loads the page's stylesheets; when
+// it sends a "reload" event listing the page, the client reloads the page.
+const liveReloadClient = [
+  '<script>',
+  '(function() {',
+  '  if (!window.EventSource) { return; }',
+  '  var events = new EventSource(\'' + eventsPath + '\');',
+  '  events.addEventListener(\'css\', function() {',
+  '    var links = document.querySelectorAll(\'link[rel="stylesheet"]\');',
+  '    for (var i = 0; i < links.length; i++) {',
+  '      var href = links[i].getAttribute(\'href\').replace(/[?&]kss-reload=\\d+$/, \'\');',
+  '      links[i].setAttribute(\'href\', href + (href.indexOf(\'?\') === -1 ? \'?\' : \'&\') + \'kss-reload=\' + Date.now());',
+  '    }',
+  '  });',
+  '  events.addEventListener(\'reload\', function(event) {',
+  '    var page = window.location.pathname.replace(/\\/$/, \'/index.html\');',
+  '    if (JSON.parse(event.data).indexOf(page) !== -1) { window.location.reload(); }',
+  '  });',
+  '})();',
+  '</script>'
+].join('\n');
+
+// The content types of the files served from disk.
+const contentTypes = {
+  '.css': 'text/css',
+  '.gif': 'image/gif',
+  '.html': 'text/html',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * A KssServer object builds a style guide in memory and serves it from a local
+ * HTTP server.
+ *
+ * A small live reload client is added to each page of the style guide. When a
+ * `KssWatcher` rebuilds the style guide, the server tells the browser to reload
+ * the pages that have changed; if a stylesheet changed, the browser reloads the
+ * page's CSS without reloading the page.
+ *
+ * Requests for files not built by the builder are served from the builder's
+ * `kss-assets` folder or, failing that, from the style guide's destination
+ * folder.
+ *
+ * A KssServer emits a `close` event after the server is closed.
+ *
+ * This class is normally accessed via the [`kss`]{@link module:kss} module:
+ * ```
+ * const KssServer = require('kss').KssServer;
+ * ```
+ *
+ * @alias module:kss.KssServer
+ */
+class KssServer extends EventEmitter {
+
+  /**
+   * Creates a KssServer object.
+   *
+   * The builder's files will be saved in the server's memory instead of on
+   * disk.
+   *
+   * @param {KssBuilderBase} builder The builder used to build the style guide.
+   * @param {Object} [options] The `port` (defaults to 8080) and `host`
+   *   (defaults to "localhost") to serve the style guide on.
+   */
+  constructor(builder, options) {
+    super();
+
+    options = options || {};
+    this.builder = builder;
+
+    this.meta = {
+      port: (typeof options.port === 'undefined') ? 8080 : options.port,
+      host: options.host || 'localhost',
+      server: null,
+      watcher: null,
+      // The clients listening for live reload events.
+      clients: [],
+      // The pages that have changed since the last build.
+      changedPages: []
+    };
+
+    // The files of the style guide, keyed by their URL path.
+    this.files = {};
+
+    if (this.builder) {
+      this.builder.setWriteFileFunction((file, contents) => {
+        return this.writeFile(file, contents);
+      });
+    }
+  }
+
+  /**
+   * Saves a file of the style guide in memory.
+   *
+   * The live reload client is added to HTML pages.
+   *
+   * @param {string} file The full path of the file in the style guide's
+   *   destination.
+   * @param {string} contents The contents of the file.
+   * @returns {Promise} A `Promise` object.
+   */
+  writeFile(file, contents) {
+    let urlPath = '/' + path.relative(this.builder.getOptions('destination'), file).split(path.sep).join('/');
+
+    contents = contents.toString();
+    if (path.extname(file) === '.html') {
+      contents = contents.indexOf('</body>') !== -1 ? contents.replace('</body>', liveReloadClient + '\n</body>') : contents + liveReloadClient;
+    }
+
+    if (this.files[urlPath] !== contents) {
+      if (this.files[urlPath] && this.meta.changedPages.indexOf(urlPath) === -1) {
+        this.meta.changedPages.push(urlPath);
+      }
+      this.files[urlPath] = contents;
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Starts the HTTP server.
+   *
+   * @param {KssWatcher} [watcher] Optional. The watcher that rebuilds the style
+   *   guide; the server will notify the browser after each rebuild.
+   * @returns {Promise.<KssServer>} A `Promise` object resolving to the
+   *   `KssServer` object once the server is listening.
+   */
+  listen(watcher) {
+    if (watcher) {
+      this.meta.watcher = watcher;
+      watcher.on('build', (styleGuide, changedFiles) => {
+        this.notifyChanges(styleGuide, changedFiles);
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.meta.server = http.createServer((request, response) => {
+        this.handleRequest(request, response);
+      });
+      this.meta.server.once('error', reject);
+      this.meta.server.listen(this.meta.port, this.meta.host, () => {
+        this.meta.server.removeListener('error', reject);
+        this.builder.log('Serving the style guide at ' + this.url());
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Returns the URL of the style guide's homepage.
+   *
+   * @returns {string} The URL, or an empty string if the server is not
+   *   listening.
+   */
+  url() {
+    let address = this.meta.server && this.meta.server.address();
+    return address ? 'http://' + this.meta.host + ':' + address.port + '/' : '';
+  }
+
+  /**
+   * Tells the live reload clients what changed during a rebuild.
+   *
+   * @private
+   * @param {KssStyleGuide} styleGuide The rebuilt style guide.
+   * @param {string[]} changedFiles The full paths of the changed files.
+   */
+  notifyChanges(styleGuide, changedFiles) {
+    let changedPages = this.meta.changedPages,
+      mask = traverse.maskRegExp(this.meta.watcher.options.mask);
+    this.meta.changedPages = [];
+
+    let stylesheetChanged = changedFiles.some(file => {
+      return styleGuide.meta.files.indexOf(file) !== -1 || mask.test(file);
+    });
+    if (stylesheetChanged) {
+      this.sendEvent('css', changedFiles);
+    }
+    if (changedPages.length) {
+      this.sendEvent('reload', changedPages);
+    }
+  }
+
+  /**
+   * Sends an event to all of the live reload clients.
+   *
+   * @param {string} event The name of the event.
+   * @param {*} data The data to send; it will be encoded as JSON.
+   * @returns {KssServer} The `KssServer` object is returned to allow chaining
+   *   of methods.
+   */
+  sendEvent(event, data) {
+    let message = 'event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n';
+    this.meta.clients.forEach(response => {
+      response.write(message);
+    });
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Responds to a request to the HTTP server.
+   *
+   * @private
+   * @param {http.IncomingMessage} request The request.
+   * @param {http.ServerResponse} response The response.
+   */
+  handleRequest(request, response) {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(request.url.split('?')[0]);
+    } catch (error) {
+      urlPath = '';
+    }
+    if (urlPath.slice(-1) === '/') {
+      urlPath += 'index.html';
+    }
+
+    // Keep the connection open for live reload events.
+    if (urlPath === eventsPath) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      response.write('\n');
+      this.meta.clients.push(response);
+      request.on('close', () => {
+        let index = this.meta.clients.indexOf(response);
+        if (index !== -1) {
+          this.meta.clients.splice(index, 1);
+        }
+      });
+      return;
+    }
+
+    // Serve the files built in memory.
+    if (this.files.hasOwnProperty(urlPath)) {
+      response.writeHead(200, {'Content-Type': contentTypes[path.extname(urlPath)] || 'text/plain'});
+      response.end(this.files[urlPath]);
+      return;
+    }
+
+    // Serve the builder's kss-assets or the files in the destination from disk.
+    let directories = [this.builder.getOptions('destination')];
+    if (urlPath.indexOf('/kss-assets/') === 0) {
+      directories.unshift(this.builder.getOptions('builder'));
+    }
+    Promise.reduce(directories, (found, directory) => {
+      if (found) {
+        return found;
+      }
+      let file = path.resolve(directory, '.' + urlPath);
+      // Don't serve files outside of the directory.
+      if (file.indexOf(path.resolve(directory) + path.sep) !== 0) {
+        return false;
+      }
+      return fs.readFileAsync(file).then(contents => {
+        return {file: file, contents: contents};
+      }).catch(() => {
+        return false;
+      });
+    }, false).then(found => {
+      if (found) {
+        response.writeHead(200, {'Content-Type': contentTypes[path.extname(found.file).toLowerCase()] || 'application/octet-stream'});
+        response.end(found.contents);
+      } else {
+        response.writeHead(404, {'Content-Type': 'text/plain'});
+        response.end('Not found: ' + urlPath);
+      }
+    });
+  }
+
+  /**
+   * Stops the HTTP server and the watcher.
+   *
+   * @returns {Promise.<KssServer>} A `Promise` object resolving to the
+   *   `KssServer` object once the server is closed.
+   */
+  close() {
+    this.meta.clients.forEach(response => {
+      response.end();
+    });
+    this.meta.clients = [];
+
+    return Promise.all([
+      new Promise(resolve => {
+        if (this.meta.server) {
+          this.meta.server.close(() => {
+            resolve();
+          });
+        } else {
+          resolve();
+        }
+      }),
+      this.meta.watcher ? this.meta.watcher.close() : Promise.resolve()
+    ]).then(() => {
+      this.emit('close');
+      return this;
+    });
+  }
+}
+
+module.exports = KssServer;
@@ -31,6 +31,11 @@ class KssStyleGuide {
    * If passed an object, it will add `autoInit`, `customPropertyNames`, and
    * `sections` properties.
    *
+   * The object can also contain a `duplicates` property with the policy used
+   * when a section has the same reference as an earlier section (see
+   * `sections()`), and a `diagnostics` property with a `KssDiagnostics` object
+   * to report duplicate references to.
+   *
    * @param {Object} [data] An object of data.
    */
   constructor(data) {
@@ -38,6 +43,8 @@ class KssStyleGuide {
 
     this.meta = {
       autoInit: false,
+      diagnostics: data.diagnostics || null,
+      duplicates: data.duplicates || 'warn',
       files: data.files || [],
       hasNumericReferences: true,
       needsDepth: false,
@@ -292,6 +299,18 @@ class KssStyleGuide {
    * If `sections` objects are provided, the sections are added to the style
    * guide. Otherwise, a search is performed to return the desired sections.
    *
+   * If a section being added has the same reference as an existing section,
+   * the style guide's `duplicates` policy decides what happens:
+   * - `warn` (the default): a warning is reported and both sections are kept;
+   *   searching for the reference will return the new section.
+   * - `error`: an error is reported; if the style guide has no `diagnostics`
+   *   object to report it to, an `Error` is thrown instead. The existing
+   *   section is kept.
+   * - `merge`: the new section's description, modifiers, modifier groups,
+   *   parameters, colors, markup, named examples, source code, metadata and
+   *   custom properties are merged into the existing section.
+   * - `keep-first`: the new section is ignored.
+   *
    * There's a few ways to use search with this method:
    * - `sections()` returns all of the sections.
    *
@@ -332,6 +351,12 @@ class KssStyleGuide {
           section = new KssSection(section);
         }
 
+        // Check if the reference is already used by another section.
+        let existingSection = this.meta.referenceMap[section.reference()];
+        if (existingSection && !this.addDuplicate(existingSection, section)) {
+          return;
+        }
+
         // Set the style guide for each section.
         section.styleGuide(this);
 
@@ -423,6 +448,81 @@ class KssStyleGuide {
 
     return matchedSections;
   }
+
+  /**
+   * Applies the `duplicates` policy to a section with the same reference as an
+   * existing section.
+   *
+   * @private
+   * @param {KssSection} existingSection The section already in the style guide.
+   * @param {KssSection} section The section being added.
+   * @returns {boolean} Whether the new section should be added to the style
+   *   guide.
+   */
+  addDuplicate(existingSection, section) {
+    let location = function(section) {
+      let sourceFile = section.custom('sourceFile') || {};
+      return {
+        file: sourceFile.path || '',
+        line: sourceFile.line || 0
+      };
+    };
+    let message = 'Section ' + section.reference() + ' is declared more than once: ' + [existingSection, section].map(section => {
+      let sectionLocation = location(section);
+      return (sectionLocation.file || 'unknown file') + ':' + sectionLocation.line;
+    }).join(', ') + '.';
+
+    switch (this.meta.duplicates) {
+      case 'error':
+        if (!this.meta.diagnostics) {
+          throw new Error(message);
+        }
+        this.meta.diagnostics.error('duplicate-reference', message, location(section));
+        return false;
+
+      case 'merge':
+        if (section.description()) {
+          existingSection.description(existingSection.description() ? existingSection.description() + '\n' + section.description() : section.description());
+        }
+        if (!existingSection.markup()) {
+          existingSection.markup(section.markup());
+        }
+        existingSection.examples(existingSection.examples().concat(section.examples().filter(example => {
+          return !existingSection.examples().some(existingExample => existingExample.name === example.name);
+        })));
+        if (!existingSection.source()) {
+          existingSection.source(section.source());
+        }
+        if (!existingSection.modifierGroups().length) {
+          existingSection.modifierGroups(section.modifierGroups());
+        }
+        existingSection.modifiers(section.modifiers().filter(modifier => {
+          return !existingSection.modifiers(modifier.name());
+        }));
+        existingSection.parameters(section.parameters().filter(parameter => {
+          return !existingSection.parameters(parameter.name());
+        }));
+        existingSection.colors(section.colors().filter(color => {
+          return !existingSection.colors(color.name());
+        }));
+        existingSection.metadata(Object.assign({}, section.metadata(), existingSection.metadata()));
+        section.customPropertyNames().forEach(name => {
+          if (typeof existingSection.custom(name) === 'undefined') {
+            existingSection.custom(name, section.custom(name));
+          }
+        });
+        return false;
+
+      case 'keep-first':
+        return false;
+
+      default:
+        if (this.meta.diagnostics) {
+          this.meta.diagnostics.warning('duplicate-reference', message, location(section));
+        }
+        return true;
+    }
+  }
 }
 
 module.exports = KssStyleGuide;
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * The `kss/lib/kss_watcher` module is normally accessed via the
+ * [`KssWatcher()`]{@link module:kss.KssWatcher} class of the `kss` module:
+ * ```
+ * const KssWatcher = require('kss').KssWatcher;
+ * ```
+ * @private
+ * @module kss/lib/kss_watcher
+ */
+
+const EventEmitter = require('events'),
+  KssCache = require('./kss_cache.js'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  traverse = require('./traverse.js');
+
+const fs = Promise.promisifyAll(require('fs-extra'));
+
+/**
+ * A KssWatcher object watches the source directories of a style guide and
+ * rebuilds the style guide when any of its files change.
+ *
+ * The source directories contain the stylesheets, the `Markup:` template files,
+ * their `.json` context files and the homepage Markdown file. When a stylesheet
+ * changes, only the changed files are parsed again. The builder's `rebuild()`
+ * method is then given the list of changed files so it can decide which parts
+ * of the style guide to rebuild.
+ *
+ * A KssWatcher emits these events:
+ * - `build`: after each rebuild; listeners are given the `KssStyleGuide` and
+ *   the array of changed files.
+ * - `close`: after the watcher is closed.
+ *
+ * This class is normally accessed via the [`kss`]{@link module:kss} module:
+ * ```
+ * const KssWatcher = require('kss').KssWatcher;
+ * ```
+ *
+ * @alias module:kss.KssWatcher
+ */
+class KssWatcher extends EventEmitter {
+
+  /**
+   * Creates a KssWatcher object.
+   *
+   * @param {KssBuilderBase} builder The builder used to build the style guide.
+   * @param {Object} [options] The options given to `traverse()` when a
+   *   stylesheet changes. If no `cache` option is given, an in-memory
+   *   `KssCache` is used.
+   */
+  constructor(builder, options) {
+    super();
+
+    this.builder = builder;
+    this.options = options || {};
+    if (!this.options.cache) {
+      this.options.cache = new KssCache();
+    }
+
+    this.meta = {
+      // The number of milliseconds to wait for more changes before rebuilding.
+      delay: 100,
+      timer: null,
+      changedFiles: [],
+      watchers: {},
+      building: Promise.resolve(),
+      closed: false
+    };
+  }
+
+  /**
+   * Starts watching the source directories.
+   *
+   * @param {KssStyleGuide} styleGuide The style guide that has already been
+   *   built.
+   * @returns {Promise.<KssWatcher>} A `Promise` object resolving to the
+   *   `KssWatcher` object once the directories are being watched.
+   */
+  watch(styleGuide) {
+    this.styleGuide = styleGuide;
+
+    return this.watchDirectories().then(() => {
+      return this;
+    });
+  }
+
+  /**
+   * Watches any source directory (or sub-directory) not already being watched.
+   *
+   * @private
+   * @returns {Promise} A `Promise` object.
+   */
+  watchDirectories() {
+    let walk = directory => {
+      return fs.readdirAsync(directory).then(fileNames => {
+        // Watch the directory itself.
+        if (!this.meta.watchers[directory] && !this.meta.closed) {
+          this.meta.watchers[directory] = fs.watch(directory, (event, fileName) => {
+            // istanbul ignore else
+            if (fileName) {
+              this.change(path.join(directory, fileName.toString()));
+            }
+          });
+        }
+
+        return Promise.all(fileNames.map(fileName => {
+          let name = path.join(directory, fileName);
+          if (fileName === '.svn' || fileName === '.git' || fileName === 'node_modules' || this.isIgnored(name)) {
+            return Promise.resolve();
+          }
+          return fs.statAsync(name).then(stat => {
+            return stat.isDirectory() ? walk(name) : Promise.resolve();
+          });
+        }));
+      }).catch(() => {
+        // The directory may have been removed since it was found.
+        return Promise.resolve();
+      });
+    };
+
+    return Promise.all(this.builder.getOptions('source').map(directory => {
+      return walk(path.resolve(directory));
+    }));
+  }
+
+  /**
+   * Checks if a changed file should be ignored.
+   *
+   * Files written to the style guide's destination are ignored, even if the
+   * destination is inside a source directory.
+   *
+   * @private
+   * @param {string} file The full path of the file.
+   * @returns {boolean} Whether the file should be ignored.
+   */
+  isIgnored(file) {
+    let destination = this.builder.getOptions('destination');
+    return !!destination && (file === destination || file.indexOf(destination + path.sep) === 0);
+  }
+
+  /**
+   * Notes a changed file and schedules a rebuild.
+   *
+   * @param {string} file The full path of the changed file.
+   * @returns {KssWatcher} The `KssWatcher` object is returned to allow
+   *   chaining of methods.
+   */
+  change(file) {
+    if (this.isIgnored(file) || this.meta.closed) {
+      return this;
+    }
+
+    if (this.meta.changedFiles.indexOf(file) === -1) {
+      this.meta.changedFiles.push(file);
+    }
+
+    // Wait for the changes to settle before rebuilding.
+    clearTimeout(this.meta.timer);
+    this.meta.timer = setTimeout(() => {
+      this.rebuild();
+    }, this.meta.delay);
+
+    // Allow chaining.
+    return this;
+  }
+
+  /**
+   * Rebuilds the style guide with the builder's `rebuild()` method.
+   *
+   * If a stylesheet has changed, the source directories are traversed again
+   * before the rebuild. Only one rebuild runs at a time.
+   *
+   * @returns {Promise.<KssStyleGuide>} A `Promise` object resolving to the
+   *   rebuilt `KssStyleGuide` object.
+   */
+  rebuild() {
+    this.meta.building = this.meta.building.then(() => {
+      let changedFiles = this.meta.changedFiles;
+      this.meta.changedFiles = [];
+      if (!changedFiles.length || this.meta.closed) {
+        return this.styleGuide;
+      }
+
+      let mask = traverse.maskRegExp(this.options.mask),
+        parseStylesheets = changedFiles.some(file => {
+          return mask.test(file) || this.styleGuide.meta.files.indexOf(file) !== -1;
+        });
+
+      if (this.builder.getOptions('verbose')) {
+        this.builder.log('');
+        this.builder.log('...Rebuilding after changes to:');
+        this.builder.log(changedFiles.map(file => {
+          return ' - ' + file;
+        }).join('\n'));
+      }
+
+      return (parseStylesheets ? traverse(this.builder.getOptions('source'), this.options) : Promise.resolve(this.styleGuide)).then(styleGuide => {
+        return this.builder.rebuild(styleGuide, changedFiles);
+      }).then(styleGuide => {
+        this.styleGuide = styleGuide;
+        this.builder.log('Style guide rebuilt successfully!');
+        this.emit('build', styleGuide, changedFiles);
+        // Watch any new directories.
+        return this.watchDirectories();
+      }).then(() => {
+        return this.styleGuide;
+      }).catch(error => {
+        // Keep watching after reporting the error.
+        this.builder.logError(error);
+        return this.styleGuide;
+      });
+    });
+
+    return this.meta.building;
+  }
+
+  /**
+   * Stops watching the source directories.
+   *
+   * @returns {Promise.<KssWatcher>} A `Promise` object resolving to the
+   *   `KssWatcher` object once any running rebuild has finished.
+   */
+  close() {
+    this.meta.closed = true;
+    clearTimeout(this.meta.timer);
+    for (let directory in this.meta.watchers) {
+      // istanbul ignore else
+      if (this.meta.watchers.hasOwnProperty(directory)) {
+        this.meta.watchers[directory].close();
+      }
+    }
+    this.meta.watchers = {};
+
+    return this.meta.building.then(() => {
+      this.emit('close');
+      return this;
+    });
+  }
+}
+
+module.exports = KssWatcher;
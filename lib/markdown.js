@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * The `kss/lib/markdown` module is normally accessed via the
+ * [`markdown()`]{@link module:kss.markdown} method of the `kss` module:
+ * ```
+ * const kss = require('kss');
+ * let render = kss.markdown({gfm: true, tables: true});
+ * ```
+ * @private
+ * @module kss/lib/markdown
+ */
+
+const marked = require('marked'),
+  path = require('path');
+
+/**
+ * Creates a marked renderer with the given methods; if `inline` is set, the
+ * renderer will not output wrapping paragraphs.
+ *
+ * @private
+ * @param {Object} [methods] Optional. An object of renderer methods, e.g.
+ *   `code`, or a `marked.Renderer` object.
+ * @param {boolean} inline Whether to render inline text.
+ * @returns {marked.Renderer} The renderer.
+ */
+const createRenderer = function(methods, inline) {
+  let renderer = new marked.Renderer();
+  if (methods) {
+    for (let name in methods) {
+      if (typeof methods[name] === 'function') {
+        renderer[name] = methods[name];
+      }
+    }
+  }
+  if (inline) {
+    renderer.paragraph = function(text) {
+      return text;
+    };
+  }
+  return renderer;
+};
+
+/**
+ * Removes the paragraph wrapping a single paragraph of rendered HTML.
+ *
+ * @private
+ * @param {string} html The HTML.
+ * @returns {string} The HTML without the wrapping paragraph.
+ */
+const unwrapParagraph = function(html) {
+  let match = html.trim().match(/^<p>([\s\S]*)<\/p>$/);
+  return (match && match[1].indexOf('<p>') === -1) ? match[1] : html;
+};
+
+/**
+ * Creates the function used to render the Markdown of the section descriptions,
+ * the modifier and parameter descriptions and the homepage.
+ *
+ * The `renderer` can be:
+ * - `true` or `undefined`: Markdown is rendered by
+ *   [marked](https://github.com/chjj/marked) with its default options.
+ * - `false`: Markdown is not rendered; `false` is returned.
+ * - an object of marked options, e.g. `{gfm: true, tables: true}`. The
+ *   `renderer` property can be an object of renderer methods, e.g.
+ *   `{code: function(code, language) {...}}`.
+ * - a function that is given the Markdown and an object with an `inline`
+ *   property and returns the HTML. When `inline` is true (e.g. for modifier
+ *   descriptions), the returned HTML should not be wrapped in a paragraph; a
+ *   single wrapping paragraph is removed if it is.
+ * - an object with a `render()` method (and, optionally, a `renderInline()`
+ *   method) like a markdown-it object.
+ * - the path to a module or the name of a package that exports any of the
+ *   above.
+ *
+ * @alias module:kss.markdown
+ * @param {boolean|Object|Function|string} [renderer] Optional. The renderer or
+ *   marked options.
+ * @returns {Function|boolean} A function that is given the Markdown and,
+ *   optionally, an object with an `inline` property and returns the HTML, or
+ *   `false` if Markdown should not be rendered.
+ */
+const markdown = function(renderer) {
+  if (renderer === false) {
+    return false;
+  }
+
+  // Load the renderer from a module.
+  if (typeof renderer === 'string') {
+    let modulePath = renderer;
+    try {
+      renderer = require(path.resolve(modulePath));
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+      renderer = require(modulePath);
+    }
+    return markdown(renderer);
+  }
+
+  // Use a custom render function.
+  if (typeof renderer === 'function') {
+    return function(text, options) {
+      options = options || {};
+      let html = renderer(text, {inline: !!options.inline});
+      return options.inline ? unwrapParagraph(html) : html;
+    };
+  }
+
+  // Use an object with a render() method, like markdown-it.
+  if (renderer && typeof renderer.render === 'function') {
+    return function(text, options) {
+      options = options || {};
+      if (options.inline) {
+        return typeof renderer.renderInline === 'function' ? renderer.renderInline(text) : unwrapParagraph(renderer.render(text));
+      }
+      return renderer.render(text);
+    };
+  }
+
+  // Use marked with the given options.
+  let markedOptions = (renderer && typeof renderer === 'object') ? renderer : {},
+    blockOptions = Object.assign({}, markedOptions, {renderer: createRenderer(markedOptions.renderer, false)}),
+    inlineOptions = Object.assign({}, markedOptions, {renderer: createRenderer(markedOptions.renderer, true)});
+  return function(text, options) {
+    return marked(text, (options && options.inline) ? inlineOptions : blockOptions);
+  };
+};
+
+module.exports = markdown;
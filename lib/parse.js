@@ -11,15 +11,15 @@
  * @module kss/lib/parse
  */
 
-const KssStyleGuide = require('./kss_style_guide.js'),
-  marked = require('marked'),
-  path = require('path');
+const commentExtractors = require('./comment_extractors.js'),
+  KssSection = require('./kss_section.js'),
+  KssStyleGuide = require('./kss_style_guide.js'),
+  markdown = require('./markdown.js'),
+  path = require('path'),
+  yaml = require('js-yaml');
 
-// Create a MarkDown renderer that does not output a wrapping paragraph.
-const inlineRenderer = new marked.Renderer();
-inlineRenderer.paragraph = function(text) {
-  return text;
-};
+// The labels that start a paragraph of a description, rather than a property.
+const proseLabels = ['deprecated', 'experimental', 'note', 'notes', 'example', 'examples', 'tip', 'warning', 'important', 'caution'];
 
 /**
  * Parse an array/string of documented CSS, or an array of file objects with
@@ -28,10 +28,17 @@ inlineRenderer.paragraph = function(text) {
  * Each File object in the array should be formatted as:
  * `{ base: "path to source directory", path: "full path to file", contents: "content" }`.
  *
+ * The comments of each file are found using the comment extractor for the
+ * file's extension, e.g. `{# #}` comments in `.twig` files; see
+ * [`commentExtractors`]{@link module:kss.commentExtractors}. Strings and files
+ * without a path are parsed as CSS.
+ *
  * @alias module:kss.parse
  * @param {*} input The input to parse
  * @param {Object} [options] Options to alter the output content. Same as the
- *   options in [`traverse()`]{@link module:kss.traverse}.
+ *   options in [`traverse()`]{@link module:kss.traverse}, except that the
+ *   `cache` option must be a `KssCache` object and the `stylesheets` option
+ *   must be an array of objects with `path` and `contents` properties.
  * @returns {KssStyleGuide} Returns a `KssStyleGuide` object.
  */
 const parse = function(input, options) {
@@ -45,14 +52,17 @@ const parse = function(input, options) {
   }
   options.custom = options.custom || [];
 
+  // Create the Markdown renderer.
+  let renderMarkdown = markdown(options.markdown);
+
+  // Find the name and type of each custom property.
+  let customProperties = (Array.isArray(options.custom) ? options.custom : [options.custom]).map(toCustomProperty);
+
   // Massage our input into a "files" array of Vinyl-like objects.
   let files = [],
     styleGuide = {
       files: [],
       sections: []
-    },
-    toFloat = function(value) {
-      return isNaN(value) ? 0 : parseFloat(value);
     };
 
   // If supplied a string.
@@ -73,248 +83,812 @@ const parse = function(input, options) {
     });
   }
 
+  // The modifiers are checked against the selectors of each section's own
+  // stylesheet if diagnostics are collected without a list of stylesheets.
+  let findSelectors = !!options.diagnostics && !(options.stylesheets && options.stylesheets.length);
+
+  // A fingerprint of the options that change the parsed data; a cached file is
+  // only re-used if it was parsed with the same options.
+  let fingerprint = JSON.stringify({
+    header: options.header,
+    markdown: options.markdown,
+    custom: options.custom,
+    sourceCode: !!options.sourceCode,
+    autoModifiers: !!options.autoModifiers,
+    selectors: findSelectors
+  }, fingerprintValue);
+
+  // The stylesheets parsed, keyed by their path.
+  let stylesheets = {};
+
   for (let file of files) {
-    // Retrieve an array of "comment block" strings, and then evaluate each one.
-    let comments = findCommentBlocks(file.contents);
-
-    for (let comment of comments) {
-      // Create a new, temporary section object with some default values.
-      // "raw" is a comment block from the array above.
-      let newSection = {
-        raw: comment.raw,
-        header: '',
-        description: '',
-        modifiers: [],
-        parameters: [],
-        markup: '',
-        sourceFile: {
-          name: file.path ? file.path : '',
-          base: file.base ? file.base : '',
-          path: file.path ? file.path : '',
-          line: comment.line
-        }
+    // Re-use the previously parsed sections (and diagnostics) of an unchanged
+    // file.
+    let fileFingerprint = fingerprint,
+      parsed = false;
+    if (options.cache && file.path) {
+      // A file is also re-parsed when the comment extractor for its extension
+      // is added or replaced.
+      let extractor = commentExtractors.get(file.path);
+      fileFingerprint += '\n' + JSON.stringify({
+        extractor: extractor,
+        delimiters: extractor.delimiters
+      }, fingerprintValue);
+      parsed = options.cache.get(file, fileFingerprint);
+    }
+    if (!parsed) {
+      parsed = {
+        sections: [],
+        diagnostics: []
       };
-      if (file.base) {
-        // Always display using UNIX separators.
-        newSection.sourceFile.name = path.relative(file.base, file.path).replace(/\\/g, '/');
+      parsed.sections = parseFile(file, options, customProperties, renderMarkdown, parsed.diagnostics);
+      // Keep the selectors of a stylesheet to check the modifiers against.
+      if (findSelectors && isStylesheet(file)) {
+        parsed.selectors = analyzeSource(file.contents).selectors;
+      }
+      if (options.cache && file.path) {
+        options.cache.set(file, fileFingerprint, parsed);
+      }
+    }
+    // Since the cache stores JSON, convert the custom properties to their
+    // types after the sections are cached.
+    processCustomProperties(parsed.sections, customProperties, renderMarkdown, options.diagnostics);
+    styleGuide.sections = styleGuide.sections.concat(parsed.sections);
+    if (parsed.selectors && file.path) {
+      stylesheets[file.path] = {
+        path: file.path,
+        contents: file.contents,
+        selectors: parsed.selectors
+      };
+    }
+    if (options.diagnostics) {
+      parsed.diagnostics.forEach(diagnostic => {
+        options.diagnostics.add(diagnostic);
+      });
+    }
+  }
+
+  // Add the options used by the style guide.
+  styleGuide.duplicates = options.duplicates;
+  styleGuide.diagnostics = options.diagnostics;
+  styleGuide = new KssStyleGuide(styleGuide);
+
+  if (options.diagnostics) {
+    checkParents(styleGuide, options.diagnostics);
+    checkReferences(styleGuide, customProperties, options.diagnostics);
+    checkReplacements(styleGuide, options.diagnostics);
+    // Check the modifiers against the given stylesheets, e.g. the built CSS,
+    // or against the stylesheet of each section.
+    if (options.stylesheets && options.stylesheets.length) {
+      let selectors = options.stylesheets.map(stylesheet => {
+        return {
+          path: stylesheet.path || '',
+          contents: stylesheet.contents,
+          selectors: analyzeSource(stylesheet.contents).selectors
+        };
+      });
+      checkModifiers(styleGuide, () => selectors, options.diagnostics);
+    } else {
+      checkModifiers(styleGuide, section => {
+        let sourceFile = section.custom('sourceFile');
+        return (sourceFile && stylesheets[sourceFile.path]) ? [stylesheets[sourceFile.path]] : [];
+      }, options.diagnostics);
+    }
+  }
+
+  return styleGuide;
+};
+
+// The types of custom properties. Each type has a function that converts the
+// string value of the property (given the Markdown renderer), throwing an error
+// if the value is not valid, and a description of the valid values used in
+// error messages.
+const customPropertyTypes = {
+  string: {
+    convert: value => value
+  },
+  number: {
+    description: 'a number',
+    convert: value => {
+      let number = Number(value.trim());
+      if (value.trim() === '' || isNaN(number)) {
+        throw new Error();
+      }
+      return number;
+    }
+  },
+  boolean: {
+    description: 'a boolean (true, false, yes or no)',
+    convert: value => {
+      value = value.trim().toLowerCase();
+      if (['true', 'yes', 'on', '1'].indexOf(value) !== -1) {
+        return true;
+      } else if (['false', 'no', 'off', '0'].indexOf(value) !== -1) {
+        return false;
       }
+      throw new Error();
+    }
+  },
+  list: {
+    convert: value => {
+      return value.split(/[,\n]/).map(item => item.trim()).filter(item => item !== '');
+    }
+  },
+  json: {
+    description: 'valid JSON',
+    convert: value => JSON.parse(value)
+  },
+  markdown: {
+    convert: (value, renderMarkdown) => (renderMarkdown || markdown())(value)
+  },
+  reference: {
+    // The section being referenced is checked once the style guide is created.
+    convert: value => value.trim().replace(/\s+/g, ' ')
+  },
+  date: {
+    description: 'a date',
+    convert: value => {
+      let date = new Date(value.trim());
+      if (value.trim() === '' || isNaN(date.getTime())) {
+        throw new Error();
+      }
+      return date;
+    }
+  }
+};
 
-      // Split the comment block into paragraphs.
-      let paragraphs = comment.text.split('\n\n');
+/**
+ * Converts a custom property given in the `custom` option to an object with
+ * `name` and `type` properties.
+ *
+ * A custom property can be given as a name, e.g. "Owner", as a name and a type
+ * separated by a colon, e.g. "Since:date", or as an object, e.g.
+ * `{name: "Since", type: "date"}`.
+ *
+ * @private
+ * @param {string|Object} customProperty The custom property.
+ * @returns {Object} An object with `name` and `type` properties.
+ */
+const toCustomProperty = function(customProperty) {
+  if (typeof customProperty === 'string') {
+    let index = customProperty.lastIndexOf(':');
+    customProperty = index === -1 ? {name: customProperty} : {
+      name: customProperty.slice(0, index),
+      type: customProperty.slice(index + 1)
+    };
+  }
+
+  let name = customProperty.name.trim(),
+    type = (customProperty.type || 'string').trim().toLowerCase();
+  if (!customPropertyTypes.hasOwnProperty(type)) {
+    throw new Error('The custom property "' + name + '" has an unknown type, "' + type + '"; use one of: ' + Object.keys(customPropertyTypes).join(', ') + '.');
+  }
+
+  return {name: name, type: type};
+};
 
-      // Ignore this block if a style guide reference number is not listed.
-      newSection.reference = findReference(paragraphs.pop());
-      if (!newSection.reference) {
+/**
+ * Converts the values of the sections' custom properties to their types.
+ *
+ * If a value is not valid, an "invalid-custom-property" error is added to the
+ * diagnostics and the property is removed from the section.
+ *
+ * @private
+ * @param {Array} sections An array of the JSON equivalents of KssSections.
+ * @param {Array} customProperties The names and types of the custom
+ *   properties.
+ * @param {Function|boolean} renderMarkdown The Markdown renderer, or `false`.
+ * @param {KssDiagnostics} [diagnostics] Optional. The object to add the
+ *   problems found to.
+ */
+const processCustomProperties = function(sections, customProperties, renderMarkdown, diagnostics) {
+  for (let section of sections) {
+    for (let customProperty of customProperties) {
+      let key = customProperty.name.toLowerCase(),
+        values = (section.customData && section.customData.hasOwnProperty(key)) ? section.customData : section;
+      if (typeof values[key] !== 'string') {
         continue;
       }
 
-      // Before anything else, process the properties that are clearly labeled
-      // and can be found right away and then removed.
-      processProperty.call(newSection, paragraphs, 'Markup');
-      processProperty.call(newSection, paragraphs, 'Weight', toFloat);
-      // Process custom properties.
-      for (let customProperty of options.custom) {
-        processProperty.call(newSection, paragraphs, customProperty);
+      let type = customPropertyTypes[customProperty.type];
+      try {
+        values[key] = type.convert(values[key], renderMarkdown);
+      } catch (error) {
+        if (diagnostics) {
+          let location = sourceLocation(section.sourceFile);
+          location.line = findLine({raw: section.raw, line: location.line}, customProperty.name + ':');
+          diagnostics.error('invalid-custom-property', 'The "' + customProperty.name + ':" property of section ' + section.reference + ' must be ' + type.description + '; found "' + values[key].trim() + '".', location);
+        }
+        delete values[key];
       }
+    }
+  }
+};
 
-      // If the block is just a reference, copy the reference into the header.
-      if (paragraphs.length === 0) {
-        newSection.header = newSection.reference;
+/**
+ * Checks that the custom properties with a "reference" type refer to a
+ * documented section.
+ *
+ * @private
+ * @param {KssStyleGuide} styleGuide The style guide to check.
+ * @param {Array} customProperties The names and types of the custom
+ *   properties.
+ * @param {KssDiagnostics} diagnostics The object to add the problems found to.
+ */
+const checkReferences = function(styleGuide, customProperties, diagnostics) {
+  customProperties = customProperties.filter(customProperty => customProperty.type === 'reference');
+  if (!customProperties.length) {
+    return;
+  }
 
-      // If the block has just 1 paragraph, it is just a header and a reference.
-      } else if (paragraphs.length === 1) {
-        newSection.header = newSection.description = paragraphs[0];
+  styleGuide.sections().forEach(section => {
+    for (let customProperty of customProperties) {
+      let value = section.custom(customProperty.name.toLowerCase());
+      if (typeof value === 'string' && !styleGuide.sections(value)) {
+        let location = sourceLocation(section.custom('sourceFile'));
+        location.line = findLine({raw: section.meta.raw, line: location.line}, customProperty.name + ':');
+        diagnostics.error('invalid-custom-property', 'The "' + customProperty.name + ':" property of section ' + section.reference() + ' must be the reference of a documented section; found "' + value + '".', location);
+      }
+    }
+  });
+};
 
-      // If it has 2+ paragraphs, search for modifiers.
-      } else {
+/**
+ * Checks that the replacement of each section's status is a documented
+ * section.
+ *
+ * @private
+ * @param {KssStyleGuide} styleGuide The style guide to check.
+ * @param {KssDiagnostics} diagnostics The object to add the problems found to.
+ */
+const checkReplacements = function(styleGuide, diagnostics) {
+  styleGuide.sections().forEach(section => {
+    let replacement = section.status().replacement;
+    if (replacement && !styleGuide.sections(replacement)) {
+      let location = sourceLocation(section.custom('sourceFile'));
+      location.line = findLine({raw: section.meta.raw, line: location.line}, 'Replacement:');
+      diagnostics.warning('invalid-replacement', 'The replacement of section ' + section.reference() + ' must be the reference of a documented section; found "' + replacement + '".', location);
+    }
+  });
+};
 
-        // Extract the approximate header, description and modifiers paragraphs.
-        // The modifiers will be split into an array of lines.
-        newSection.header = paragraphs[0];
-        let possibleModifiers = paragraphs.pop();
-        newSection.modifiers = possibleModifiers.split('\n');
-        newSection.description = paragraphs.join('\n\n');
-
-        // Check the modifiers paragraph. Does it look like it's a list of
-        // modifiers, or just another paragraph of the description?
-        let numModifierLines = newSection.modifiers.length,
-          hasModifiers = true,
-          lastModifier = 0;
-        for (let j = 0; j < numModifierLines; j += 1) {
-          if (newSection.modifiers[j].match(/^\s*.+?\s+\-\s/g)) {
-            lastModifier = j;
-          } else if (j === 0) {
-            // The paragraph doesn't start with a modifier, so bail out.
-            hasModifiers = false;
-            j = numModifierLines;
-          } else {
-            // If the current line doesn't match a modifier, it must be a
-            // multi-line modifier description.
-            newSection.modifiers[lastModifier] += ' ' + newSection.modifiers[j].replace(/^\s+|\s+$/g, '');
-            // We will strip this blank line later.
-            newSection.modifiers[j] = '';
-          }
-        }
-        // Remove any blank lines added.
-        newSection.modifiers = newSection.modifiers.filter(line => { return line !== ''; });
-
-        // If it's a modifiers paragraph, turn each one into a modifiers object.
-        if (hasModifiers) {
-          // If the section has markup, create KssModifier objects.
-          if (newSection.markup) {
-            newSection.modifiers = createModifiers(newSection.modifiers, options);
-          } else {
-            // If the section has no markup, create KssParameter objects.
-            newSection.parameters = createParameters(newSection.modifiers, options);
-            newSection.modifiers = [];
-          }
-
-        // Otherwise, add it back to the description.
-        } else {
-          newSection.description += '\n\n' + possibleModifiers;
-          newSection.modifiers = [];
-        }
+/**
+ * Checks that each section's parent section is documented.
+ *
+ * @private
+ * @param {KssStyleGuide} styleGuide The style guide to check.
+ * @param {KssDiagnostics} diagnostics The object to add the problems found to.
+ */
+const checkParents = function(styleGuide, diagnostics) {
+  let delimiter = styleGuide.referenceDelimiter();
+
+  styleGuide.sections().forEach(section => {
+    let reference = section.reference(),
+      parts = reference.split(delimiter);
+    if (parts.length > 1) {
+      let parentReference = parts.slice(0, -1).join(delimiter);
+      if (!styleGuide.sections(parentReference)) {
+        diagnostics.warning('missing-parent', 'Section ' + reference + ' has no parent section; section ' + parentReference + ' is not documented.', sourceLocation(section.custom('sourceFile')));
       }
+    }
+  });
+};
 
-      // Squash the header into a single line.
-      newSection.header = newSection.header.replace(/\n/g, ' ');
+/**
+ * Returns the classes and pseudo-classes of a selector or of a modifier's name,
+ * e.g. `[".button", ".button--primary", ":hover"]`.
+ *
+ * @private
+ * @param {string} selector The selector.
+ * @returns {Array} An array of the classes and pseudo-classes.
+ */
+const selectorTokens = function(selector) {
+  // Ignore the contents of attribute selectors, e.g. [href=".pdf"].
+  return selector.replace(/\[[^\]]*\]/g, '').replace(/::/g, ':').match(/[.:]-?[_a-zA-Z][\w-]*/g) || [];
+};
 
-      // Check the section's status.
-      newSection.deprecated = hasPrefix(newSection.description, 'Deprecated');
-      newSection.experimental = hasPrefix(newSection.description, 'Experimental');
+/**
+ * Checks that each section's modifiers are used by the selectors of its
+ * stylesheets, and that the modifier-like classes of the stylesheets are
+ * documented.
+ *
+ * A class is considered a modifier if it has the BEM form `block--modifier`;
+ * an undocumented modifier is only reported if another modifier of the same
+ * block is documented.
+ *
+ * @private
+ * @param {KssStyleGuide} styleGuide The style guide to check.
+ * @param {Function} sectionStylesheets A function that is given a section and
+ *   returns an array of the stylesheets to check its modifiers against; each
+ *   stylesheet is an object with `path`, `contents` and `selectors` properties.
+ * @param {KssDiagnostics} diagnostics The object to add the problems found to.
+ */
+const checkModifiers = function(styleGuide, sectionStylesheets, diagnostics) {
+  let checked = [],
+    documented = {},
+    blocks = {};
 
-      // If a separate header is requested, remove the first paragraph from the
-      // description.
-      if (options.header) {
-        if (newSection.description.match(/\n{2,}/)) {
-          newSection.description = newSection.description.replace(/^.*?\n{2,}/, '');
-        } else {
-          newSection.description = '';
+  // Find the documented classes and the blocks of the BEM modifiers.
+  styleGuide.sections().forEach(section => {
+    section.modifiers().forEach(modifier => {
+      selectorTokens(modifier.name()).forEach(token => {
+        let block = token.match(/^\.([\w-]+?)--[\w-]+$/);
+        documented[token] = true;
+        if (block && !blocks.hasOwnProperty(block[1])) {
+          blocks[block[1]] = section;
         }
+      });
+    });
+  });
+
+  styleGuide.sections().forEach(section => {
+    let stylesheets = sectionStylesheets(section).filter(stylesheet => stylesheet.selectors.length);
+    if (!section.modifiers().length || !stylesheets.length) {
+      return;
+    }
+
+    let tokens = {};
+    for (let stylesheet of stylesheets) {
+      if (checked.indexOf(stylesheet) === -1) {
+        checked.push(stylesheet);
       }
+      for (let selector of stylesheet.selectors) {
+        for (let token of selectorTokens(selector)) {
+          tokens[token] = true;
+        }
+      }
+    }
 
-      // Markdown Parsing.
-      if (options.markdown) {
-        newSection.description = marked(newSection.description);
+    section.modifiers().forEach(modifier => {
+      let missing = selectorTokens(modifier.name()).filter(token => !tokens[token]);
+      if (missing.length) {
+        let location = sourceLocation(section.custom('sourceFile'));
+        location.line = findLine({raw: section.meta.raw, line: location.line}, modifier.name());
+        diagnostics.warning('unknown-modifier', 'The modifier "' + modifier.name() + '" of section ' + section.reference() + ' is not used by ' + stylesheets.map(stylesheet => path.basename(stylesheet.path) || 'the stylesheet').join(', ') + '; "' + missing.join('", "') + (missing.length > 1 ? '" were' : '" was') + ' not found.', location);
       }
+    });
+  });
 
-      // Add the new section instance to the sections array.
-      styleGuide.sections.push(newSection);
-    }
-  }
+  checked.forEach(stylesheet => {
+    let reported = {};
+    stylesheet.selectors.forEach(selector => {
+      selectorTokens(selector).forEach(token => {
+        let block = token.match(/^\.([\w-]+?)--[\w-]+$/);
+        if (block && blocks.hasOwnProperty(block[1]) && !documented[token] && !reported[token]) {
+          reported[token] = true;
+          // Find the line of the first use of the class.
+          let index = stylesheet.contents.search(new RegExp(token.replace(/[.-]/g, '\\$&') + '(?![\\w-])'));
+          diagnostics.warning('undocumented-modifier', 'The class "' + token + '" looks like a modifier of section ' + blocks[block[1]].reference() + ', but it is not documented.', {
+            file: stylesheet.path,
+            line: index === -1 ? 0 : stylesheet.contents.slice(0, index).split('\n').length
+          });
+        }
+      });
+    });
+  });
+};
 
-  return new KssStyleGuide(styleGuide);
+/**
+ * Converts the functions and regular expressions in the options used for a
+ * cache fingerprint to their source.
+ *
+ * @private
+ * @param {string} key The key of the value.
+ * @param {*} value The value to stringify.
+ * @returns {*} The value to stringify instead.
+ */
+const fingerprintValue = function(key, value) {
+  return (typeof value === 'function' || value instanceof RegExp) ? value.toString() : value;
+};
+
+/**
+ * Returns whether the file is a stylesheet, i.e. whether its comments are
+ * extracted with the CSS or Sass comment extractor.
+ *
+ * @private
+ * @param {Object} file A file object with a `path` property.
+ * @returns {boolean} Whether the file is a stylesheet.
+ */
+const isStylesheet = function(file) {
+  let extractor = commentExtractors.get(file.path);
+  return extractor === commentExtractors.css || extractor === commentExtractors.sass;
 };
 
 /**
- * Returns an array of comment blocks found within a string.
+ * Returns the location of a section for use in a diagnostic.
  *
  * @private
- * @param  {String} input The string to search.
- * @returns {Array} An array of blocks found as objects containing line, text,
- *   and raw properties.
+ * @param {Object} [sourceFile] The sourceFile property of a section.
+ * @returns {Object} An object with `file` and `line` properties.
  */
-const findCommentBlocks = function(input) {
-  /* eslint-disable key-spacing */
-  const commentRegex = {
-    single:        /^\s*\/\/.*$/,
-    docblockStart: /^\s*\/\*\*\s*$/,
-    multiStart:    /^\s*\/\*+\s*$/,
-    multiFinish:   /^\s*\*\/\s*$/
+const sourceLocation = function(sourceFile) {
+  sourceFile = sourceFile || {};
+  return {
+    file: sourceFile.path || '',
+    line: sourceFile.line || 0
   };
-  /* eslint-enable key-spacing */
+};
+
+/**
+ * Parses the KSS comment blocks of a single file.
+ *
+ * @private
+ * @param {Object} file A file object with `base`, `path` and `contents`
+ *   properties.
+ * @param {Object} options The options object.
+ * @param {Array} customProperties The names and types of the custom
+ *   properties.
+ * @param {Function|boolean} renderMarkdown The Markdown renderer, or `false`.
+ * @param {Array} diagnostics An array to add the problems found to.
+ * @returns {Array} An array of the JSON equivalents of the KssSections found.
+ */
+const parseFile = function(file, options, customProperties, renderMarkdown, diagnostics) {
+  let sections = [],
+    toFloat = function(value) {
+      return isNaN(value) ? 0 : parseFloat(value);
+    },
+    // Adds a problem found in the given comment block to the diagnostics.
+    report = function(severity, rule, message, comment, text) {
+      diagnostics.push({
+        severity: severity,
+        rule: rule,
+        message: message,
+        file: file.path || '',
+        line: findLine(comment, text)
+      });
+    };
 
   // Convert Windows/Mac line endings to Unix ones.
-  input = input.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  let contents = file.contents.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
-  let blocks = [],
-    block = {
-      line: 0,
-      text: '',
-      raw: ''
-    },
-    indentAmount = false,
-    insideSingleBlock = false,
-    insideMultiBlock = false,
-    insideDocblock = false;
-
-  // Add an empty line to catch any comment at the end of the input.
-  input += '\n';
-  const lines = input.split('\n');
-  for (let i = 0; i < lines.length; i += 1) {
-    let line = lines[i];
-
-    // Remove trailing space.
-    line = line.replace(/\s*$/, '');
-
-    // Single-line parsing.
-    if (!insideMultiBlock && !insideDocblock && line.match(commentRegex.single)) {
-      block.raw += line + '\n';
-      // Add the current line (and a newline) minus the comment marker.
-      block.text += line.replace(/^\s*\/\/\s?/, '') + '\n';
-      if (!insideSingleBlock) {
-        block.line = i + 1;
-      }
-      insideSingleBlock = true;
-      // Continue to next line.
+  // Retrieve an array of "comment block" strings using the comment extractor
+  // for the file's type, and then evaluate each one.
+  let comments = commentExtractors.get(file.path)(contents),
+    lines = contents.split('\n');
+
+  // Find the KSS comment blocks, i.e. the comments ending with a reference, so
+  // the source code following a KSS comment can end at the next one.
+  let kssComments = comments.filter(comment => {
+    return findReference(comment.text.split('\n\n').pop());
+  });
+
+  for (let comment of comments) {
+    // Create a new, temporary section object with some default values.
+    // "raw" is a comment block from the array above.
+    let newSection = {
+      raw: comment.raw,
+      header: '',
+      description: '',
+      modifiers: [],
+      parameters: [],
+      colors: [],
+      markup: '',
+      sourceFile: {
+        name: file.path ? file.path : '',
+        base: file.base ? file.base : '',
+        path: file.path ? file.path : '',
+        line: comment.line
+      }
+    };
+    if (file.base) {
+      // Always display using UNIX separators.
+      newSection.sourceFile.name = path.relative(file.base, file.path).replace(/\\/g, '/');
+    }
+
+    // Remove the YAML front matter from the start of the comment block.
+    let text = comment.text,
+      frontMatter = text.match(/^---\n([\s\S]*?)\n?---(?:\n+|$)/);
+    if (frontMatter) {
+      text = text.slice(frontMatter[0].length);
+    }
+
+    // Split the comment block into paragraphs.
+    let paragraphs = text.split('\n\n');
+
+    // Ignore this block if a style guide reference number is not listed.
+    newSection.reference = findReference(paragraphs.pop());
+    if (!newSection.reference) {
+      // Note any reference that was not the last paragraph.
+      for (let paragraph of paragraphs) {
+        if (findReference(paragraph)) {
+          report('warning', 'reference-not-last', 'The style guide reference "' + paragraph.trim() + '" is not the last paragraph of its comment, so the comment was ignored.', comment, paragraph);
+          break;
+        }
+      }
       continue;
     }
 
-    // If we have reached the end of the current block, save it.
-    if (insideSingleBlock || (insideMultiBlock || insideDocblock) && line.match(commentRegex.multiFinish)) {
-      let doneWithCurrentLine = !insideSingleBlock;
-      block.text = block.text.replace(/^\n+/, '').replace(/\n+$/, '');
-      blocks.push(block);
-      insideMultiBlock = insideDocblock = insideSingleBlock = indentAmount = false;
-      block = {
-        line: 0,
-        text: '',
-        raw: ''
-      };
-      // If we "found" the end of a single-line comment block, we are not done
-      // processing the current line and cannot skip the rest of this loop.
-      if (doneWithCurrentLine) {
-        continue;
+    // Parse the YAML front matter into the section's metadata.
+    if (frontMatter) {
+      newSection.metadata = parseFrontMatter(frontMatter[1], newSection.reference, comment, report);
+    }
+
+    // Before anything else, process the properties that are clearly labeled
+    // and can be found right away and then removed.
+    newSection.examples = processExamples(paragraphs, (name, paragraph) => {
+      report('warning', 'duplicate-example', 'Section ' + newSection.reference + ' has more than one example named "' + name + '".', comment, paragraph);
+    });
+    processProperty.call(newSection, paragraphs, 'Markup');
+    processProperty.call(newSection, paragraphs, 'Weight', toFloat);
+    processProperty.call(newSection, paragraphs, 'Modifier groups', createModifierGroups);
+    // Process the colors, unless "Colors:" is one of the custom properties.
+    if (!isCustomProperty(customProperties, 'Colors')) {
+      processProperty.call(newSection, paragraphs, 'Colors', value => {
+        return createColors(value.split('\n'), renderMarkdown, line => {
+          report('warning', 'invalid-color', 'The line "' + line.trim() + '" of the colors of section ' + newSection.reference + ' is not a color; use "name: value - description".', comment, line);
+        });
+      });
+    }
+    // The labelled lists of modifiers and parameters can be used together,
+    // unlike the unlabelled list of the last paragraph.
+    // A custom property of the same name takes precedence.
+    let labelledLists = {};
+    for (let label of ['Modifiers', 'Parameters', 'Variables']) {
+      if (!isCustomProperty(customProperties, label)) {
+        processProperty.call(labelledLists, paragraphs, label, splitListItems);
       }
     }
+    // Process the status, unless "Status:" is one of the custom properties.
+    if (!isCustomProperty(customProperties, 'Status')) {
+      processProperty.call(newSection, paragraphs, 'Status', parseStatus);
+    }
+    // Process custom properties. They are kept apart until the section is
+    // complete, since they can be named after a built-in property.
+    let customValues = {};
+    for (let customProperty of customProperties) {
+      processProperty.call(customValues, paragraphs, customProperty.name);
+    }
 
-    // Docblock parsing.
-    if (line.match(commentRegex.docblockStart)) {
-      insideDocblock = true;
-      block.raw += line + '\n';
-      block.line = i + 1;
-      continue;
+    // Note any remaining paragraphs that look like an unknown property, i.e.
+    // the last paragraph or a paragraph whose name is on a line of its own,
+    // unless the name is a label commonly used in descriptions.
+    for (let i = 1; i < paragraphs.length; i++) {
+      let propertyName = findPropertyName(paragraphs[i]);
+      if (propertyName
+        && proseLabels.indexOf(propertyName.toLowerCase()) === -1
+        && (i === paragraphs.length - 1 || /^\s*[^\n:]+:[ \t]*(\n|$)/.test(paragraphs[i]))
+      ) {
+        report('warning', 'unknown-property', 'Section ' + newSection.reference + ' has an unknown "' + propertyName + ':" property; use the "custom" option to parse it.', comment, paragraphs[i]);
+      }
     }
-    if (insideDocblock) {
-      block.raw += line + '\n';
-      // Add the current line (and a newline) minus the comment marker.
-      block.text += line.replace(/^\s*\*\s?/, '') + '\n';
-      continue;
+
+    // If the block is just a reference, copy the reference into the header.
+    if (paragraphs.length === 0) {
+      newSection.header = newSection.reference;
+      report('warning', 'empty-header', 'Section ' + newSection.reference + ' has no header.', comment);
+
+    // If the block has just 1 paragraph, it is just a header and a reference.
+    } else if (paragraphs.length === 1) {
+      newSection.header = newSection.description = paragraphs[0];
+
+    // If it has 2+ paragraphs, search for modifiers.
+    } else {
+
+      // Extract the approximate header, description and modifiers paragraphs.
+      // The modifiers will be split into an array of lines.
+      newSection.header = paragraphs[0];
+      let possibleModifiers = paragraphs.pop();
+      newSection.modifiers = possibleModifiers.split('\n');
+      newSection.description = paragraphs.join('\n\n');
+
+      // Check the modifiers paragraph. Does it look like it's a list of
+      // modifiers, or just another paragraph of the description?
+      let numModifierLines = newSection.modifiers.length,
+        hasModifiers = true,
+        lastModifier = 0;
+      for (let j = 0; j < numModifierLines; j += 1) {
+        if (isModifierWithoutDescription(newSection.modifiers[j])) {
+          report('warning', 'modifier-without-description', 'The modifier "' + newSection.modifiers[j].trim().replace(/\s*\-$/, '') + '" of section ' + newSection.reference + ' has no description.', comment, newSection.modifiers[j]);
+        }
+        if (newSection.modifiers[j].match(/^\s*.+?\s+\-\s/g)) {
+          lastModifier = j;
+        } else if (j === 0) {
+          // The paragraph doesn't start with a modifier, so bail out.
+          hasModifiers = false;
+          j = numModifierLines;
+        } else {
+          // If the current line doesn't match a modifier, it must be a
+          // multi-line modifier description.
+          newSection.modifiers[lastModifier] += ' ' + newSection.modifiers[j].replace(/^\s+|\s+$/g, '');
+          // We will strip this blank line later.
+          newSection.modifiers[j] = '';
+        }
+      }
+      // Remove any blank lines added.
+      newSection.modifiers = newSection.modifiers.filter(line => { return line !== ''; });
+
+      // If it's a modifiers paragraph, turn each one into a modifiers object.
+      if (hasModifiers) {
+        // If the section has markup, create KssModifier objects.
+        if (newSection.markup || newSection.examples.length) {
+          newSection.modifiers = createModifiers(newSection.modifiers, renderMarkdown);
+        } else {
+          // If the section has no markup, create KssParameter objects.
+          newSection.parameters = createParameters(newSection.modifiers, renderMarkdown);
+          newSection.modifiers = [];
+        }
+
+      // Otherwise, add it back to the description.
+      } else {
+        // Note a list of modifiers that could not be recognized.
+        let modifierLines = possibleModifiers.split('\n');
+        if (!isModifierWithoutDescription(modifierLines[0]) && modifierLines.slice(1).some(line => { return /^\s*.+?\s+\-\s/.test(line); })) {
+          report('warning', 'malformed-modifiers', 'The last paragraph of section ' + newSection.reference + ' looks like a list of modifiers, but its first line is not a modifier; it was added to the description.', comment, modifierLines[0]);
+        }
+        newSection.description += '\n\n' + possibleModifiers;
+        newSection.modifiers = [];
+      }
     }
 
-    // Multi-line parsing.
-    if (line.match(commentRegex.multiStart)) {
-      insideMultiBlock = true;
-      block.raw += line + '\n';
-      block.line = i + 1;
-      continue;
+    // Add the labelled lists before the items of the unlabelled list.
+    if (labelledLists.modifiers) {
+      for (let line of labelledLists.modifiers) {
+        if (isModifierWithoutDescription(line)) {
+          report('warning', 'modifier-without-description', 'The modifier "' + line.trim().replace(/\s*\-$/, '') + '" of section ' + newSection.reference + ' has no description.', comment, line);
+        }
+      }
+      newSection.modifiers = createModifiers(labelledLists.modifiers, renderMarkdown).concat(newSection.modifiers);
+    }
+    let labelledParameters = (labelledLists.parameters || []).concat(labelledLists.variables || []);
+    if (labelledParameters.length) {
+      newSection.parameters = createParameters(labelledParameters, renderMarkdown).concat(newSection.parameters);
     }
-    if (insideMultiBlock) {
-      block.raw += line + '\n';
-      // If this is the first interior line, determine the indentation amount.
-      if (indentAmount === false) {
-        // Skip initial blank lines.
-        if (line === '') {
-          continue;
+
+    // Find the modifiers of an undocumented list in the rules following the
+    // comment block, up to the next KSS comment block.
+    if (options.autoModifiers && (newSection.markup || newSection.examples.length) && !newSection.modifiers.length) {
+      let nextComment = kssComments[kssComments.indexOf(comment) + 1];
+      newSection.modifiers = findModifiers(followingCode(lines, comment, nextComment ? nextComment.line - 1 : lines.length));
+    }
+
+    // Check that the modifier groups only list documented modifiers.
+    newSection.modifierGroups = (newSection['modifier groups'] || []).map(group => {
+      group.modifiers = group.modifiers.filter(name => {
+        let found = newSection.modifiers.some(modifier => modifier.name === name);
+        if (!found) {
+          report('warning', 'invalid-modifier-group', 'The modifier group ' + (group.name ? '"' + group.name + '" ' : '') + 'of section ' + newSection.reference + ' lists "' + name + '", which is not a documented modifier.', comment, name);
         }
-        indentAmount = line.match(/^\s*/)[0];
+        return found;
+      });
+      return group;
+    });
+    delete newSection['modifier groups'];
+
+    // Cross-check the parameters with the signature of the mixin or function
+    // following the comment block.
+    if (!newSection.markup && !newSection.examples.length) {
+      let signature = findSignature(followingCode(lines, comment));
+      if (signature) {
+        checkSignature(newSection, signature, (message, text) => {
+          report('warning', 'parameter-mismatch', message, comment, text);
+        });
+      }
+    }
+
+    if (!newSection.header.trim()) {
+      report('warning', 'empty-header', 'Section ' + newSection.reference + ' has no header.', comment);
+    }
+
+    // Squash the header into a single line.
+    newSection.header = newSection.header.replace(/\n/g, ' ');
+
+    // Check the section's status. Without a "Status:" property, a description
+    // starting a line with "Deprecated:" or "Experimental:" sets the status.
+    if (newSection.status && KssSection.statuses().indexOf(newSection.status.name) === -1) {
+      report('warning', 'invalid-status', 'The status "' + newSection.status.name + '" of section ' + newSection.reference + ' is unknown; use one of: ' + KssSection.statuses().join(', ') + '.', comment, 'Status:');
+      delete newSection.status;
+    }
+    if (!newSection.status) {
+      newSection.status = {name: 'stable'};
+      if (hasPrefix(newSection.description, 'Deprecated')) {
+        newSection.status.name = 'deprecated';
+      } else if (hasPrefix(newSection.description, 'Experimental')) {
+        newSection.status.name = 'experimental';
+      }
+    }
+    newSection.deprecated = newSection.status.name === 'deprecated';
+    newSection.experimental = newSection.status.name === 'experimental';
+
+    // If a separate header is requested, remove the first paragraph from the
+    // description.
+    if (options.header) {
+      if (newSection.description.match(/\n{2,}/)) {
+        newSection.description = newSection.description.replace(/^.*?\n{2,}/, '');
+      } else {
+        newSection.description = '';
+      }
+    }
+
+    // Markdown Parsing.
+    if (renderMarkdown) {
+      newSection.description = renderMarkdown(newSection.description);
+      if (newSection.status.reason) {
+        newSection.status.reason = renderMarkdown(newSection.status.reason, {inline: true});
       }
-      // Always strip same indentation amount from each line.
-      block.text += line.replace(new RegExp('^' + indentAmount), '', 1) + '\n';
     }
+
+    // Capture the source code up to the next KSS comment block.
+    if (options.sourceCode) {
+      let nextComment = kssComments[kssComments.indexOf(comment) + 1];
+      newSection.source = analyzeSource(followingCode(lines, comment, nextComment ? nextComment.line - 1 : lines.length));
+    }
+
+    // Add the custom properties. Those named after a built-in property are
+    // kept apart, so they don't replace it.
+    for (let name in customValues) {
+      // istanbul ignore else
+      if (customValues.hasOwnProperty(name)) {
+        if (newSection.hasOwnProperty(name)) {
+          newSection.customData = newSection.customData || {};
+          newSection.customData[name] = customValues[name];
+        } else {
+          newSection[name] = customValues[name];
+        }
+      }
+    }
+
+    // Add the new section instance to the sections array.
+    sections.push(newSection);
   }
 
-  return blocks;
+  return sections;
+};
+
+/**
+ * Parses the YAML front matter of a comment block.
+ *
+ * The YAML is parsed with the core schema, so the metadata only contains JSON
+ * data (i.e. dates are left as strings.)
+ *
+ * @private
+ * @param {string} frontMatter The YAML between the `---` lines.
+ * @param {string} reference The reference of the section.
+ * @param {Object} comment The comment block, with its line and raw properties.
+ * @param {Function} report The function used to report problems.
+ * @returns {Object} The metadata, or an empty object if the YAML is not valid.
+ */
+const parseFrontMatter = function(frontMatter, reference, comment, report) {
+  let metadata;
+  try {
+    metadata = yaml.safeLoad(frontMatter, {schema: yaml.CORE_SCHEMA});
+  } catch (error) {
+    // Find the line of the error; js-yaml may point just past the last line.
+    let lines = frontMatter.split('\n'),
+      line = error.mark ? lines[Math.min(error.mark.line, lines.length - 1)] : '';
+    report('error', 'invalid-front-matter', 'The YAML front matter of section ' + reference + ' is not valid: ' + error.reason + '.', comment, line);
+    return {};
+  }
+
+  if (metadata === null || typeof metadata === 'undefined') {
+    return {};
+  }
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    report('error', 'invalid-front-matter', 'The YAML front matter of section ' + reference + ' must be a mapping of keys to values.', comment);
+    return {};
+  }
+  return metadata;
+};
+
+/**
+ * Finds the line number of some text in a comment block.
+ *
+ * @private
+ * @param {Object} comment The comment block, with its line and raw properties.
+ * @param {string} [text] Optional. The text to search for. If not given or not
+ *   found, the first line of the comment block is returned.
+ * @returns {number} The line number.
+ */
+const findLine = function(comment, text) {
+  let firstLine = (text || '').trim().split('\n')[0];
+  if (firstLine) {
+    let rawLines = comment.raw.split('\n');
+    for (let i = 0; i < rawLines.length; i++) {
+      if (rawLines[i].indexOf(firstLine) !== -1) {
+        return comment.line + i;
+      }
+    }
+  }
+  return comment.line;
 };
 
 /**
@@ -323,18 +897,18 @@ const findCommentBlocks = function(input) {
  *
  * @private
  * @param {Array} rawModifiers Raw Modifiers, which should all be strings.
- * @param {Object} options The options object.
+ * @param {Function|boolean} renderMarkdown The Markdown renderer, or `false`.
  * @returns {Array} The modifier instances created.
  */
-const createModifiers = function(rawModifiers, options) {
+const createModifiers = function(rawModifiers, renderMarkdown) {
   return rawModifiers.map(entry => {
     // Split modifier name and the description.
     let modifier = entry.split(/\s+\-\s+/, 1)[0];
     let description = entry.replace(modifier, '', 1).replace(/^\s+\-\s+/, '');
 
     // Markdown parsing.
-    if (options.markdown) {
-      description = marked(description, {renderer: inlineRenderer});
+    if (renderMarkdown) {
+      description = renderMarkdown(description, {inline: true});
     }
 
     return {
@@ -344,22 +918,56 @@ const createModifiers = function(rawModifiers, options) {
   });
 };
 
+/**
+ * Parses the value of a `Modifier groups:` property.
+ *
+ * Each line lists the comma-separated names of the modifiers of a group, after
+ * an optional group name and a colon, e.g. `size: .button--small, .button--large`.
+ *
+ * @private
+ * @param {string} value The value of the property.
+ * @returns {Array} An array of objects with `name` and `modifiers` properties.
+ */
+const createModifierGroups = function(value) {
+  return value.split('\n').filter(line => line.trim()).map(line => {
+    let match = line.match(/^\s*([a-z][\w -]*?)\s*:\s+(.*)$/i);
+    return {
+      name: match ? match[1] : '',
+      // Ignore the commas inside attribute selectors.
+      modifiers: (match ? match[2] : line).split(/,(?![^\[]*\])/).map(name => name.trim()).filter(name => name)
+    };
+  });
+};
+
 /**
  * Takes an array of parameter lines, and turns it into instances of
  * KssParameter.
  *
+ * Each line has the form `name {type} = default - description`, where the
+ * type and the default value are optional. A name wrapped in brackets, e.g.
+ * `[$size]`, marks an optional parameter.
+ *
  * @private
  * @param {Array} rawParameters Raw parameters, which should all be strings.
- * @param {Object} options The options object.
+ * @param {Function|boolean} renderMarkdown The Markdown renderer, or `false`.
  * @returns {Array} The parameter instances created.
  */
-const createParameters = function(rawParameters, options) {
+const createParameters = function(rawParameters, renderMarkdown) {
   return rawParameters.map(entry => {
     // Split parameter name and the description.
     let parameter = entry.split(/\s+\-\s+/, 1)[0];
+    let type = '';
     let defaultValue = '';
+    let optional = false;
     let description = entry.replace(parameter, '', 1).replace(/^\s+\-\s+/, '');
 
+    // Check for brackets marking an optional parameter.
+    let brackets = parameter.trim().match(/^\[([^\]]+)\](.*)$/);
+    if (brackets) {
+      parameter = brackets[1] + brackets[2];
+      optional = true;
+    }
+
     // Split parameter name and the default value.
     if (/\s+=\s+/.test(parameter)) {
       let tokens = parameter.split(/\s+=\s+/);
@@ -367,19 +975,391 @@ const createParameters = function(rawParameters, options) {
       defaultValue = tokens[1];
     }
 
+    // Split parameter name and the type.
+    let typeMatch = parameter.match(/^(.*?)\s*\{([^}]*)\}\s*$/);
+    if (typeMatch) {
+      parameter = typeMatch[1];
+      type = typeMatch[2].trim();
+    }
+
     // Markdown parsing.
-    if (options.markdown) {
-      description = marked(description, {renderer: inlineRenderer});
+    if (renderMarkdown) {
+      description = renderMarkdown(description, {inline: true});
     }
 
     return {
       name: parameter,
+      type: type,
       defaultValue: defaultValue,
+      optional: optional || defaultValue !== '',
       description: description
     };
   });
 };
 
+/**
+ * Returns the source code that follows a comment block.
+ *
+ * @private
+ * @param {Array} lines The lines of the file containing the comment block.
+ * @param {Object} comment The comment block, with its line and raw properties.
+ * @param {number} [end] Optional. The index of the line where the source code
+ *   ends; defaults to the end of the file.
+ * @returns {string} The source code following the comment block.
+ */
+const followingCode = function(lines, comment, end) {
+  // The raw comment block ends with a newline.
+  let start = comment.line - 1 + comment.raw.split('\n').length - 1;
+  // The end of a "/* */" comment may not be part of the raw comment block.
+  return lines.slice(start, end).join('\n').replace(/^\s*\*\/[^\n]*/, '');
+};
+
+// The at-rules whose blocks do not contain style rules of the stylesheet, e.g.
+// the rules inside a mixin definition.
+const ignoredAtRules = ['mixin', 'function', 'keyframes', 'font-face', 'page'];
+
+/**
+ * Analyzes the source code that follows a KSS comment block.
+ *
+ * The selectors of the style rules are found, including the nested rules of
+ * Sass (SCSS syntax) and Less, with `&` replaced by the parent selector. The
+ * rules inside mixin and function definitions are ignored.
+ *
+ * @private
+ * @param {string} code The source code.
+ * @returns {Object} An object with these properties:
+ *   - `code`: the source code, without leading and trailing blank lines.
+ *   - `selectors`: an array of the selectors.
+ *   - `customProperties`: an object with `declared` and `used` arrays of the
+ *     names of the CSS custom properties, e.g. `--color`.
+ *   - `variables`: an array of the names of the Sass variables referenced.
+ */
+const analyzeSource = function(code) {
+  let source = {
+      code: code.replace(/^(\s*\n)+/, '').replace(/\s+$/, ''),
+      selectors: [],
+      customProperties: {
+        declared: [],
+        used: []
+      },
+      variables: []
+    },
+    addUnique = function(list, item) {
+      if (list.indexOf(item) === -1) {
+        list.push(item);
+      }
+    };
+
+  // Remove the comments, but not the "//" of a URL.
+  let css = source.code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+
+  // Returns the selectors of a block, given the text before its "{" and the
+  // selectors of the parent block, or null if the block's rules are ignored.
+  let blockSelectors = function(prelude, parents) {
+    let atRule = prelude.match(/^@([\w-]+)/);
+    if (parents === null || atRule && ignoredAtRules.indexOf(atRule[1].replace(/^-\w+-/, '')) !== -1 || /^\.[\w-]+\s*\(/.test(prelude)) {
+      return null;
+    }
+    // Other at-rules (e.g. @media) and Sass nested properties (e.g. "font: {")
+    // contain rules or declarations of the parent selectors.
+    if (prelude === '' || atRule || /:$/.test(prelude)) {
+      return parents;
+    }
+    let selectors = [];
+    prelude.split(/\s*,\s*/).forEach(selector => {
+      if (!parents.length) {
+        selectors.push(selector);
+      } else {
+        parents.forEach(parent => {
+          selectors.push(selector.indexOf('&') !== -1 ? selector.replace(/&/g, parent) : parent + ' ' + selector);
+        });
+      }
+    });
+    selectors.forEach(selector => addUnique(source.selectors, selector.replace(/\s+/g, ' ')));
+    return selectors;
+  };
+
+  let stack = [[]],
+    prelude = '',
+    quote = false;
+  for (let i = 0; i < css.length; i++) {
+    let character = css.charAt(i);
+    if (quote) {
+      if (character === quote) {
+        quote = false;
+      }
+      prelude += character;
+    } else if (character === '"' || character === '\'') {
+      quote = character;
+      prelude += character;
+    } else if (character === '#' && css.charAt(i + 1) === '{') {
+      // Keep Sass interpolation, e.g. #{$name}, in the selector.
+      let end = css.indexOf('}', i);
+      end = end === -1 ? css.length - 1 : end;
+      prelude += css.slice(i, end + 1);
+      i = end;
+    } else if (character === '{') {
+      stack.push(blockSelectors(prelude.trim(), stack[stack.length - 1]));
+      prelude = '';
+    } else if (character === '}') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      prelude = '';
+    } else if (character === ';') {
+      prelude = '';
+    } else {
+      prelude += character;
+    }
+  }
+
+  let match,
+    declaredRegex = /(?:^|[{;\s])(--[\w-]+)\s*:/g,
+    usedRegex = /var\(\s*(--[\w-]+)/g,
+    variableRegex = /\$[\w-]+/g;
+  while ((match = declaredRegex.exec(css)) !== null) {
+    addUnique(source.customProperties.declared, match[1]);
+  }
+  while ((match = usedRegex.exec(css)) !== null) {
+    addUnique(source.customProperties.used, match[1]);
+  }
+  while ((match = variableRegex.exec(css)) !== null) {
+    // Ignore the variables being assigned, e.g. "$size: 1em".
+    if (!/^\s*:/.test(css.slice(match.index + match[0].length))) {
+      addUnique(source.variables, match[0]);
+    }
+  }
+
+  return source;
+};
+
+// The pseudo-classes whose styles the kss.js script of the builders can show
+// in the markup examples.
+const statePseudoClasses = ['hover', 'enabled', 'disabled', 'active', 'visited', 'focus', 'target', 'checked', 'empty', 'first-of-type', 'last-of-type', 'first-child', 'last-child'];
+
+/**
+ * Finds the modifiers of a component in the source code that follows its KSS
+ * comment block.
+ *
+ * The modifiers are the BEM modifier classes of blocks, e.g. `.button--large`,
+ * and the pseudo-classes that kss.js can show, e.g. `:hover`, in the order
+ * they are first used by the selectors. The modifiers of BEM elements, e.g.
+ * `.button__icon--large`, are not applied to the markup, so they are ignored.
+ *
+ * @private
+ * @param {string} code The source code.
+ * @returns {Array} An array of objects with `name` and `description`
+ *   properties; the descriptions are empty.
+ */
+const findModifiers = function(code) {
+  let names = [];
+  analyzeSource(code).selectors.forEach(selector => {
+    // Ignore the selectors inside negations, e.g. :not(.button--large).
+    selectorTokens(selector.replace(/:not\([^)]*\)/g, '')).forEach(token => {
+      let isModifier = token.charAt(0) === ':'
+        ? statePseudoClasses.indexOf(token.slice(1)) !== -1
+        : /^\.[\w-]+?--[\w-]+$/.test(token) && token.indexOf('__') === -1;
+      if (isModifier && names.indexOf(token) === -1) {
+        names.push(token);
+      }
+    });
+  });
+  return names.map(name => {
+    return {
+      name: name,
+      description: ''
+    };
+  });
+};
+
+/**
+ * Finds the signature of a Sass mixin or function or a Less mixin at the start
+ * of some source code.
+ *
+ * These signatures are recognized:
+ * - Sass: `@mixin name($param, $param2: default)`, `@function name(...)` and
+ *   `=name(...)` in the indented syntax.
+ * - Less: `.name(@param; @param2: default)`, with parameters separated by
+ *   semi-colons or commas.
+ *
+ * @private
+ * @param {string} code The source code.
+ * @returns {Object|boolean} An object with `type` ("mixin" or "function"),
+ *   `name` and `parameters` properties, where each parameter has a `name` and
+ *   a `defaultValue`, or `false` if the code does not start with a signature.
+ */
+const findSignature = function(code) {
+  let match = code.match(/^\s*(?:@(mixin|function)\s+|=\s*)([\w-]+)\s*/),
+    signature;
+  if (match) {
+    signature = {type: match[1] || 'mixin', name: match[2], parameters: []};
+    if (code.charAt(match[0].length) !== '(') {
+      return signature;
+    }
+  } else {
+    match = code.match(/^\s*\.([\w-]+)\s*(?=\()/);
+    if (!match) {
+      return false;
+    }
+    signature = {type: 'mixin', name: match[1], parameters: []};
+  }
+
+  // Split the arguments at the top-level separators.
+  let args = [],
+    current = '',
+    depth = 0,
+    quote = false,
+    i = match[0].length + 1;
+  for (; i < code.length; i++) {
+    let character = code.charAt(i);
+    if (quote) {
+      if (character === quote) {
+        quote = false;
+      }
+    } else if (character === '"' || character === '\'') {
+      quote = character;
+    } else if (character === '(') {
+      depth++;
+    } else if (character === ')') {
+      if (depth === 0) {
+        break;
+      }
+      depth--;
+    } else if ((character === ',' || character === ';') && depth === 0) {
+      args.push({text: current, separator: character});
+      current = '';
+      continue;
+    }
+    current += character;
+  }
+  // An unclosed signature is not a signature.
+  if (i === code.length) {
+    return false;
+  }
+  args.push({text: current, separator: ''});
+
+  // Less uses commas inside a parameter's value if the parameters are separated
+  // by semi-colons.
+  if (args.some(arg => arg.separator === ';')) {
+    args = args.reduce((joined, arg) => {
+      if (joined.length && joined[joined.length - 1].separator === ',') {
+        let previous = joined.pop();
+        arg = {text: previous.text + ',' + arg.text, separator: arg.separator};
+      }
+      joined.push(arg);
+      return joined;
+    }, []);
+  }
+
+  for (let arg of args) {
+    // Ignore the arguments that are not variables, like Less's pattern-matching
+    // values.
+    let parameter = arg.text.trim().match(/^([$@][\w-]+(?:\.\.\.)?)\s*(?::\s*([\s\S]*))?$/);
+    if (parameter) {
+      signature.parameters.push({
+        name: parameter[1],
+        defaultValue: (parameter[2] || '').trim().replace(/\s+/g, ' ')
+      });
+    }
+  }
+
+  return signature;
+};
+
+/**
+ * Cross-checks the documented parameters of a section with the parameters of
+ * the mixin or function signature that follows its comment block.
+ *
+ * If no parameters are documented, the parameters of the signature are used.
+ * Otherwise, the default values are taken from the signature, the parameters
+ * missing from the documentation are added and any mismatch is reported as a
+ * "parameter-mismatch" warning.
+ *
+ * @private
+ * @param {Object} section The JSON equivalent of the KssSection.
+ * @param {Object} signature The signature found by `findSignature()`.
+ * @param {Function} report The function used to report a mismatch, given the
+ *   message and the text of the comment block the mismatch was found in.
+ */
+const checkSignature = function(section, signature, report) {
+  let label = 'the ' + signature.type + ' "' + signature.name + '"',
+    documented = section.parameters.length > 0;
+
+  for (let parameter of section.parameters) {
+    let code = signature.parameters.find(codeParameter => codeParameter.name === parameter.name);
+    if (!code) {
+      report('Section ' + section.reference + ' documents the parameter "' + parameter.name + '", but ' + label + ' has no such parameter.', parameter.name);
+    } else if (parameter.defaultValue === '') {
+      parameter.defaultValue = code.defaultValue;
+      parameter.optional = parameter.optional || code.defaultValue !== '';
+    } else if (parameter.defaultValue.replace(/\s+/g, ' ') !== code.defaultValue) {
+      report('The parameter "' + parameter.name + '" of section ' + section.reference + ' defaults to "' + parameter.defaultValue + '", but ' + label + (code.defaultValue ? ' uses "' + code.defaultValue + '"' : ' has no default value') + '.', parameter.name);
+      parameter.defaultValue = code.defaultValue;
+      parameter.optional = code.defaultValue !== '';
+    }
+  }
+
+  for (let code of signature.parameters) {
+    if (!section.parameters.some(parameter => parameter.name === code.name)) {
+      if (documented) {
+        report('The parameter "' + code.name + '" of ' + label + ' is not documented in section ' + section.reference + '.');
+      }
+      section.parameters.push({
+        name: code.name,
+        type: '',
+        defaultValue: code.defaultValue,
+        optional: code.defaultValue !== '',
+        description: ''
+      });
+    }
+  }
+};
+
+/**
+ * Takes an array of color lines, and turns it into a JSON equivalent of
+ * KssColor.
+ *
+ * Each line has the form `name: value - description`; the name can be a Sass
+ * or Less variable or a CSS custom property and the description is optional.
+ * A line that is not a color is added to the description of the previous
+ * color.
+ *
+ * @private
+ * @param {Array} rawColors Raw colors, which should all be strings.
+ * @param {Function|boolean} renderMarkdown The Markdown renderer, or `false`.
+ * @param {Function} reportInvalid The function called with a line that is not
+ *   a color and does not follow one.
+ * @returns {Array} The color instances created.
+ */
+const createColors = function(rawColors, renderMarkdown, reportInvalid) {
+  let colors = [];
+  for (let line of rawColors) {
+    let match = line.match(/^\s*([^\s:]+)\s*:\s*(.+?)(?:\s+\-\s+(.*))?$/);
+    if (match) {
+      colors.push({
+        name: match[1],
+        // Remove any trailing semi-colon.
+        value: match[2].replace(/\s*;$/, ''),
+        description: match[3] || ''
+      });
+    } else if (colors.length && line.trim()) {
+      let color = colors[colors.length - 1];
+      color.description = (color.description + ' ' + line.trim()).trim();
+    } else if (line.trim()) {
+      reportInvalid(line);
+    }
+  }
+
+  // Markdown parsing.
+  if (renderMarkdown) {
+    for (let color of colors) {
+      color.description = renderMarkdown(color.description, {inline: true});
+    }
+  }
+
+  return colors;
+};
+
 /**
  * Check a section for the reference number it may or may not have.
  *
@@ -401,6 +1381,94 @@ const findReference = function(text) {
   return false;
 };
 
+/**
+ * Checks if a property name is one of the custom properties.
+ *
+ * @private
+ * @param {Array} customProperties The custom properties found by
+ *   `toCustomProperty()`.
+ * @param {String} name The name of the property.
+ * @returns {Boolean} Whether the property is a custom property.
+ */
+const isCustomProperty = function(customProperties, name) {
+  return customProperties.some(customProperty => customProperty.name.toLowerCase() === name.toLowerCase());
+};
+
+/**
+ * Checks if a paragraph starts with a property name, e.g. "Markup:".
+ *
+ * @private
+ * @param {String} paragraph The paragraph to check.
+ * @returns {Boolean|String} False if not found, otherwise returns the name of
+ *   the property.
+ */
+const findPropertyName = function(paragraph) {
+  let match = paragraph.match(/^\s*([a-z][\w\-]*):(\s|$)/i);
+  return match ? match[1] : false;
+};
+
+/**
+ * Splits the value of a labelled `Modifiers:`, `Parameters:` or `Variables:`
+ * property into its items, one per line; an indented line continues the
+ * description of the previous item.
+ *
+ * @private
+ * @param {string} value The value of the property.
+ * @returns {Array} The items, which should all be strings.
+ */
+const splitListItems = function(value) {
+  let items = [];
+  for (let line of value.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (items.length && /^\s/.test(line)) {
+      items[items.length - 1] += ' ' + line.trim();
+    } else {
+      items.push(line.trim());
+    }
+  }
+  return items;
+};
+
+/**
+ * Parses the value of a `Status:` property, e.g. "deprecated", followed by
+ * optional "Since:", "Replacement:" and "Reason:" lines; any other line
+ * continues the previous line.
+ *
+ * @private
+ * @param {string} value The value of the property.
+ * @returns {Object} The status, with `name`, `since`, `replacement` and
+ *   `reason` properties.
+ */
+const parseStatus = function(value) {
+  let lines = value.split('\n'),
+    status = {name: lines.shift().trim().toLowerCase(), since: '', replacement: '', reason: ''},
+    key = false;
+  for (let line of lines) {
+    let match = line.match(/^\s*(since|replacement|reason):\s*(.*)$/i);
+    if (match) {
+      key = match[1].toLowerCase();
+      status[key] = match[2].trim();
+    } else if (key && line.trim()) {
+      status[key] = (status[key] + ' ' + line.trim()).trim();
+    }
+  }
+  return status;
+};
+
+/**
+ * Checks if a line of a modifiers paragraph is a modifier without a
+ * description, e.g. ".modifier" or ":hover -".
+ *
+ * @private
+ * @param {String} line The line to check.
+ * @returns {Boolean} Whether the line is a modifier without a description.
+ */
+const isModifierWithoutDescription = function(line) {
+  return /^\s*[\.:\[][^\s]*(\s+\-)?\s*$/.test(line);
+};
+
 /**
  * Checks if there is a specific property in the comment block, adds it to
  * `this`, and removes it from the original array of paragraphs.
@@ -433,6 +1501,41 @@ const processProperty = function(paragraphs, propertyName, processValue) {
   }
 };
 
+/**
+ * Finds the named examples of a comment block, e.g.
+ * `Markup (with icon): button-icon.hbs`, and removes them from the original
+ * array of paragraphs.
+ *
+ * @private
+ * @param {Array} paragraphs An array of the paragraphs in a single comment
+ *   block.
+ * @param {Function} reportDuplicate A function to call with the name and the
+ *   paragraph of an example that is named more than once; only the first one
+ *   is kept.
+ * @returns {Array} An array of objects with `name` and `markup` properties.
+ */
+const processExamples = function(paragraphs, reportDuplicate) {
+  let examples = [];
+
+  for (let i = 0; i < paragraphs.length; i++) {
+    let match = paragraphs[i].match(/^\s*markup\s*\(\s*([^)]*?)\s*\)\s*:\s*/i);
+    if (match && match[1]) {
+      if (examples.some(example => example.name === match[1])) {
+        reportDuplicate(match[1], paragraphs[i]);
+      } else {
+        examples.push({
+          name: match[1],
+          markup: paragraphs[i].slice(match[0].length)
+        });
+      }
+      paragraphs.splice(i, 1);
+      i--;
+    }
+  }
+
+  return examples;
+};
+
 /**
  * Essentially this function checks if a string is prefixed by a particular
  * attribute, e.g. 'Deprecated:' and 'Markup:'
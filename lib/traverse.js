@@ -11,7 +11,8 @@
  * @module kss/lib/traverse
  */
 
-const parse = require('./parse.js'),
+const KssCache = require('./kss_cache.js'),
+  parse = require('./parse.js'),
   path = require('path'),
   Promise = require('bluebird');
 
@@ -24,7 +25,10 @@ const fs = Promise.promisifyAll(require('fs-extra'));
  *
  * If you want to parse anything other than css, less, sass, or stylus files
  * then you'll want to use options.mask to target a different set of file
- * extensions.
+ * extensions. KSS comments can also be found in Handlebars (`{{!-- --}}`),
+ * Twig (`{# #}`) and HTML (`<!-- -->`) files, or in any other type of file
+ * whose comment extractor was added with
+ * [`commentExtractors.add()`]{@link module:kss.commentExtractors.add}.
  *
  * ```
  * kss.traverse('./stylesheets', { mask: '*.css' }).then(function(styleGuide) {
@@ -41,12 +45,42 @@ const fs = Promise.promisifyAll(require('fs-extra'));
  * - markdown: kss-node supports built-in Markdown formatting of its
  *   documentation, thanks to [marked](https://github.com/chjj/marked). It's
  *   enabled by default, but you can disable it by adding `markdown: false` to
- *   the `options` object.
+ *   the `options` object. To use other Markdown extensions or renderers, give
+ *   an object of marked options, a render function or the path to a module;
+ *   see [`markdown()`]{@link module:kss.markdown}.
  * - header: kss-node makes the header available separately from the
  *   description. To make kss-node behave like the Ruby KSS, disable this option
  *   and the title will remain a part of the description. This setting is
  *   enabled by default, but you can disable it by adding `header: false` to
  *   your options.
+ * - custom: An array of the names of custom properties to parse, e.g.
+ *   "Owner". A custom property can be given a type by adding it after a colon,
+ *   e.g. "Since:date", or by giving an object, e.g.
+ *   `{name: "Since", type: "date"}`. The types are "string" (the default),
+ *   "number", "boolean", "list" (a comma-separated list), "json", "markdown",
+ *   "reference" (the reference of another section) and "date". Values that
+ *   can not be converted are reported to the `diagnostics` object and removed.
+ * - cache: To avoid re-parsing files that have not changed since the last
+ *   build, give the path to a directory where a cache of the parsed files
+ *   should be stored, or give an already loaded `KssCache` object.
+ * - diagnostics: To collect the problems found in the KSS comments, e.g.
+ *   sections without a header, give a `KssDiagnostics` object.
+ * - duplicates: The policy used when sections have the same reference; one of
+ *   "warn" (the default), "error", "merge" or "keep-first". See
+ *   [`KssStyleGuide.sections()`]{@link module:kss.KssStyleGuide#sections}.
+ * - sourceCode: To capture the source code following each KSS comment, up to
+ *   the next KSS comment, along with its selectors, CSS custom properties and
+ *   Sass variables, enable this option. See
+ *   [`KssSection.source()`]{@link module:kss.KssSection#source}.
+ * - autoModifiers: To find the modifiers of the sections with markup but
+ *   without a list of modifiers, enable this option. The BEM modifier classes,
+ *   e.g. `.button--large`, and the pseudo-classes, e.g. `:hover`, of the rules
+ *   following the KSS comment, up to the next KSS comment, become modifiers
+ *   without a description.
+ * - stylesheets: An array of the paths of CSS files, e.g. the built CSS of
+ *   the style guide. If a `diagnostics` object is given, the modifiers of each
+ *   section are checked against the selectors of these files instead of the
+ *   selectors of the section's own stylesheet.
  *
  * @alias module:kss.traverse
  * @param {String|Array} directories The directories to traverse
@@ -54,22 +88,23 @@ const fs = Promise.promisifyAll(require('fs-extra'));
  * @returns {Promise} A `Promise` object resolving to a `KssStyleGuide`.
  */
 let traverse = function(directories, options) {
-  options = options || {};
+  // Copy the options so the caller's object is not altered.
+  options = Object.assign({}, options);
 
   // Mask to search for particular file types - defaults to common precompilers.
-  options.mask = options.mask || /\.css|\.less|\.sass|\.scss|\.styl|\.stylus/;
-
-  // If the mask is a string, convert it into a RegExp.
-  if (!(options.mask instanceof RegExp)) {
-    options.mask = new RegExp(
-      '(?:' + options.mask.replace(/\./g, '\\.').replace(/\*/g, '.*') + ')$'
-    );
-  }
+  options.mask = traverse.maskRegExp(options.mask);
 
   if (!Array.isArray(directories)) {
     directories = [directories];
   }
 
+  // If the cache is a directory path, load a KssCache from that directory.
+  let loadCache = Promise.resolve();
+  if (options.cache && !(options.cache instanceof KssCache)) {
+    options.cache = new KssCache(options.cache);
+    loadCache = options.cache.load();
+  }
+
   let walk = function(directory) {
     // Look at the contents of the directory.
     return fs.readdirAsync(directory).then(relnames => {
@@ -117,19 +152,21 @@ let traverse = function(directories, options) {
   // Get each file in the target directory, order them alphabetically and then
   // parse their output.
 
-  // Loop through all the given directories.
-  return Promise.all(
-    directories.map(directory => {
-      // Normalize the directory path and then "walk" it, collecting file names
-      // in the fileNames variable.
-      return walk(path.normalize(directory)).then(files => {
-        return {
-          base: directory,
-          files: files
-        };
-      });
-    })
-  ).then(results => {
+  // Load the cache, then loop through all the given directories.
+  return loadCache.then(() => {
+    return Promise.all(
+      directories.map(directory => {
+        // Normalize the directory path and then "walk" it, collecting file
+        // names in the fileNames variable.
+        return walk(path.normalize(directory)).then(files => {
+          return {
+            base: directory,
+            files: files
+          };
+        });
+      })
+    );
+  }).then(results => {
     // Flatten nested array result into a single array.
     let files = [];
     for (let directory of results) {
@@ -152,8 +189,58 @@ let traverse = function(directories, options) {
       })
     );
   }).then(files => {
-    return parse(files, options);
+    // Read the stylesheets to check the modifiers against.
+    return Promise.all(
+      (options.stylesheets || []).map(stylesheet => {
+        // Stylesheets given as file objects have already been read.
+        if (typeof stylesheet !== 'string') {
+          return stylesheet;
+        }
+        return fs.readFileAsync(stylesheet, 'utf8').then(contents => {
+          return {
+            path: stylesheet,
+            contents: contents
+          };
+        }).catch(() => {
+          if (options.diagnostics) {
+            options.diagnostics.warning('stylesheet-not-found', 'The stylesheet ' + stylesheet + ' could not be read, so the modifiers were not checked against it.');
+          }
+          return false;
+        });
+      })
+    ).then(stylesheets => {
+      return parse(files, Object.assign({}, options, {stylesheets: stylesheets.filter(stylesheet => stylesheet)}));
+    });
+  }).then(styleGuide => {
+
+    // Save the parsed files for the next build.
+    if (options.cache) {
+      return options.cache.save().then(() => {
+        return styleGuide;
+      });
+    }
+    return styleGuide;
   });
 };
 
+/**
+ * Converts the mask option of `traverse()` into a RegExp.
+ *
+ * @private
+ * @param {string|RegExp} [mask] A regex or string (e.g. `*.less|*.css`). If no
+ *   mask is given, the default mask matching common precompilers is used.
+ * @returns {RegExp} The mask as a RegExp.
+ */
+traverse.maskRegExp = function(mask) {
+  mask = mask || /\.css|\.less|\.sass|\.scss|\.styl|\.stylus/;
+
+  // If the mask is a string, convert it into a RegExp.
+  if (!(mask instanceof RegExp)) {
+    mask = new RegExp(
+      '(?:' + mask.replace(/\./g, '\\.').replace(/\*/g, '.*') + ')$'
+    );
+  }
+  return mask;
+};
+
 module.exports = traverse;
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = function(section, options, fake) {
+  return Promise.resolve({
+    title: section.header(),
+    placeholder: options.placeholder,
+    author: fake.name()
+  });
+};
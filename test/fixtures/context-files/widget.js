@@ -0,0 +1,6 @@
+'use strict';
+
+// Never loaded, since widget.yaml is found first.
+module.exports = {
+  title: 'A JavaScript widget'
+};
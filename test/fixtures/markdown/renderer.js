@@ -0,0 +1,6 @@
+'use strict';
+
+// A Markdown renderer that shows which renderer was used.
+module.exports = function(text, options) {
+  return (options.inline ? '<span>' : '<div class="renderer">') + text + (options.inline ? '</span>' : '</div>');
+};
@@ -131,6 +131,69 @@ describe('Command Line Interface', function() {
     });
   });
 
+  describe('given --cache-dir option', function() {
+    it('should save a cache of the parsed files', function() {
+      let source = helperUtils.fixtures('with-include'),
+        destination = helperUtils.fixtures('..', 'output', 'nested'),
+        cacheDir = helperUtils.fixtures('..', 'output', 'cache');
+      return kssNode(source + ' ' + destination + ' --cache-dir ' + cacheDir).then(function(result) {
+        expect(result.error).to.not.exist;
+        expect(result.stdout).to.include(successMessage);
+        return fs.readJsonAsync(path.join(cacheDir, 'kss-cache.json'));
+      }).then(function(cache) {
+        expect(cache.files).to.have.property(path.join(helperUtils.fixtures('with-include'), 'style.scss'));
+      });
+    });
+  });
+
+  describe('given the lint command', function() {
+    it('should report the problems found and fail if there are errors', function() {
+      return kssNode('lint ' + helperUtils.fixtures('lint') + ' --duplicates error').then(function(result) {
+        expect(result.error).to.exist;
+        expect(result.error.message).to.equal('kss lint found 1 error(s).');
+        expect(result.stdout).to.include(helperUtils.fixtures('lint', 'lint.scss') + ':9: warning: The modifier ".primary" of section 1.1 has no description. [modifier-without-description]');
+        expect(result.stdout).to.include('1 error, 6 warnings');
+        expect(result.stdout).to.not.include(successMessage);
+      });
+    });
+
+    it('should report unresolved markup files', function() {
+      return kssNode('lint ' + helperUtils.fixtures('source-handlebars-builder-test') + ' --reporter json').then(function(result) {
+        let report = JSON.parse(result.stdout);
+        expect(result.error).to.exist;
+        expect(report.errorCount).to.equal(1);
+        expect(report.diagnostics.filter(diagnostic => diagnostic.severity === 'error')).to.deep.equal([{
+          severity: 'error',
+          rule: 'markup-not-found',
+          message: 'The markup file "missing-file.hbs" of section 1.D was not found.',
+          file: helperUtils.fixtures('source-handlebars-builder-test', 'kss-source.scss'),
+          line: 22
+        }]);
+      });
+    });
+
+    it('should check the modifiers against the CSS given with --css', function() {
+      let source = helperUtils.fixtures('lint-modifiers');
+      return kssNode('lint ' + source + ' ' + source + ' --mask style.scss --css built.css --css https://example.com/remote.css').then(function(result) {
+        expect(result.error).to.not.exist;
+        expect(result.stdout).to.equal(path.join(source, 'style.scss') + ':7: warning: The modifier ":hover" of section button is not used by built.css; ":hover" was not found. [unknown-modifier]\n\n0 errors, 1 warning\n');
+      });
+    });
+
+    it('should succeed if there are no errors', function() {
+      let destination = helperUtils.fixtures('..', 'output', 'lint');
+      return kssNode('lint ' + helperUtils.fixtures('lint') + ' ' + destination + ' --mask clean.scss').then(function(result) {
+        expect(result.error).to.not.exist;
+        expect(result.stdout).to.equal('0 errors, 0 warnings\n');
+        return fs.statAsync(destination).then(() => {
+          throw new Error('The destination exists.');
+        }, error => {
+          expect(error.code).to.equal('ENOENT');
+        });
+      });
+    });
+  });
+
   describe('given --builder option', function() {
     it('should catch a failure when the builder API is not equal to the current API', function() {
       return kssNode('--builder ' + helperUtils.fixtures('old-builder')).then(result => {
@@ -0,0 +1,166 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const commentExtractors = require('../lib/comment_extractors.js');
+
+describe('commentExtractors object API', function() {
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['add',
+    'get',
+    'css',
+    'sass',
+    'handlebars',
+    'twig',
+    'html'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(commentExtractors).to.itself.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('.get()', function() {
+    it('should return the extractor for the file\'s extension', function(done) {
+      expect(commentExtractors.get('/path/to/file.less')).to.equal(commentExtractors.css);
+      expect(commentExtractors.get('/path/to/file.sass')).to.equal(commentExtractors.sass);
+      expect(commentExtractors.get('/path/to/file.hbs')).to.equal(commentExtractors.handlebars);
+      expect(commentExtractors.get('/path/to/file.twig')).to.equal(commentExtractors.twig);
+      expect(commentExtractors.get('/path/to/file.HTML')).to.equal(commentExtractors.html);
+      done();
+    });
+
+    it('should return the CSS extractor for unknown extensions or no file', function(done) {
+      expect(commentExtractors.get('/path/to/file.unknown')).to.equal(commentExtractors.css);
+      expect(commentExtractors.get()).to.equal(commentExtractors.css);
+      done();
+    });
+  });
+
+  describe('.add()', function() {
+    it('should add an extractor for the given extensions', function(done) {
+      let extractor = function() {
+        return [];
+      };
+      commentExtractors.add(['.test-extractor-a', 'test-extractor-b'], extractor);
+      expect(commentExtractors.get('file.test-extractor-a')).to.equal(extractor);
+      expect(commentExtractors.get('file.test-extractor-b')).to.equal(extractor);
+      done();
+    });
+
+    it('should be used by parse()', function(done) {
+      commentExtractors.add('.test-extractor-c', function(input) {
+        return input.split('\n---\n').map((text, index) => {
+          return {line: index + 1, text: text, raw: text};
+        });
+      });
+      let styleGuide = kss.parse([{path: '/file.test-extractor-c', contents: 'Custom 1\n\nStyle guide: 1\n---\nCustom 2\n\nStyle guide: 2'}]);
+      expect(styleGuide.sections().map(section => section.header())).to.deep.equal(['Custom 1', 'Custom 2']);
+      done();
+    });
+
+    it('should re-parse cached files when their extractor is replaced', function(done) {
+      let cache = new kss.KssCache(),
+        file = {path: '/file.test-extractor-d', contents: '{{! Handlebars\n\nStyle guide: 1 }}\n{# Twig\n\nStyle guide: 1 #}'};
+      commentExtractors.add('.test-extractor-d', commentExtractors.handlebars);
+      expect(kss.parse([file], {cache: cache}).sections('1').header()).to.equal('Handlebars');
+      commentExtractors.add('.test-extractor-d', commentExtractors.twig);
+      expect(kss.parse([file], {cache: cache}).sections('1').header()).to.equal('Twig');
+      done();
+    });
+  });
+
+  describe('.handlebars()', function() {
+    it('should find {{!-- --}} and {{! }} comments', function(done) {
+      expect(commentExtractors.handlebars('{{!-- Block --}}\n<div>{{! Inline }}</div>\n  {{! Short\n    comment }}')).to.deep.equal([
+        {line: 1, text: 'Block', raw: '{{!-- Block --}}\n'},
+        {line: 3, text: 'Short\ncomment', raw: '  {{! Short\n    comment }}\n'}
+      ]);
+      done();
+    });
+  });
+
+  describe('.sass()', function() {
+    it('should end an indented comment at the first line that is not indented', function(done) {
+      expect(commentExtractors.sass('/* Comment\n   continued\n\n   here */\n.rule\n  color: red')).to.deep.equal([
+        {line: 1, text: 'Comment\ncontinued\n\nhere', raw: '/* Comment\n   continued\n\n   here */\n'}
+      ]);
+      done();
+    });
+
+    it('should not join separate series of // lines', function(done) {
+      expect(commentExtractors.sass('// One\n// Two\n\n// Three').map(block => block.text)).to.deep.equal(['One\nTwo', 'Three']);
+      done();
+    });
+
+    it('should find the same sections as the CSS extractor in existing .sass files', function() {
+      return fs.readFileAsync(helperUtils.fixtures('traverse-directories', 'file-type.sass'), 'utf8').then(contents => {
+        let sections = extension => {
+          return kss.parse([{path: '/file-type.' + extension, contents: contents}]).sections().map(section => {
+            let json = section.toJSON();
+            delete json.sourceFile;
+            return json;
+          });
+        };
+        expect(sections('sass')).to.have.length(2);
+        expect(sections('sass')).to.deep.equal(sections('scss'));
+      });
+    });
+  });
+
+  describe('given different source syntaxes', function() {
+    before(function() {
+      return helperUtils.traverseFixtures({mask: /comment-extractors\/.*\.(hbs|twig|html|sass)$/, markdown: false}).then(styleGuide => {
+        this.styleGuide = styleGuide;
+      });
+    });
+
+    it('should parse {{!-- --}} Handlebars comments', function(done) {
+      let section = this.styleGuide.sections('extractors.handlebars');
+      expect(section.header()).to.equal('Handlebars block comment');
+      expect(section.description()).to.equal('A component documented in its Handlebars template.');
+      expect(section.parameters()[0].name()).to.equal('.featured');
+      expect(section.custom('sourceFile').line).to.equal(1);
+      done();
+    });
+
+    it('should parse {{! }} Handlebars comments', function(done) {
+      expect(this.styleGuide.sections('extractors.handlebars-short').header()).to.equal('Handlebars comment');
+      done();
+    });
+
+    it('should parse {# #} Twig comments', function(done) {
+      expect(this.styleGuide.sections('extractors.twig').header()).to.equal('Twig comment');
+      done();
+    });
+
+    it('should parse <!-- --> HTML comments', function(done) {
+      let section = this.styleGuide.sections('extractors.html');
+      expect(section.header()).to.equal('HTML comment');
+      expect(section.description()).to.equal('A component documented in its HTML.');
+      expect(section.custom('sourceFile').line).to.equal(4);
+      done();
+    });
+
+    it('should parse // Sass comments', function(done) {
+      expect(this.styleGuide.sections('extractors.sass.single').header()).to.equal('Sass single-line comments');
+      done();
+    });
+
+    it('should parse indented Sass comments', function(done) {
+      let section = this.styleGuide.sections('extractors.sass.multi-line');
+      expect(section.header()).to.equal('Sass indented comment');
+      expect(section.description()).to.equal('A component documented with an indented comment.');
+      expect(section.parameters()[0].name()).to.equal('.featured');
+      done();
+    });
+
+    it('should parse nested, indented Sass comments', function(done) {
+      let section = this.styleGuide.sections('extractors.sass.nested');
+      expect(section.header()).to.equal('Sass nested comment Continued on an indented line.');
+      expect(section.custom('sourceFile').line).to.equal(15);
+      done();
+    });
+  });
+});
@@ -43,7 +43,8 @@ describe('kss object API', function() {
     successMessage = 'Style guide build completed successfully';
 
   /* eslint-disable no-loop-func */
-  ['parse',
+  ['markdown',
+    'parse',
     'traverse'
   ].forEach(function(method) {
     it('has ' + method + '() method', function(done) {
@@ -52,20 +53,31 @@ describe('kss object API', function() {
     });
   });
 
-  ['KssModifier',
+  ['KssCache',
+    'KssColor',
+    'KssDiagnostics',
+    'KssFakeData',
+    'KssModifier',
     'KssParameter',
     'KssSection',
-    'KssStyleGuide'
+    'KssServer',
+    'KssStyleGuide',
+    'KssWatcher'
   ].forEach(function(method) {
     it('has ' + method + '() constructor', function(done) {
       expect(kss).to.itself.respondTo(method);
-      let Constructor = require('../lib/' + method.replace('Kss', 'kss_').replace('Guide', '_guide').toLowerCase());
+      let Constructor = require('../lib/' + method.replace('Kss', 'kss_').replace('Guide', '_guide').replace('Data', '_data').toLowerCase());
       expect(new kss[method]()).to.be.an.instanceof(Constructor);
       done();
     });
   });
   /* eslint-enable no-loop-func */
 
+  it('has a commentExtractors object', function(done) {
+    expect(kss.commentExtractors).to.equal(require('../lib/comment_extractors.js'));
+    done();
+  });
+
   describe('kss() function', function() {
     it('should be a function taking 1 argument', function(done) {
       expect(kss).to.exist;
@@ -141,6 +153,19 @@ describe('kss object API', function() {
         });
       });
 
+      it('should log the modifiers that are out of date', function() {
+        return testKss({
+          source: helperUtils.fixtures('lint-modifiers'),
+          mask: 'style.scss',
+          destination: 'test/output/nested'
+        }).then(function(result) {
+          expect(result.error).to.not.exist;
+          expect(result.stdout).to.include('WARNING: The modifier ".button--removed" of section button is not used by style.scss; ".button--removed" was not found.');
+          expect(result.stdout).to.include('WARNING: The class ".button--ghost" looks like a modifier of section button, but it is not documented.');
+          expect(result.stdout).to.include(successMessage);
+        });
+      });
+
       it('should read multiple source directories', function() {
         let source = helperUtils.fixtures('with-include'),
           source2 = helperUtils.fixtures('empty-source');
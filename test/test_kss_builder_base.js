@@ -18,6 +18,14 @@ describe('KssBuilderBase object API', function() {
     'setLogFunction',
     'logError',
     'setLogErrorFunction',
+    'addDiagnostic',
+    'renderMarkdown',
+    'writeFile',
+    'setWriteFileFunction',
+    'buildPseudoStates',
+    'sectionURL',
+    'statusReport',
+    'buildStatusReport',
     'clone',
     'prepare',
     'build'
@@ -48,7 +56,7 @@ describe('KssBuilderBase object API', function() {
 
     it('should implement the default option definitions', function() {
       let builder = new KssBuilderBase();
-      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'clone', 'builder', 'css', 'js', 'custom', 'verbose']);
+      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'cache', 'clone', 'builder', 'css', 'js', 'custom', 'duplicates', 'markdown', 'source-code', 'auto-modifiers', 'pseudo-states', 'status-report', 'verbose']);
     });
 
     it('should set the default log function', function() {
@@ -315,6 +323,386 @@ describe('KssBuilderBase object API', function() {
     });
   });
 
+  describe('.addDiagnostic()', function() {
+    it('should add the diagnostic to the diagnostics option', function() {
+      let diagnostics = new kss.KssDiagnostics(),
+        builder = new KssBuilderBase();
+      expect(builder.addDiagnostic({rule: 'test'})).to.equal(builder);
+      builder.addOptions({diagnostics: diagnostics});
+      builder.addDiagnostic({severity: 'error', rule: 'test', message: 'Test'});
+      expect(diagnostics.errors()).to.deep.equal([{severity: 'error', rule: 'test', message: 'Test', file: '', line: 0}]);
+    });
+  });
+
+  describe('.renderMarkdown()', function() {
+    it('should render Markdown with the default renderer', function() {
+      let builder = new KssBuilderBase();
+      expect(builder.renderMarkdown('*Text*')).to.equal('<p><em>Text</em></p>\n');
+      builder.addOptions({markdown: false});
+      expect(builder.renderMarkdown('*Text*')).to.equal('<p><em>Text</em></p>\n');
+    });
+
+    it('should use the markdown option', function() {
+      let builder = new KssBuilderBase();
+      builder.addOptions({markdown: text => '<div>' + text + '</div>'});
+      expect(builder.renderMarkdown('*Text*')).to.equal('<div>*Text*</div>');
+    });
+  });
+
+  describe('.loadContext()', function() {
+    it('should load a JSON5 file', function() {
+      return new KssBuilderBase().loadContext(helperUtils.fixtures('context-files', 'dialog.json5')).then(context => {
+        expect(context).to.deep.equal({title: 'A JSON5 dialog', buttons: ['OK', 'Cancel']});
+      });
+    });
+
+    it('should load a YAML file', function() {
+      return new KssBuilderBase().loadContext(helperUtils.fixtures('context-files', 'widget.yaml')).then(context => {
+        expect(context).to.deep.equal({title: 'A YAML widget', items: ['one', 'two']});
+      });
+    });
+
+    it('should load a JavaScript module exporting the context', function() {
+      return new KssBuilderBase().loadContext(helperUtils.fixtures('context-files', 'tooltip.js')).then(context => {
+        expect(context).to.deep.equal({title: 'A tooltip'});
+      });
+    });
+
+    it('should call a function exported by a JavaScript module with the section, options and fake data', function() {
+      let builder = new KssBuilderBase(),
+        section = new kss.KssSection({header: 'Banner', reference: '1.1'});
+      builder.addOptions({placeholder: '[modifier]'});
+      return builder.loadContext(helperUtils.fixtures('context-files', 'banner.js'), section).then(context => {
+        expect(context).to.deep.equal({title: 'Banner', placeholder: '[modifier]', author: new kss.KssFakeData('1.1').name()});
+      });
+    });
+
+    it('should read the file again every time', function() {
+      let builder = new KssBuilderBase(),
+        file = path.join(__dirname, 'output', 'context', 'changing.js');
+      return fs.outputFileAsync(file, 'module.exports = {version: 1};').then(() => {
+        return builder.loadContext(file);
+      }).then(context => {
+        expect(context).to.deep.equal({version: 1});
+        return fs.outputFileAsync(file, 'module.exports = {version: 2};');
+      }).then(() => {
+        return builder.loadContext(file);
+      }).then(context => {
+        expect(context).to.deep.equal({version: 2});
+      });
+    });
+
+    it('should reject if the file cannot be parsed', function() {
+      return new KssBuilderBase().loadContext(helperUtils.fixtures('context-files', 'broken.yaml')).then(() => {
+        expect.fail('loadContext() should have been rejected');
+      }, error => {
+        expect(error.name).to.equal('YAMLException');
+      });
+    });
+  });
+
+  describe('.contextFileNames()', function() {
+    it('should return the names of the context files of a template', function() {
+      expect(new KssBuilderBase().contextFileNames('path/to/card.hbs')).to.deep.equal(['card.json', 'card.json5', 'card.yaml', 'card.yml', 'card.js']);
+    });
+  });
+
+  describe('.loadTemplateContext()', function() {
+    it('should load the first context file found', function() {
+      let builder = new KssBuilderBase();
+      return builder.loadTemplateContext(helperUtils.fixtures('context-files', 'widget.hbs')).then(context => {
+        expect(context.title).to.equal('A YAML widget');
+        return builder.loadTemplateContext(helperUtils.fixtures('context-files', 'dialog.twig'));
+      }).then(context => {
+        expect(context.title).to.equal('A JSON5 dialog');
+      });
+    });
+
+    it('should return an empty context if there is no context file', function() {
+      return new KssBuilderBase().loadTemplateContext(helperUtils.fixtures('context-files', 'missing.hbs')).then(context => {
+        expect(context).to.deep.equal({});
+      });
+    });
+
+    it('should warn if the context file cannot be loaded', function() {
+      let messages = [],
+        diagnostics = new kss.KssDiagnostics(),
+        builder = new KssBuilderBase();
+      builder.addOptions({diagnostics: diagnostics});
+      builder.setLogFunction(message => {
+        messages.push(message);
+      });
+      return builder.loadTemplateContext(helperUtils.fixtures('context-files', 'broken.hbs')).then(context => {
+        expect(context).to.deep.equal({});
+        expect(messages[0]).to.include('WARNING: The context file broken.yaml could not be loaded');
+        expect(diagnostics.warnings().map(diagnostic => diagnostic.rule)).to.deep.equal(['invalid-context']);
+      });
+    });
+  });
+
+  describe('.loadFixtures()', function() {
+    it('should check the fixtures with the schema', function() {
+      let messages = [],
+        diagnostics = new kss.KssDiagnostics(),
+        builder = new KssBuilderBase(),
+        section = new kss.KssSection({header: 'Card', reference: '1.1'}),
+        file = helperUtils.fixtures('context-fixtures', 'card.hbs');
+      builder.addOptions({diagnostics: diagnostics});
+      builder.setLogFunction(message => {
+        messages.push(message);
+      });
+      return builder.loadSchema(file).then(schema => {
+        return builder.loadFixtures(file, section, schema);
+      }).then(fixtures => {
+        expect(fixtures.map(fixture => fixture.name)).to.deep.equal(['compact', 'featured', 'untitled']);
+        expect(messages).to.include('WARNING: The context fixture card.untitled.json of section 1.1 does not match its schema: context should have required property \'title\'');
+        expect(diagnostics.warnings().map(diagnostic => diagnostic.rule)).to.deep.equal(['invalid-context', 'context-schema']);
+      });
+    });
+  });
+
+  describe('.loadSchema()', function() {
+    it('should load the schema of a template', function() {
+      return new KssBuilderBase().loadSchema(helperUtils.fixtures('context-files', 'widget.hbs')).then(schema => {
+        expect(schema.required).to.deep.equal(['title']);
+        expect(schema).to.not.have.property('$schema');
+      });
+    });
+
+    it('should return null if the template has no schema', function() {
+      return new KssBuilderBase().loadSchema(helperUtils.fixtures('context-files', 'dialog.hbs')).then(schema => {
+        expect(schema).to.be.null;
+      });
+    });
+
+    it('should warn if the schema is invalid', function() {
+      let messages = [],
+        diagnostics = new kss.KssDiagnostics(),
+        builder = new KssBuilderBase();
+      builder.addOptions({diagnostics: diagnostics});
+      builder.setLogFunction(message => {
+        messages.push(message);
+      });
+      return builder.loadSchema(helperUtils.fixtures('context-files', 'broken.hbs')).then(schema => {
+        expect(schema).to.be.null;
+        expect(messages[0]).to.include('WARNING: The schema broken.schema.json could not be loaded: schema is invalid');
+        expect(diagnostics.warnings().map(diagnostic => diagnostic.rule)).to.deep.equal(['invalid-schema']);
+      });
+    });
+  });
+
+  describe('.validateContext()', function() {
+    it('should check the context with the schema', function() {
+      let messages = [],
+        diagnostics = new kss.KssDiagnostics(),
+        builder = new KssBuilderBase();
+      builder.addOptions({diagnostics: diagnostics});
+      builder.setLogFunction(message => {
+        messages.push(message);
+      });
+      return builder.loadSchema(helperUtils.fixtures('context-files', 'widget.hbs')).then(schema => {
+        expect(builder.validateContext({title: 'Title', author: null}, 'context file', '/path/to/widget.json', null, schema)).to.be.true;
+        expect(builder.validateContext({title: 'Title'}, 'context file', '/path/to/widget.json')).to.be.true;
+        expect(messages).to.deep.equal([]);
+        expect(builder.validateContext({title: 1, size: 'medium'}, 'context file', '/path/to/widget.json', null, schema)).to.be.false;
+        expect(messages).to.deep.equal(['WARNING: The context file widget.json does not match its schema: context.title should be string, context.size should be equal to one of the allowed values']);
+        expect(diagnostics.warnings()).to.deep.equal([{
+          severity: 'warning',
+          rule: 'context-schema',
+          message: 'The context file widget.json does not match its schema: context.title should be string, context.size should be equal to one of the allowed values',
+          file: '/path/to/widget.json',
+          line: 0
+        }]);
+      });
+    });
+
+    it('should check the context file of a template with the schema', function() {
+      let messages = [],
+        builder = new KssBuilderBase(),
+        section = new kss.KssSection({header: 'Dialog', reference: '2.1'});
+      builder.setLogFunction(message => {
+        messages.push(message);
+      });
+      return builder.loadTemplateContext(helperUtils.fixtures('context-files', 'dialog.hbs'), section, {properties: {buttons: {type: 'string'}}}).then(context => {
+        expect(context.title).to.equal('A JSON5 dialog');
+        expect(messages).to.deep.equal(['WARNING: The context file dialog.json5 of section 2.1 does not match its schema: context.buttons should be string']);
+      });
+    });
+  });
+
+  describe('.schemaParameters()', function() {
+    it('should create the template variables from the schema', function() {
+      let builder = new KssBuilderBase();
+      return builder.loadSchema(helperUtils.fixtures('context-files', 'widget.hbs')).then(schema => {
+        expect(builder.schemaParameters(schema).map(parameter => parameter.toJSON())).to.deep.equal([
+          {name: 'title', type: 'string', defaultValue: '', optional: false, description: 'The <em>title</em> of the widget.'},
+          {name: 'items', type: 'array', defaultValue: '', optional: true, description: ''},
+          {name: 'size', type: '"small"|"large"', defaultValue: '"small"', optional: true, description: ''},
+          {name: 'author', type: 'object|null', defaultValue: '', optional: true, description: 'The author of the widget.'},
+          {name: 'author.name', type: 'string', defaultValue: '', optional: false, description: ''}
+        ]);
+        builder.addOptions({markdown: false});
+        expect(builder.schemaParameters(schema)[0].description()).to.equal('The *title* of the widget.');
+      });
+    });
+  });
+
+  describe('.writeFile()', function() {
+    it('should use the write file function to save a file', function() {
+      let writtenFiles = {},
+        builder = new KssBuilderBase();
+      builder.setWriteFileFunction((file, contents) => {
+        writtenFiles[file] = contents;
+      });
+      return builder.writeFile('/tmp/page.html', 'contents').then(() => {
+        expect(writtenFiles).to.deep.equal({'/tmp/page.html': 'contents'});
+      });
+    });
+  });
+
+  describe('.setWriteFileFunction()', function() {
+    it('should set the write file function to use', function() {
+      let writeFileFunction = function() {},
+        builder = new KssBuilderBase();
+      builder.setWriteFileFunction(writeFileFunction);
+      expect(builder.writeFileFunction).to.equal(writeFileFunction);
+    });
+  });
+
+  describe('.buildPseudoStates()', function() {
+    it('should save the pseudo-class states of the CSS files', function() {
+      let writtenFiles = {},
+        diagnostics = new kss.KssDiagnostics(),
+        destination = helperUtils.fixtures('pseudo-states'),
+        builder = new KssBuilderBase();
+      builder.setLogFunction(() => {});
+      builder.setWriteFileFunction((file, contents) => {
+        writtenFiles[file] = contents;
+      });
+      builder.addOptions({
+        'destination': destination,
+        'css': ['css/styles.css?v=1', 'missing.css', 'https://example.com/remote.css'],
+        'pseudo-states': true,
+        'diagnostics': diagnostics
+      });
+      return builder.buildPseudoStates().then(() => {
+        expect(writtenFiles[path.join(destination, 'kss-pseudo-states.css')]).to.equal(
+          '.button.pseudo-class-hover {\n  background: url(css/images/button.png) no-repeat;\n}\n'
+          + 'a:not(.pseudo-class-focus, .link)::before {\n  content: "{:hover}";\n}\n'
+          + '@media (min-width: 40em) {\n'
+          + '  @supports (display: grid) {\n'
+          + '    .grid.pseudo-class-focus.pseudo-class-hover {\n'
+          + '          background: url(\'/images/grid.png\');\n'
+          + '        }\n'
+          + '  }\n'
+          + '}\n'
+          + 'li.pseudo-class-first-child {\n  margin: 0;\n}'
+        );
+        expect(diagnostics.warnings().map(diagnostic => diagnostic.rule)).to.deep.equal(['stylesheet-not-found']);
+      });
+    });
+
+    it('should do nothing if the pseudo-states option is not used', function() {
+      let writtenFiles = {},
+        builder = new KssBuilderBase();
+      builder.setWriteFileFunction((file, contents) => {
+        writtenFiles[file] = contents;
+      });
+      builder.addOptions({destination: helperUtils.fixtures('pseudo-states'), css: ['css/styles.css']});
+      return builder.buildPseudoStates().then(() => {
+        expect(writtenFiles).to.deep.equal({});
+      });
+    });
+  });
+
+  describe('.sectionURL()', function() {
+    it('should return the URL of a section on the page of its root section', function() {
+      let builder = new KssBuilderBase();
+      builder.styleGuide = kss.parse('// Forms\n//\n// Style guide: forms\n\n// Button\n//\n// Style guide: forms.button');
+      expect(builder.sectionURL('forms.button')).to.equal('section-forms.html#kssref-forms-button');
+      expect(builder.sectionURL('forms')).to.equal('section-forms.html#kssref-forms');
+      expect(builder.sectionURL('forms.missing')).to.be.false;
+    });
+  });
+
+  describe('.statusReport()', function() {
+    before(function() {
+      this.builder = new KssBuilderBase();
+      this.builder.styleGuide = kss.parse([{
+        base: '/src',
+        path: '/src/forms/buttons.css',
+        contents: '// Forms\n//\n// Style guide: forms\n\n'
+          + '// Link button\n//\n// A button that looks like a link, which is <em>very</em> useful &amp; popular.\n//\n// Status: deprecated\n// Since: 2.0\n// Replacement: forms.button\n//\n// Style guide: forms.link\n\n'
+          + '// Button\n//\n// Style guide: forms.button\n\n'
+          + '// Toggle\n//\n// Experimental: Toggles may change.\n//\n// Style guide: forms.toggle\n\n'
+          + '// Fancy button\n//\n// Status: deprecated\n// Replacement: forms.missing\n//\n// Style guide: forms.fancy\n\n'
+          + '// Old select\n//\n// Status: removed\n//\n// Style guide: forms.select'
+      }], {markdown: false});
+    });
+
+    it('should list the deprecated and experimental sections', function() {
+      let report = this.builder.statusReport();
+      expect(report.map(entry => entry.reference)).to.deep.equal(['forms.fancy', 'forms.link', 'forms.toggle']);
+      expect(report[1]).to.deep.equal({
+        reference: 'forms.link',
+        header: 'Link button',
+        url: 'section-forms.html#kssref-forms-link',
+        status: 'deprecated',
+        since: '2.0',
+        reason: '',
+        replacement: {
+          reference: 'forms.button',
+          header: 'Button',
+          url: 'section-forms.html#kssref-forms-button'
+        },
+        file: 'forms/buttons.css',
+        line: 5,
+        excerpt: 'A button that looks like a link, which is very useful & popular.'
+      });
+      expect(report[0].replacement).to.deep.equal({reference: 'forms.missing', header: '', url: false});
+      expect(report[2].replacement).to.be.false;
+    });
+
+    it('should shorten long descriptions', function() {
+      let builder = new KssBuilderBase();
+      builder.styleGuide = kss.parse('// Dialog\n//\n// ' + 'Lorem ipsum dolor sit amet. '.repeat(10) + '\n//\n// Status: experimental\n//\n// Style guide: 1', {markdown: false});
+      let excerpt = builder.statusReport()[0].excerpt;
+      expect(excerpt.length).to.be.at.most(160);
+      expect(excerpt).to.match(/ dolor…$/);
+    });
+  });
+
+  describe('.buildStatusReport()', function() {
+    it('should save the report as JSON', function() {
+      let writtenFiles = {},
+        destination = path.resolve(__dirname, 'output', 'status-report'),
+        builder = new KssBuilderBase();
+      builder.setWriteFileFunction((file, contents) => {
+        writtenFiles[file] = contents;
+      });
+      builder.addOptions({'destination': destination, 'status-report': true});
+      builder.styleGuide = kss.parse('// Toggle\n//\n// Status: experimental\n//\n// Style guide: 1');
+      return builder.buildStatusReport().then(report => {
+        expect(report).to.deep.equal(builder.statusReport());
+        expect(Object.keys(writtenFiles)).to.deep.equal([path.join(destination, 'status-report.json')]);
+        expect(JSON.parse(writtenFiles[path.join(destination, 'status-report.json')])).to.deep.equal({sections: report});
+      });
+    });
+
+    it('should do nothing if the status-report option is not used', function() {
+      let writtenFiles = {},
+        builder = new KssBuilderBase();
+      builder.setWriteFileFunction((file, contents) => {
+        writtenFiles[file] = contents;
+      });
+      builder.addOptions({destination: path.resolve(__dirname, 'output', 'status-report')});
+      return builder.buildStatusReport().then(report => {
+        expect(report).to.be.false;
+        expect(writtenFiles).to.deep.equal({});
+      });
+    });
+  });
+
   describe('.clone()', function() {
     it('should clone the given directory to the given destination', function() {
       let destination = helperUtils.fixtures('..', 'output', 'clone'),
@@ -66,7 +66,7 @@ describe('KssBuilderBaseExample object API', function() {
 
     it('should implement the default option definitions', function() {
       let builder = new KssBuilderBaseExample();
-      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'clone', 'builder', 'css', 'js', 'custom', 'verbose', 'example-option']);
+      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'cache', 'clone', 'builder', 'css', 'js', 'custom', 'duplicates', 'markdown', 'source-code', 'auto-modifiers', 'pseudo-states', 'status-report', 'verbose', 'example-option']);
     });
   });
 
@@ -56,16 +56,18 @@ describe('KssBuilderBaseHandlebars object API', function() {
     let source = helperUtils.fixtures('source-handlebars-builder-test'),
       destination = path.resolve(__dirname, 'output', 'base_handlebars', 'build');
     this.builder = new TestKssBuilderBaseHandlebars({
-      source: [
+      'source': [
         source,
         helperUtils.fixtures('source-twig-builder-test')
       ],
-      destination: destination,
-      builder: helperUtils.fixtures('builder-with-assets'),
-      extend: helperUtils.fixtures('builder-with-assets', 'extend'),
-      css: ['styles-1.css', 'styles-2.css'],
-      js: ['javascript-1.js', 'javascript-2.js'],
-      verbose: true
+      'destination': destination,
+      'builder': helperUtils.fixtures('builder-with-assets'),
+      'extend': helperUtils.fixtures('builder-with-assets', 'extend'),
+      'css': ['styles-1.css', 'styles-2.css'],
+      'js': ['javascript-1.js', 'javascript-2.js'],
+      'nav-hide': 'removed',
+      'status-report': true,
+      'verbose': true
     });
     return kss.traverse(source).then(styleGuide => {
       return this.builder.prepare(styleGuide);
@@ -77,7 +79,8 @@ describe('KssBuilderBaseHandlebars object API', function() {
           'index',
           'section-1',
           'section-2',
-          'section-3'
+          'section-3',
+          'status-report'
         ].map(fileName => {
           return fs.readFileAsync(path.join(__dirname, 'output', 'base_handlebars', 'build', fileName + '.html'), 'utf8').then(data => {
             this.files[fileName] = data;
@@ -101,7 +104,7 @@ describe('KssBuilderBaseHandlebars object API', function() {
 
     it('should implement the default option definitions', function() {
       let builder = new KssBuilderBaseHandlebars();
-      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'clone', 'builder', 'css', 'js', 'custom', 'verbose', 'extend', 'homepage', 'placeholder', 'nav-depth']);
+      expect(Object.getOwnPropertyNames(builder.optionDefinitions)).to.deep.equal(['source', 'destination', 'mask', 'cache', 'clone', 'builder', 'css', 'js', 'custom', 'duplicates', 'markdown', 'source-code', 'auto-modifiers', 'pseudo-states', 'status-report', 'verbose', 'extend', 'homepage', 'placeholder', 'max-combinations', 'nav-depth', 'nav-hide']);
     });
   });
 
@@ -134,6 +137,15 @@ describe('KssBuilderBaseHandlebars object API', function() {
       expect(this.builderPrepared.Handlebars).to.be.object;
     });
 
+    it('adds the fake data helpers', function() {
+      let fake = new kss.KssFakeData('helpers'),
+        template = this.builderPrepared.Handlebars.compile('{{fakeName}}|{{fakeNumber 1 9}}|{{#fakeList 2 "date"}}{{@index}}:{{this}} {{/fakeList}}|{{#each (fakeList 2)}}{{this}}{{/each}}');
+      this.builderPrepared.fakeData.seed('helpers');
+      let expected = fake.name() + '|' + fake.number(1, 9) + '|';
+      expected += fake.list(2, 'date').map((date, index) => index + ':' + date + ' ').join('') + '|01';
+      expect(template({})).to.equal(expected);
+    });
+
     it('outputs settings if the verbose option is set', function() {
       let builder = new TestKssBuilderBaseHandlebars({
         extend: ['/dev/null/example1', '/dev/null/example2'],
@@ -200,7 +212,7 @@ describe('KssBuilderBaseHandlebars object API', function() {
       expect(this.builder.Handlebars.partials).to.have.property('1.E');
       expect(this.builder.Handlebars.partials).to.have.property('missing-file');
       expect(this.builder.Handlebars.partials).to.have.property('1c');
-      expect(Object.keys(this.builder.partials)).to.deep.equal(['1.B', '1.E', '1.D', '1.C']);
+      expect(Object.keys(this.builder.partials)).to.have.members(['1.B', '1.E', '1.F', '1.G (inline)', '1.H', '1.D', '1.C', '1.G (from file)']);
     });
 
     it('should note missing partials', function() {
@@ -221,6 +233,29 @@ describe('KssBuilderBaseHandlebars object API', function() {
       });
     });
 
+    it('should report missing partials to the diagnostics option', function() {
+      let diagnostics = new kss.KssDiagnostics(),
+        builder = new TestKssBuilderBaseHandlebars({
+          source: helperUtils.fixtures('source-handlebars-builder-test'),
+          destination: path.resolve(__dirname, 'output', 'base_handlebars', 'build-diagnostics'),
+          builder: helperUtils.fixtures('builder-with-assets'),
+          extend: helperUtils.fixtures('builder-with-assets', 'extend'),
+          diagnostics: diagnostics
+        });
+      let styleGuide = new kss.KssStyleGuide({sections: [{header: 'Heading 4.3', reference: '4.3', markup: '4.3.hbs', sourceFile: {path: 'file.css', line: 3}}]});
+      return builder.prepare(styleGuide).then(styleGuide => {
+        return builder.build(styleGuide);
+      }).then(() => {
+        expect(diagnostics.errors()).to.deep.equal([{
+          severity: 'error',
+          rule: 'markup-not-found',
+          message: 'The markup file "4.3.hbs" of section 4.3 was not found.',
+          file: 'file.css',
+          line: 3
+        }]);
+      });
+    });
+
     it('should trigger buildPage() for each style guide root section', function() {
       let stdout = this.builder.getTestOutput('stdout');
       expect(stdout).to.include(' - section 1 [1]');
@@ -228,6 +263,26 @@ describe('KssBuilderBaseHandlebars object API', function() {
       expect(stdout).to.include(' - section 3 [Heading 3]');
       expect(stdout).to.include(' - homepage');
     });
+
+    it('should check the context fixtures with the schema of the template', function() {
+      expect(this.builder.getTestOutput('stdout')).to.include('WARNING: The context fixture 1c.empty.json of section 1.C does not match its schema: context.content should NOT be shorter than 1 characters');
+    });
+  });
+
+  describe('.loadFixtures', function() {
+    it('should load the context fixtures of a template', function() {
+      let diagnostics = new kss.KssDiagnostics(),
+        builder = new TestKssBuilderBaseHandlebars({diagnostics: diagnostics});
+      return builder.loadFixtures(helperUtils.fixtures('context-fixtures', 'card.hbs')).then(fixtures => {
+        expect(fixtures).to.deep.equal([
+          {name: 'compact', file: 'card.compact.yaml', context: {title: 'A compact card'}},
+          {name: 'featured', file: 'card.featured.json', context: {title: 'A featured card'}},
+          {name: 'untitled', file: 'card.untitled.json', context: {subtitle: 'A card without a title'}}
+        ]);
+        expect(builder.getTestOutput('stdout')).to.include('WARNING: The context fixture card.broken.json could not be loaded');
+        expect(diagnostics.warnings().map(diagnostic => diagnostic.rule)).to.deep.equal(['invalid-context']);
+      });
+    });
   });
 
   describe('.createMenu', function() {
@@ -239,9 +294,34 @@ describe('KssBuilderBaseHandlebars object API', function() {
       expect(this.files['section-1']).to.include('MENU-ITEM-CHILD:[referenceURI:2-a, referenceNumber:2.1, header:Heading 2.A, isGrandChild:false]');
       expect(this.files['section-1']).to.include('MENU-ITEM:[referenceURI:3, referenceNumber:3, header:Heading 3, isActive:false, children:none]');
     });
+
+    it('should leave out the sections with a status given to the nav-hide option', function() {
+      expect(this.files['section-1']).to.include('MENU-ITEM-CHILD:[referenceURI:2-b, referenceNumber:2.2, header:Heading 2.B, isGrandChild:false]');
+      expect(this.files['section-1']).to.not.include('header:Heading 2.C');
+    });
   });
 
   describe('.buildPage', function() {
+    it('should show the template variables of the schema of the template', function() {
+      expect(this.files['section-1']).to.include('name:content\n          description:The <em>content</em> of the component.');
+      expect(this.files['section-1']).to.include('name:modifier_class');
+    });
+
+    it('should show the status of each section and link its replacement', function() {
+      expect(this.files['section-2']).to.include('status:deprecated, replacement:section-2.html#kssref-2-a');
+      expect(this.files['section-2']).to.include('header:Heading 2.C\n      status:removed');
+      expect(this.files['section-2']).to.include('header:Heading 2.A\n      status:stable');
+    });
+
+    it('should build the status report', function() {
+      expect(this.files['status-report']).to.include('STATUS-REPORT-ITEM:[reference:2.B, status:deprecated, replacement:section-2.html#kssref-2-a, file:kss-source.scss]');
+      expect(this.files['status-report']).to.not.include('reference:2.C');
+      expect(this.files['index']).to.not.include('STATUS-REPORT-ITEM');
+      return fs.readJsonAsync(path.join(this.builder.options.destination, 'status-report.json')).then(report => {
+        expect(report.sections.map(entry => entry.reference)).to.deep.equal(['2.B']);
+      });
+    });
+
     it('should build a page', function() {
       expect(this.files['section-1']).to.include('<meta name="generator" content="kss-node" />');
       expect(this.files['section-2']).to.include('<meta name="generator" content="kss-node" />');
@@ -321,11 +401,42 @@ describe('KssBuilderBaseHandlebars object API', function() {
       expect(this.files['section-1']).to.include('ref:1.E:modifier:pseudo-class-hover:markup:<div class="pseudo-class-hover"></div>');
     });
 
+    it('should add modifier_attributes from the modifier\'s attributes property', function() {
+      expect(this.files['section-1']).to.include('ref:1.F:modifier::markup:<div class="" data-state="open"></div>');
+      expect(this.files['section-1']).to.include('ref:1.F:modifier:is-active:markup:<div class="is-active" aria-expanded="true"></div>');
+      expect(this.files['section-1']).to.include('ref:1.F:markup:<div class="[modifier class]" ></div>');
+    });
+
+    it('should render the named examples and their modifiers', function() {
+      expect(this.files['section-1']).to.include('ref:1.G:example:inline:1-g--inline:markup:<p class="[modifier class]">inline</p>');
+      expect(this.files['section-1']).to.include('ref:1.G:example:inline:modifier:modifier-1:markup:<p class="modifier-1">inline</p>');
+      expect(this.files['section-1']).to.include('ref:1.G:example:from file:1-g--from-file:markup:<p class="[modifier class]">from file</p>');
+      expect(this.files['section-1']).to.include('ref:1.G:example:from file:modifier:modifier-1:markup:<p class="modifier-1">from file</p>');
+      expect(this.files['section-1']).to.include('ref:1.G:no-markup:');
+    });
+
+    it('should render the context fixtures of a template as named examples', function() {
+      expect(this.files['section-1']).to.include('ref:1.C:example:empty:1-c--empty:markup:<div class="one-cee-empty [modifier class]">');
+      expect(this.files['section-1']).to.include('ref:1.C:example:empty:modifier:modifier-1:markup:<div class="one-cee-empty modifier-1">');
+    });
+
+    it('should render the combinations of the modifier groups', function() {
+      expect(this.files['section-1']).to.include('ref:1.F:combination:is-active:markup:<div class="is-active" data-state="open" aria-expanded="true"></div>');
+    });
+
     it('should add modifier_class from the placeholder option if used on section', function() {
       expect(this.files['section-1']).to.include('ref:1.E:markup:<div class="[modifier class]"></div>');
     });
   });
 
+  describe('Handlebars fake data helpers', function() {
+    it('should render the same fake data in the markup of each modifier', function() {
+      let name = new kss.KssFakeData('1.H').name();
+      expect(this.files['section-1']).to.include('ref:1.H:markup:<p class="[modifier class]">' + name + '</p>');
+      expect(this.files['section-1']).to.include('ref:1.H:modifier:modifier-1:markup:<p class="modifier-1">' + name + '</p>');
+    });
+  });
+
   describe('Handlebars helper provided by option', function() {
     it('should render optional Handlebars helpers', function() {
       expect(this.files.index).to.include('Handlebars helper loaded into template!');
@@ -51,3 +51,91 @@ describe('KssBuilderHandlebars builder (default)', function() {
     });
   });
 });
+
+describe('KssBuilderHandlebars builder given --pseudo-states', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/handlebars-pseudo-states', '--builder', 'builder/handlebars', '--css', 'css/styles.css', '--pseudo-states']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'handlebars-pseudo-states', 'index.html'), 'utf8');
+    }).then(data => {
+      this.index = data;
+    });
+  });
+
+  it('should load the generated pseudo-class states instead of kss.js', function() {
+    expect(this.index).to.include('<link rel="stylesheet" href="kss-pseudo-states.css">');
+    expect(this.index).to.not.include('kss-assets/kss.js');
+  });
+});
+
+describe('KssBuilderHandlebars builder given a custom "Status" property', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures', 'test/output/handlebars-custom-status', '--builder', 'builder/handlebars', '--mask', 'property-status.less', '--custom', 'Status']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'handlebars-custom-status', 'section-status.html'), 'utf8');
+    }).then(data => {
+      this.page = data;
+    });
+  });
+
+  it('should not render a custom status as the built-in status', function() {
+    expect(this.page).to.include('Old button');
+    expect(this.page).to.not.include('kss-status--deprecated');
+    expect(this.page).to.not.include('<span class="kss-status__name"></span>');
+    expect(this.page).to.include('<span class="kss-status__name">experimental</span>');
+  });
+});
+
+describe('KssBuilderHandlebars builder given labelled lists', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures', 'test/output/handlebars-labelled-lists', '--builder', 'builder/handlebars', '--mask', 'property-labelled-lists.less']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'handlebars-labelled-lists', 'section-labelled.html'), 'utf8');
+    }).then(data => {
+      // Ignore the differences in white space between the builders.
+      this.page = data.replace(/\s+/g, ' ');
+    });
+  });
+
+  it('should render the labelled modifiers with the markup', function() {
+    expect(this.page).to.include('<div class="kss-modifier__name kss-style"> .card--large </div> <div class="kss-modifier__description kss-style"> A large card. </div>');
+    expect(this.page).to.include('<div class="kss-modifier__name kss-style"> .banner--dark </div>');
+  });
+
+  it('should render the labelled parameters as template variables', function() {
+    expect(this.page).to.include('<div class="kss-parameters__title">Template variables:</div>');
+    expect(this.page).to.include('<code>title</code> <span class="kss-parameters__type">string</span>');
+    expect(this.page).to.include('<code>text</code> <span class="kss-parameters__optional">optional</span>');
+  });
+
+  it('should list the labelled modifiers of a section without markup', function() {
+    expect(this.page).to.include('<div class="kss-parameters__title">Modifiers:</div> <ul class="kss-parameters"> <li class="kss-parameters__item"> <div class="kss-parameters__name"> <code>.spacing--tight</code> </div> <div class="kss-parameters__description"> Less space. </div>');
+  });
+});
@@ -18,7 +18,7 @@ describe('KssBuilderTwig builder', function() {
     return cli({
       stdout: stdout,
       stderr: stderr,
-      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/twig', '--builder', 'builder/twig', '--title', 'KssBuilderTwig Test Style Guide', '--verbose']
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/twig', '--builder', 'builder/twig', '--title', 'KssBuilderTwig Test Style Guide', '--source-code', '--verbose']
     }).then(() => {
       this.stdout = stdout.capturedData;
       return Promise.all(
@@ -48,7 +48,111 @@ describe('KssBuilderTwig builder', function() {
     });
   });
 
+  it('should load kss.js without the --pseudo-states option', function() {
+    expect(this.files['index']).to.include('<script src="kss-assets/kss.js"></script>');
+  });
+
   it('should render the --title option', function() {
     expect(this.files['index']).to.include('<title>KssBuilderTwig Test Style Guide</title>');
   });
+
+  it('should render the source code with the --source-code option', function() {
+    expect(this.files['section-4']).to.include('<details class="kss-source-code kss-style">');
+    expect(this.files['section-4']).to.include('<pre class="prettyprint linenums lang-css"><code data-language="css">.custom-properties {');
+  });
+
+  it('should render the colors as swatches', function() {
+    expect(this.files['section-4']).to.include('<div class="kss-colors__swatch" style="background-color: rgb(0, 102, 204);"></div>');
+    expect(this.files['section-4']).to.include('<code>--link-color</code>');
+    expect(this.files['section-4']).to.include('<span class="kss-colors__ratio">5.57:1</span> on white');
+    expect(this.files['section-4']).to.include('The primary color of the brand.');
+  });
+});
+
+describe('KssBuilderTwig builder given --pseudo-states', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures/with-include', 'test/output/twig-pseudo-states', '--builder', 'builder/twig', '--css', 'css/styles.css', '--pseudo-states']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'twig-pseudo-states', 'index.html'), 'utf8');
+    }).then(data => {
+      this.index = data;
+    });
+  });
+
+  it('should load the generated pseudo-class states instead of kss.js', function() {
+    expect(this.index).to.include('<link rel="stylesheet" href="kss-pseudo-states.css">');
+    expect(this.index).to.not.include('kss-assets/kss.js');
+  });
+});
+
+describe('KssBuilderTwig builder given a custom "Status" property', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures', 'test/output/twig-custom-status', '--builder', 'builder/twig', '--mask', 'property-status.less', '--custom', 'Status']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'twig-custom-status', 'section-status.html'), 'utf8');
+    }).then(data => {
+      this.page = data;
+    });
+  });
+
+  it('should not render a custom status as the built-in status', function() {
+    expect(this.page).to.include('Old button');
+    expect(this.page).to.not.include('kss-status--deprecated');
+    expect(this.page).to.not.include('<span class="kss-status__name"></span>');
+    expect(this.page).to.include('<span class="kss-status__name">experimental</span>');
+  });
+});
+
+describe('KssBuilderTwig builder given labelled lists', function() {
+  before(function() {
+    let stdout = new mockStream.MockWritableStream(),
+      stderr = new mockStream.MockWritableStream();
+
+    stdout.startCapture();
+    stderr.startCapture();
+
+    return cli({
+      stdout: stdout,
+      stderr: stderr,
+      argv: ['node', 'bin/kss', 'test/fixtures', 'test/output/twig-labelled-lists', '--builder', 'builder/twig', '--mask', 'property-labelled-lists.less']
+    }).then(() => {
+      return fs.readFileAsync(path.join(__dirname, 'output', 'twig-labelled-lists', 'section-labelled.html'), 'utf8');
+    }).then(data => {
+      // Ignore the differences in white space between the builders.
+      this.page = data.replace(/\s+/g, ' ');
+    });
+  });
+
+  it('should render the labelled modifiers with the markup', function() {
+    expect(this.page).to.include('<div class="kss-modifier__name kss-style"> .card--large </div> <div class="kss-modifier__description kss-style"> A large card. </div>');
+    expect(this.page).to.include('<div class="kss-modifier__name kss-style"> .banner--dark </div>');
+  });
+
+  it('should render the labelled parameters as template variables', function() {
+    expect(this.page).to.include('<div class="kss-parameters__title">Template variables:</div>');
+    expect(this.page).to.include('<code>title</code> <span class="kss-parameters__type">string</span>');
+    expect(this.page).to.include('<code>text</code> <span class="kss-parameters__optional">optional</span>');
+  });
+
+  it('should list the labelled modifiers of a section without markup', function() {
+    expect(this.page).to.include('<div class="kss-parameters__title">Modifiers:</div> <ul class="kss-parameters"> <li class="kss-parameters__item"> <div class="kss-parameters__name"> <code>.spacing--tight</code> </div> <div class="kss-parameters__description"> Less space. </div>');
+  });
 });
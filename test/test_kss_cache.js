@@ -0,0 +1,143 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('KssCache object API', function() {
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['path',
+    'load',
+    'save',
+    'hash',
+    'get',
+    'set'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(new kss.KssCache()).to.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('KssCache constructor', function() {
+    it('should initialize the data', function(done) {
+      let obj = new kss.KssCache();
+      expect(obj).to.have.property('meta');
+      expect(obj.meta).to.have.property('directory');
+      expect(obj).to.have.property('data');
+      expect(obj.data).to.have.property('version');
+      expect(obj.data).to.have.property('files');
+      done();
+    });
+  });
+
+  describe('.path()', function() {
+    it('should return an empty string for an in-memory cache', function(done) {
+      expect((new kss.KssCache()).path()).to.equal('');
+      done();
+    });
+
+    it('should return the path to the cache file', function(done) {
+      expect((new kss.KssCache('/tmp/cache')).path()).to.equal(path.join('/tmp/cache', 'kss-cache.json'));
+      done();
+    });
+  });
+
+  describe('.get()', function() {
+    it('should return false for an unknown file', function(done) {
+      let cache = new kss.KssCache();
+      expect(cache.get({path: '/tmp/file.css', contents: ''})).to.be.false;
+      done();
+    });
+
+    it('should return a copy of the stored data of an unchanged file', function(done) {
+      let cache = new kss.KssCache(),
+        sections = [{header: 'Section', reference: '1'}];
+      cache.set({path: '/tmp/file.css', contents: 'contents'}, 'options', sections);
+      let cached = cache.get({path: '/tmp/file.css', contents: 'contents'}, 'options');
+      expect(cached).to.deep.equal(sections);
+      expect(cached).to.not.equal(sections);
+      done();
+    });
+
+    it('should return false if the file has changed', function(done) {
+      let cache = new kss.KssCache();
+      cache.set({path: '/tmp/file.css', contents: 'contents'}, 'options', []);
+      expect(cache.get({path: '/tmp/file.css', contents: 'changed'}, 'options')).to.be.false;
+      done();
+    });
+
+    it('should return false if the file was parsed with different options', function(done) {
+      let cache = new kss.KssCache();
+      cache.set({path: '/tmp/file.css', contents: 'contents'}, 'options', []);
+      expect(cache.get({path: '/tmp/file.css', contents: 'contents'}, 'other options')).to.be.false;
+      done();
+    });
+  });
+
+  describe('.set()', function() {
+    it('should return itself', function(done) {
+      let cache = new kss.KssCache();
+      expect(cache.set({path: '/tmp/file.css', contents: ''}, '', [])).to.equal(cache);
+      done();
+    });
+  });
+
+  describe('.save() and .load()', function() {
+    let directory = path.resolve(__dirname, 'output', 'cache');
+
+    after(function() {
+      return fs.removeAsync(directory);
+    });
+
+    it('should do nothing for an in-memory cache', function() {
+      let cache = new kss.KssCache();
+      return cache.save().then(result => {
+        expect(result).to.equal(cache);
+        return cache.load();
+      }).then(result => {
+        expect(result).to.equal(cache);
+      });
+    });
+
+    it('should save the cache to disk and load it again', function() {
+      let cache = new kss.KssCache(directory),
+        sections = [{header: 'Section', reference: '1'}];
+      cache.set({path: '/tmp/file.css', contents: 'contents'}, '', sections);
+      return cache.save().then(() => {
+        let newCache = new kss.KssCache(directory);
+        return newCache.load();
+      }).then(newCache => {
+        expect(newCache.get({path: '/tmp/file.css', contents: 'contents'}, '')).to.deep.equal(sections);
+      });
+    });
+
+    it('should not save files that were not used since loading', function() {
+      let cache = new kss.KssCache(directory);
+      return cache.load().then(() => {
+        cache.set({path: '/tmp/other-file.css', contents: 'contents'}, '', []);
+        return cache.save();
+      }).then(() => {
+        return (new kss.KssCache(directory)).load();
+      }).then(newCache => {
+        expect(newCache.data.files).to.have.property('/tmp/other-file.css');
+        expect(newCache.data.files).to.not.have.property('/tmp/file.css');
+      });
+    });
+
+    it('should ignore a cache file from a different version of kss', function() {
+      return fs.writeFileAsync(path.join(directory, 'kss-cache.json'), JSON.stringify({version: '0.0.0', files: {'/tmp/file.css': {hash: '', data: []}}})).then(() => {
+        return (new kss.KssCache(directory)).load();
+      }).then(cache => {
+        expect(cache.data.files).to.deep.equal({});
+      });
+    });
+
+    it('should ignore a corrupt cache file', function() {
+      return fs.writeFileAsync(path.join(directory, 'kss-cache.json'), '{corrupt').then(() => {
+        return (new kss.KssCache(directory)).load();
+      }).then(cache => {
+        expect(cache.data.files).to.deep.equal({});
+      });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('KssColor object API', function() {
+  before(function() {
+    return helperUtils.traverseFixtures({mask: 'property-colors.less', markdown: false}).then(styleGuide => {
+      this.styleGuide = styleGuide;
+      this.section = styleGuide.sections('colors.brand');
+    });
+  });
+
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['section',
+    'name',
+    'value',
+    'description',
+    'channels',
+    'hex',
+    'rgb',
+    'contrast',
+    'toJSON'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(new kss.KssColor({})).to.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('KssColor constructor', function() {
+    it('should initialize the data', function(done) {
+      let obj = new kss.KssColor();
+      expect(obj).to.have.property('meta');
+      expect(obj.meta).to.have.property('section');
+      expect(obj).to.have.property('data');
+      expect(obj.data).to.have.property('name');
+      expect(obj.data).to.have.property('value');
+      expect(obj.data).to.have.property('description');
+      done();
+    });
+  });
+
+  describe('.section()', function() {
+    it('should return meta.section', function(done) {
+      this.section.colors().map(color => {
+        expect(color.section()).to.equal(color.meta.section).and.equal(this.section);
+      });
+      done();
+    });
+
+    it('should set meta.section if given a value', function(done) {
+      let section = new kss.KssSection({header: 'Section'}),
+        color = new kss.KssColor({name: 'original'});
+      expect(color.section(section)).to.deep.equal(color);
+      expect(color.meta.section).to.deep.equal(section);
+      expect(color.section()).to.deep.equal(color.meta.section);
+      done();
+    });
+  });
+
+  describe('.name()', function() {
+    it('should return data.name', function(done) {
+      this.section.colors().map(function(color) {
+        expect(color.name()).to.equal(color.data.name);
+      });
+      done();
+    });
+
+    it('should set data.name if given a value', function(done) {
+      let color = new kss.KssColor({name: 'original'});
+      expect(color.name('new')).to.deep.equal(color);
+      expect(color.data.name).to.equal('new');
+      done();
+    });
+  });
+
+  describe('.value()', function() {
+    it('should return data.value', function(done) {
+      this.section.colors().map(function(color) {
+        expect(color.value()).to.equal(color.data.value);
+      });
+      done();
+    });
+
+    it('should set data.value if given a value', function(done) {
+      let color = new kss.KssColor({value: '#000'});
+      expect(color.value('#fff')).to.deep.equal(color);
+      expect(color.data.value).to.equal('#fff');
+      done();
+    });
+  });
+
+  describe('.description()', function() {
+    it('should return data.description', function(done) {
+      this.section.colors().map(function(color) {
+        expect(color.description()).to.equal(color.data.description);
+      });
+      done();
+    });
+
+    it('should set data.description if given a value', function(done) {
+      let color = new kss.KssColor({description: 'original'});
+      expect(color.description('new')).to.deep.equal(color);
+      expect(color.data.description).to.equal('new');
+      done();
+    });
+  });
+
+  describe('.channels()', function() {
+    it('should convert hexadecimal values', function(done) {
+      expect(new kss.KssColor({value: '#0066cc'}).channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 1});
+      expect(new kss.KssColor({value: '#06C'}).channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 1});
+      expect(new kss.KssColor({value: '#0066cc80'}).channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 0.5});
+      done();
+    });
+
+    it('should convert rgb() and hsl() values', function(done) {
+      expect(new kss.KssColor({value: 'rgba(0, 102, 204, .25)'}).channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 0.25});
+      expect(new kss.KssColor({value: 'rgb(0 40% 80%)'}).channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 1});
+      expect(new kss.KssColor({value: 'hsl(210, 100%, 40%)'}).channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 1});
+      expect(new kss.KssColor({value: 'hsla(0, 0%, 100%, 0.5)'}).channels()).to.deep.equal({r: 255, g: 255, b: 255, a: 0.5});
+      done();
+    });
+
+    it('should use the value of another color of the section', function(done) {
+      expect(this.section.colors('$link-color').channels()).to.deep.equal({r: 0, g: 102, b: 204, a: 1});
+      let section = new kss.KssSection({colors: [{name: '$a', value: '$b'}, {name: '$b', value: '$a'}]});
+      expect(section.colors('$a').channels()).to.be.false;
+      done();
+    });
+
+    it('should return false for values that can not be converted', function(done) {
+      expect(this.section.colors('$brand-dark').channels()).to.be.false;
+      expect(new kss.KssColor({value: 'rgb(0, 102)'}).channels()).to.be.false;
+      expect(new kss.KssColor({value: '#0066c'}).channels()).to.be.false;
+      done();
+    });
+  });
+
+  describe('.hex()', function() {
+    it('should return the hexadecimal value', function(done) {
+      expect(this.section.colors('@brand-red').hex()).to.equal('#cc0000');
+      expect(this.section.colors('--brand-green').hex()).to.equal('#008000');
+      expect(this.section.colors('$brand-dark').hex()).to.be.false;
+      done();
+    });
+  });
+
+  describe('.rgb()', function() {
+    it('should return the rgb() value', function(done) {
+      expect(this.section.colors('$brand-blue').rgb()).to.equal('rgb(0, 102, 204)');
+      expect(this.section.colors('$brand-shadow').rgb()).to.equal('rgba(0, 0, 0, 0.5)');
+      expect(this.section.colors('$brand-dark').rgb()).to.be.false;
+      done();
+    });
+  });
+
+  describe('.contrast()', function() {
+    it('should return the contrast ratio against white by default', function(done) {
+      expect(this.section.colors('$brand-blue').contrast()).to.equal(5.57);
+      expect(new kss.KssColor({value: '#000'}).contrast()).to.equal(21);
+      done();
+    });
+
+    it('should return the contrast ratio against the given color', function(done) {
+      expect(this.section.colors('$brand-blue').contrast('#000')).to.equal(3.77);
+      expect(new kss.KssColor({value: '#777'}).contrast('#777')).to.equal(1);
+      expect(this.section.colors('$brand-blue').contrast('currentColor')).to.be.false;
+      done();
+    });
+  });
+
+  describe('.toJSON()', function() {
+    it('should return valid JSON object', function(done) {
+      this.section.colors().map(function(color) {
+        let str = JSON.stringify(color.toJSON());
+        expect(JSON.parse(str)).to.deep.equal(color.toJSON());
+      });
+      done();
+    });
+
+    it('should return data, the converted values and the contrast ratios', function(done) {
+      expect(this.section.colors('$brand-blue').toJSON()).to.deep.equal({
+        name: '$brand-blue',
+        value: '#0066cc',
+        description: 'The primary color of the brand.',
+        hex: '#0066cc',
+        rgb: 'rgb(0, 102, 204)',
+        contrast: {black: 3.77, white: 5.57}
+      });
+      expect(this.section.colors('$brand-dark').toJSON().contrast).to.be.false;
+      done();
+    });
+  });
+});
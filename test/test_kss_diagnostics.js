@@ -0,0 +1,126 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('KssDiagnostics object API', function() {
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['toJSON',
+    'add',
+    'error',
+    'warning',
+    'diagnostics',
+    'errors',
+    'warnings',
+    'hasErrors',
+    'report'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(new kss.KssDiagnostics()).to.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('KssDiagnostics constructor', function() {
+    it('should initialize the data', function(done) {
+      let obj = new kss.KssDiagnostics();
+      expect(obj).to.have.property('data');
+      expect(obj.data).to.have.property('diagnostics');
+      expect(obj.data.diagnostics).to.deep.equal([]);
+      done();
+    });
+
+    it('should add the given diagnostics', function(done) {
+      let obj = new kss.KssDiagnostics([{severity: 'error', rule: 'test', message: 'Test'}]);
+      expect(obj.data.diagnostics).to.deep.equal([{severity: 'error', rule: 'test', message: 'Test', file: '', line: 0}]);
+      done();
+    });
+  });
+
+  describe('.add()', function() {
+    it('should default to a warning', function(done) {
+      let obj = new kss.KssDiagnostics();
+      expect(obj.add({rule: 'test', message: 'Test'})).to.equal(obj);
+      expect(obj.data.diagnostics[0].severity).to.equal('warning');
+      done();
+    });
+  });
+
+  describe('.error()', function() {
+    it('should add an error', function(done) {
+      let obj = new kss.KssDiagnostics();
+      expect(obj.error('test', 'Test', {file: 'file.css', line: 2})).to.equal(obj);
+      expect(obj.data.diagnostics).to.deep.equal([{severity: 'error', rule: 'test', message: 'Test', file: 'file.css', line: 2}]);
+      done();
+    });
+  });
+
+  describe('.warning()', function() {
+    it('should add a warning', function(done) {
+      let obj = new kss.KssDiagnostics();
+      expect(obj.warning('test', 'Test')).to.equal(obj);
+      expect(obj.data.diagnostics).to.deep.equal([{severity: 'warning', rule: 'test', message: 'Test', file: '', line: 0}]);
+      done();
+    });
+  });
+
+  describe('.diagnostics()', function() {
+    it('should sort the diagnostics by file and line', function(done) {
+      let obj = new kss.KssDiagnostics();
+      obj.warning('test', 'B 10', {file: 'b.css', line: 10})
+        .warning('test', 'A 20', {file: 'a.css', line: 20})
+        .error('test', 'B 2', {file: 'b.css', line: 2})
+        .warning('test', 'A 3', {file: 'a.css', line: 3});
+      expect(obj.diagnostics().map(diagnostic => diagnostic.message)).to.deep.equal(['A 3', 'A 20', 'B 2', 'B 10']);
+      done();
+    });
+  });
+
+  describe('.errors(), .warnings() and .hasErrors()', function() {
+    it('should filter the diagnostics by severity', function(done) {
+      let obj = new kss.KssDiagnostics();
+      obj.warning('test', 'Warning');
+      expect(obj.hasErrors()).to.be.false;
+      obj.error('test', 'Error');
+      expect(obj.errors().map(diagnostic => diagnostic.message)).to.deep.equal(['Error']);
+      expect(obj.warnings().map(diagnostic => diagnostic.message)).to.deep.equal(['Warning']);
+      expect(obj.hasErrors()).to.be.true;
+      done();
+    });
+  });
+
+  describe('.report()', function() {
+    before(function() {
+      this.diagnostics = new kss.KssDiagnostics();
+      this.diagnostics
+        .error('duplicate-reference', 'Section 1 is declared more than once.', {file: 'a.css', line: 20})
+        .warning('empty-header', 'Section 2 has no header.', {file: 'a.css', line: 3})
+        .warning('other', 'A problem without a location.');
+    });
+
+    it('should create a text report by default', function(done) {
+      expect(this.diagnostics.report()).to.equal([
+        'warning: A problem without a location. [other]',
+        'a.css:3: warning: Section 2 has no header. [empty-header]',
+        'a.css:20: error: Section 1 is declared more than once. [duplicate-reference]',
+        '',
+        '1 error, 2 warnings'
+      ].join('\n'));
+      done();
+    });
+
+    it('should summarize an empty report', function(done) {
+      expect((new kss.KssDiagnostics()).report('text')).to.equal('0 errors, 0 warnings');
+      done();
+    });
+
+    it('should create a JSON report', function(done) {
+      let report = JSON.parse(this.diagnostics.report('json'));
+      expect(report.errorCount).to.equal(1);
+      expect(report.warningCount).to.equal(2);
+      expect(report.diagnostics).to.have.length(3);
+      expect(report.diagnostics[2]).to.deep.equal({severity: 'error', rule: 'duplicate-reference', message: 'Section 1 is declared more than once.', file: 'a.css', line: 20});
+      done();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('KssFakeData object API', function() {
+
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['seed',
+    'random',
+    'number',
+    'name',
+    'sentence',
+    'paragraph',
+    'date',
+    'image',
+    'list'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(new kss.KssFakeData()).to.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('.seed()', function() {
+    it('should generate the same data for the same seed', function(done) {
+      let fake = new kss.KssFakeData('card'),
+        data = [fake.name(), fake.sentence(), fake.date(), fake.number()];
+      expect(fake.seed('card')).to.equal(fake);
+      expect([fake.name(), fake.sentence(), fake.date(), fake.number()]).to.deep.equal(data);
+      fake = new kss.KssFakeData('card');
+      expect([fake.name(), fake.sentence(), fake.date(), fake.number()]).to.deep.equal(data);
+      done();
+    });
+
+    it('should generate different data for different seeds', function(done) {
+      let one = new kss.KssFakeData('1.1'),
+        two = new kss.KssFakeData('1.2');
+      expect(one.paragraph()).to.not.equal(two.paragraph());
+      done();
+    });
+  });
+
+  describe('.random()', function() {
+    it('should return numbers from 0 up to 1', function(done) {
+      let fake = new kss.KssFakeData('random');
+      for (let i = 0; i < 100; i++) {
+        let number = fake.random();
+        expect(number).to.be.at.least(0);
+        expect(number).to.be.below(1);
+      }
+      done();
+    });
+  });
+
+  describe('.number()', function() {
+    it('should return a whole number in the given range', function(done) {
+      let fake = new kss.KssFakeData('number');
+      for (let i = 0; i < 100; i++) {
+        let number = fake.number(5, 7);
+        expect(number).to.be.within(5, 7);
+        expect(number % 1).to.equal(0);
+      }
+      expect(fake.number()).to.be.within(0, 100);
+      done();
+    });
+  });
+
+  describe('.name()', function() {
+    it('should return a full name', function(done) {
+      expect(new kss.KssFakeData('card').name()).to.equal('Amara Abara');
+      done();
+    });
+  });
+
+  describe('.sentence()', function() {
+    it('should return a sentence with the given number of words', function(done) {
+      let sentence = new kss.KssFakeData('sentence').sentence(5);
+      expect(sentence).to.match(/^[A-Z][a-z]*( [a-z]+){4}\.$/);
+      done();
+    });
+  });
+
+  describe('.paragraph()', function() {
+    it('should return a paragraph with the given number of sentences', function(done) {
+      let paragraph = new kss.KssFakeData('paragraph').paragraph(3);
+      expect(paragraph.match(/\./g)).to.have.length(3);
+      done();
+    });
+  });
+
+  describe('.date()', function() {
+    it('should return a date in the given range', function(done) {
+      let fake = new kss.KssFakeData('date');
+      for (let i = 0; i < 20; i++) {
+        let date = fake.date('2020-02-27', '2020-03-02');
+        expect(date).to.match(/^\d{4}-\d\d-\d\d$/);
+        expect(['2020-02-27', '2020-02-28', '2020-02-29', '2020-03-01', '2020-03-02']).to.include(date);
+      }
+      done();
+    });
+  });
+
+  describe('.image()', function() {
+    it('should return the data URI of an SVG image', function(done) {
+      let image = new kss.KssFakeData('image').image(300, 100),
+        svg = decodeURIComponent(image.replace('data:image/svg+xml,', ''));
+      expect(image.indexOf('data:image/svg+xml,')).to.equal(0);
+      expect(image).to.not.match(/["'<># ]/);
+      expect(svg).to.include('width="300" height="100"');
+      expect(svg).to.include('>300×100</text>');
+      done();
+    });
+
+    it('should escape the text of the image', function(done) {
+      let svg = decodeURIComponent(new kss.KssFakeData('image').image(300, 100, 'Cats & <dogs>'));
+      expect(svg).to.include('>Cats &amp; &lt;dogs&gt;</text>');
+      done();
+    });
+  });
+
+  describe('.list()', function() {
+    it('should return a list of the given type of data', function(done) {
+      let fake = new kss.KssFakeData('list'),
+        list = fake.list(3, 'sentence', 2);
+      expect(list).to.have.length(3);
+      list.forEach(sentence => {
+        expect(sentence).to.match(/^[A-Z][a-z]* [a-z]+\.$/);
+      });
+      expect(fake.list(3)).to.deep.equal([0, 1, 2]);
+      done();
+    });
+
+    it('should throw an error given an unknown type', function(done) {
+      expect(() => {
+        new kss.KssFakeData().list(3, 'seed');
+      }).to.throw('Unknown type of fake data: seed');
+      done();
+    });
+  });
+});
@@ -14,6 +14,7 @@ describe('KssModifier object API', function() {
     'name',
     'description',
     'className',
+    'attributes',
     'markup',
     'toJSON'
   ].forEach(function(method) {
@@ -33,6 +34,7 @@ describe('KssModifier object API', function() {
       expect(obj.data).to.have.property('name');
       expect(obj.data).to.have.property('description');
       expect(obj.data).to.have.property('className');
+      expect(obj.data).to.have.property('attributes');
       done();
     });
 
@@ -155,6 +157,12 @@ describe('KssModifier object API', function() {
       done();
     });
 
+    it('should ignore attribute selectors', function(done) {
+      expect(new kss.KssModifier({name: '.menu[data-state="open"]:hover'}).className()).to.equal('menu pseudo-class-hover');
+      expect(new kss.KssModifier({name: '[data-label="a.b c"]'}).className()).to.equal('');
+      done();
+    });
+
     it('should set data.className if given a value', function(done) {
       let modifier = new kss.KssModifier({name: '.original'});
       modifier.className('new');
@@ -170,6 +178,30 @@ describe('KssModifier object API', function() {
     });
   });
 
+  describe('.attributes()', function() {
+    it('should convert attribute selectors to HTML attributes', function(done) {
+      expect(new kss.KssModifier({name: '[disabled]'}).attributes()).to.equal('disabled');
+      expect(new kss.KssModifier({name: '.menu[data-state="open"][aria-expanded=true]'}).attributes()).to.equal('data-state="open" aria-expanded="true"');
+      expect(new kss.KssModifier({name: '[class^=\'icon-\' i]'}).attributes()).to.equal('class="icon-"');
+      expect(new kss.KssModifier({name: '[title=\'Say "hi"\']'}).attributes()).to.equal('title="Say &quot;hi&quot;"');
+      expect(new kss.KssModifier({name: '.primary'}).attributes()).to.equal('');
+      done();
+    });
+
+    it('should only use the first parent selector', function(done) {
+      expect(new kss.KssModifier({name: '[title="a b"] .child[hidden]'}).attributes()).to.equal('title="a b"');
+      done();
+    });
+
+    it('should set data.attributes if given a value', function(done) {
+      let modifier = new kss.KssModifier({name: '[hidden]'});
+      expect(modifier.attributes('data-new')).to.deep.equal(modifier);
+      expect(modifier.data.attributes).to.equal('data-new');
+      expect(modifier.attributes()).to.equal(modifier.data.attributes);
+      done();
+    });
+  });
+
   describe('.markup()', function() {
     it('should return an unfiltered meta.section.markup', function(done) {
       this.styleGuide.data.sections.map(function(section) {
@@ -219,6 +251,7 @@ describe('KssModifier object API', function() {
           expect(json.name).to.equal(modifier.data.name);
           expect(json.description).to.equal(modifier.data.description);
           expect(json.className).to.equal(modifier.className());
+          expect(json.attributes).to.equal(modifier.attributes());
         });
       });
       done();
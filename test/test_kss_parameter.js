@@ -12,8 +12,10 @@ describe('KssParameter object API', function() {
   /* eslint-disable guard-for-in,no-loop-func */
   ['section',
     'name',
+    'type',
     'description',
     'defaultValue',
+    'optional',
     'toJSON'
   ].forEach(function(method) {
     it('has ' + method + '() method', function(done) {
@@ -31,7 +33,9 @@ describe('KssParameter object API', function() {
       expect(obj).to.have.property('data');
       expect(obj.data).to.have.property('name');
       expect(obj.data).to.have.property('description');
+      expect(obj.data).to.have.property('type');
       expect(obj.data).to.have.property('defaultValue');
+      expect(obj.data).to.have.property('optional');
       done();
     });
   });
@@ -139,6 +143,26 @@ describe('KssParameter object API', function() {
     });
   });
 
+  describe('.type()', function() {
+    it('should set data.type if given a value', function(done) {
+      let parameter = new kss.KssParameter({type: 'length'});
+      expect(parameter.type()).to.equal('length');
+      expect(parameter.type('color')).to.deep.equal(parameter);
+      expect(parameter.data.type).to.equal('color');
+      done();
+    });
+  });
+
+  describe('.optional()', function() {
+    it('should set data.optional if given a value', function(done) {
+      let parameter = new kss.KssParameter();
+      expect(parameter.optional()).to.be.false;
+      expect(parameter.optional(1)).to.deep.equal(parameter);
+      expect(parameter.data.optional).to.be.true;
+      done();
+    });
+  });
+
   describe('.toJSON()', function() {
     it('should return valid JSON object', function(done) {
       this.styleGuide.data.sections.map(function(section) {
@@ -159,7 +183,9 @@ describe('KssParameter object API', function() {
         section.parameters().map(function(parameter) {
           let json = parameter.toJSON();
           expect(json.name).to.equal(parameter.data.name);
+          expect(json.type).to.equal(parameter.data.type);
           expect(json.defaultValue).to.equal(parameter.data.defaultValue);
+          expect(json.optional).to.equal(parameter.data.optional);
           expect(json.description).to.equal(parameter.data.description);
         });
       });
@@ -17,14 +17,22 @@ describe('KssSection object API', function() {
     'description',
     'deprecated',
     'experimental',
+    'status',
     'reference',
     'referenceNumber',
     'referenceURI',
     'weight',
     'depth',
     'markup',
+    'examples',
+    'metadata',
+    'source',
     'modifiers',
+    'modifierGroups',
+    'combinations',
+    'combinationCount',
     'parameters',
+    'colors',
     'toJSON'
   ].forEach(function(method) {
     it('has ' + method + '() method', function(done) {
@@ -47,29 +55,39 @@ describe('KssSection object API', function() {
       expect(obj.data).to.have.property('description');
       expect(obj.data).to.have.property('deprecated');
       expect(obj.data).to.have.property('experimental');
+      expect(obj.data).to.have.property('status');
       expect(obj.data).to.have.property('reference');
       expect(obj.data).to.have.property('referenceNumber');
       expect(obj.data).to.have.property('referenceURI');
       expect(obj.data).to.have.property('weight');
       expect(obj.data).to.have.property('markup');
+      expect(obj.data).to.have.property('examples');
+      expect(obj.data).to.have.property('metadata');
+      expect(obj.data).to.have.property('source');
       expect(obj.data).to.have.property('modifiers');
+      expect(obj.data).to.have.property('modifierGroups');
       expect(obj.data).to.have.property('parameters');
+      expect(obj.data).to.have.property('colors');
       done();
     });
 
-    it('should set itself as parent of modifier and parameter objects', function(done) {
+    it('should set itself as parent of modifier, parameter and color objects', function(done) {
       let section,
         modifier = new kss.KssModifier({name: 'modifier'}),
-        parameter = new kss.KssParameter({name: '$parameter'});
+        parameter = new kss.KssParameter({name: '$parameter'}),
+        color = new kss.KssColor({name: '$color'});
       section = new kss.KssSection({
         header: 'Section',
         modifiers: [modifier],
-        parameters: [parameter]
+        parameters: [parameter],
+        colors: [color]
       });
       expect(modifier.section()).to.deep.equal(section);
       expect(parameter.section()).to.deep.equal(section);
+      expect(color.section()).to.deep.equal(section);
       expect(section.modifiers()[0]).to.deep.equal(modifier);
       expect(section.parameters()[0]).to.deep.equal(parameter);
+      expect(section.colors()[0]).to.deep.equal(color);
       done();
     });
   });
@@ -104,6 +122,23 @@ describe('KssSection object API', function() {
       done();
     });
 
+    it('should link the replacement of the section', function(done) {
+      let styleGuide = new kss.KssStyleGuide({sections: [
+        {header: 'Old', reference: '1.1', status: {name: 'deprecated', replacement: '1.2'}},
+        {header: 'New', reference: '1.2', status: {name: 'stable', replacement: '1.3'}}
+      ]});
+      expect(styleGuide.sections('1.1').toJSON().status).to.deep.equal({
+        name: 'deprecated',
+        since: '',
+        replacement: '1.2',
+        reason: '',
+        replacementHeader: 'New',
+        replacementURI: '1-2'
+      });
+      expect(styleGuide.sections('1.2').toJSON().status).to.not.have.property('replacementURI');
+      done();
+    });
+
     it('should return custom properties', function(done) {
       this.styleGuide.sections().map(function(section) {
         let json = section.toJSON();
@@ -216,6 +251,20 @@ describe('KssSection object API', function() {
       done();
     });
 
+    it('should keep a custom property named after a built-in property apart from it', function(done) {
+      let section = new kss.KssSection({header: 'Palette', customData: {colors: 'Brand colors'}});
+      expect(section.custom('colors')).to.equal('Brand colors');
+      expect(section.colors()).to.deep.equal([]);
+      expect(section.toJSON().colors).to.equal('Brand colors');
+      section.custom('weight', 'Heavy');
+      expect(section.custom('weight')).to.equal('Heavy');
+      expect(section.weight()).to.equal(0);
+      section.custom('status', 'Reviewed');
+      expect(section.custom('status')).to.equal('Reviewed');
+      expect(section.status().name).to.equal('stable');
+      done();
+    });
+
     it('should set update the style guide\'s meta.customPropertyNames[] if given a value', function(done) {
       let styleGuide = new kss.KssStyleGuide(),
         section = new kss.KssSection();
@@ -292,6 +341,59 @@ describe('KssSection object API', function() {
     });
   });
 
+  describe('.status()', function() {
+    it('should return data.status', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.status()).to.equal(section.data.status);
+      });
+      done();
+    });
+
+    it('should set data.status if given a value', function(done) {
+      let section = new kss.KssSection();
+      expect(section.data.status.name).to.equal('stable');
+      section.status({name: 'deprecated', since: '3.0', replacement: '1.2'});
+      expect(section.data.status).to.deep.equal({name: 'deprecated', since: '3.0', replacement: '1.2', reason: ''});
+      section.status('draft');
+      expect(section.status()).to.deep.equal({name: 'draft', since: '', replacement: '', reason: ''});
+      done();
+    });
+
+    it('should set the deprecated and experimental flags', function(done) {
+      let section = new kss.KssSection({status: 'deprecated'});
+      expect(section.deprecated()).to.be.true;
+      expect(section.experimental()).to.be.false;
+      section.status('experimental');
+      expect(section.deprecated()).to.be.false;
+      expect(section.experimental()).to.be.true;
+      section.experimental(false);
+      expect(section.status().name).to.equal('stable');
+      section.deprecated(true);
+      expect(section.status().name).to.equal('deprecated');
+      done();
+    });
+
+    it('should throw an error given an unknown status', function(done) {
+      expect(() => {
+        new kss.KssSection().status('obsolete');
+      }).to.throw('Unknown status of section: obsolete');
+      done();
+    });
+
+    it('should return itself if given a value', function(done) {
+      let section = new kss.KssSection();
+      expect(section.status('removed')).to.deep.equal(section);
+      done();
+    });
+  });
+
+  describe('.statuses()', function() {
+    it('should return the statuses in the order of the lifecycle', function(done) {
+      expect(kss.KssSection.statuses()).to.deep.equal(['draft', 'experimental', 'stable', 'deprecated', 'removed']);
+      done();
+    });
+  });
+
   describe('.reference()', function() {
     it('should return data.reference', function(done) {
       this.styleGuide.sections().map(function(section) {
@@ -421,6 +523,88 @@ describe('KssSection object API', function() {
     });
   });
 
+  describe('.examples()', function() {
+    it('should return data.examples', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.examples()).to.equal(section.data.examples);
+      });
+      done();
+    });
+
+    it('should set data.examples if given a value', function(done) {
+      let section = new kss.KssSection({header: 'original'});
+      section.examples([{name: 'with icon', markup: 'button-icon.hbs'}]);
+      expect(section.data.examples).to.deep.equal([{name: 'with icon', markup: 'button-icon.hbs'}]);
+      done();
+    });
+
+    it('should give each example a referenceURI in the JSON', function(done) {
+      let section = new kss.KssSection({header: 'Buttons', reference: '2.1', examples: [{name: 'With icon', markup: 'button-icon.hbs'}]});
+      expect(section.toJSON().examples).to.deep.equal([{name: 'With icon', markup: 'button-icon.hbs', referenceURI: '2-1--with-icon'}]);
+      done();
+    });
+
+    it('should return itself if given a value', function(done) {
+      let section = new kss.KssSection({header: 'original'});
+      expect(section.examples([])).to.deep.equal(section);
+      done();
+    });
+  });
+
+  describe('.source()', function() {
+    it('should return data.source', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.source()).to.equal(section.data.source);
+      });
+      done();
+    });
+
+    it('should set data.source if given a value', function(done) {
+      let section = new kss.KssSection(),
+        source = {code: '.a {}', selectors: ['.a'], customProperties: {declared: [], used: []}, variables: []};
+      expect(section.source()).to.be.false;
+      expect(section.source(source)).to.deep.equal(section);
+      expect(section.data.source).to.equal(source);
+      expect(section.toJSON().source).to.equal(source);
+      done();
+    });
+  });
+
+  describe('.metadata()', function() {
+    it('should return data.metadata', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.metadata()).to.equal(section.data.metadata);
+      });
+      done();
+    });
+
+    it('should return a metadata property if given a string', function(done) {
+      let section = new kss.KssSection({metadata: {tags: ['button', 'form']}});
+      expect(section.metadata('tags')).to.deep.equal(['button', 'form']);
+      expect(section.metadata('missing')).to.not.exist;
+      done();
+    });
+
+    it('should add to data.metadata if given an object', function(done) {
+      let section = new kss.KssSection({metadata: {tags: ['button'], status: 'stable'}});
+      section.metadata({status: 'deprecated', owners: ['Design systems']});
+      expect(section.data.metadata).to.deep.equal({tags: ['button'], status: 'deprecated', owners: ['Design systems']});
+      done();
+    });
+
+    it('should return itself if given an object', function(done) {
+      let section = new kss.KssSection();
+      expect(section.metadata({status: 'stable'})).to.deep.equal(section);
+      done();
+    });
+
+    it('should be included in the JSON object', function(done) {
+      let section = new kss.KssSection({metadata: {links: {figma: 'https://example.com'}}});
+      expect(section.toJSON().metadata).to.deep.equal({links: {figma: 'https://example.com'}});
+      done();
+    });
+  });
+
   describe('.modifiers()', function() {
     it('should return data.modifiers', function(done) {
       this.styleGuide.sections().map(function(section) {
@@ -553,4 +737,109 @@ describe('KssSection object API', function() {
       done();
     });
   });
+
+  describe('.colors()', function() {
+    it('should return data.colors', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.colors()).to.equal(section.data.colors);
+      });
+      done();
+    });
+
+    it('should return array of KssColor', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        section.colors().map(function(color) {
+          expect(color).to.be.instanceof(kss.KssColor);
+        });
+      });
+      done();
+    });
+
+    it('should add to data.colors if given a value', function(done) {
+      let section = new kss.KssSection({header: 'original'}),
+        color = new kss.KssColor({name: '$color'});
+      section.colors(color);
+      expect(section.data.colors[0]).to.deep.equal(color);
+      expect(section.colors()).to.equal(section.data.colors);
+      done();
+    });
+
+    it('should return the color with the given name', function(done) {
+      let section = new kss.KssSection({header: 'original', colors: [{name: '$color1'}, {name: '$color2'}]});
+      expect(section.colors('$color2')).to.equal(section.data.colors[1]);
+      expect(section.colors('$color3')).to.be.false;
+      done();
+    });
+
+    it('should return itself if given a value', function(done) {
+      let section = new kss.KssSection({header: 'original'}),
+        color = new kss.KssColor();
+      expect(section.colors(color)).to.deep.equal(section);
+      done();
+    });
+  });
+
+  describe('.modifierGroups()', function() {
+    it('should return data.modifierGroups', function(done) {
+      this.styleGuide.sections().map(function(section) {
+        expect(section.modifierGroups()).to.equal(section.data.modifierGroups);
+      });
+      done();
+    });
+
+    it('should set data.modifierGroups if given a value', function(done) {
+      let section = new kss.KssSection({header: 'original'});
+      section.modifierGroups([{name: 'size', modifiers: ['.small', '.large']}, {modifiers: [':hover']}]);
+      expect(section.data.modifierGroups).to.deep.equal([{name: 'size', modifiers: ['.small', '.large']}, {name: '', modifiers: [':hover']}]);
+      done();
+    });
+
+    it('should return itself if given a value', function(done) {
+      let section = new kss.KssSection({header: 'original'});
+      expect(section.modifierGroups([])).to.deep.equal(section);
+      done();
+    });
+  });
+
+  describe('.combinations()', function() {
+    before(function() {
+      this.section = new kss.KssSection({
+        header: 'Buttons',
+        modifiers: [{name: '.small'}, {name: '.large'}, {name: '.primary'}, {name: ':hover'}],
+        modifierGroups: [
+          {name: 'size', modifiers: ['.small', '.large']},
+          {name: 'variant', modifiers: ['.primary', '.unknown']},
+          {name: 'state', modifiers: [':hover']}
+        ]
+      });
+    });
+
+    it('should combine one modifier of two or more groups', function(done) {
+      let combinations = this.section.combinations().map(combination => combination.map(modifier => modifier.name()));
+      expect(combinations).to.deep.equal([
+        ['.primary', ':hover'],
+        ['.small', ':hover'],
+        ['.small', '.primary'],
+        ['.small', '.primary', ':hover'],
+        ['.large', ':hover'],
+        ['.large', '.primary'],
+        ['.large', '.primary', ':hover']
+      ]);
+      expect(this.section.combinationCount()).to.equal(7);
+      done();
+    });
+
+    it('should return at most the given number of combinations', function(done) {
+      expect(this.section.combinations(3)).to.have.length(3);
+      expect(this.section.combinationCount()).to.equal(7);
+      done();
+    });
+
+    it('should return no combinations without modifier groups', function(done) {
+      let section = new kss.KssSection({header: 'Buttons', modifiers: [{name: '.small'}]});
+      expect(section.combinations()).to.deep.equal([]);
+      expect(section.combinationCount()).to.equal(0);
+      done();
+    });
+  });
 });
@@ -0,0 +1,232 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+const EventEmitter = require('events'),
+  http = require('http'),
+  KssBuilderBase = require('../builder/base');
+
+describe('KssServer object API', function() {
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['writeFile',
+    'listen',
+    'url',
+    'sendEvent',
+    'close'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(new kss.KssServer()).to.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('KssServer constructor', function() {
+    it('should initialize the data', function(done) {
+      let obj = new kss.KssServer();
+      expect(obj).to.have.property('meta');
+      expect(obj.meta.port).to.equal(8080);
+      expect(obj.meta.host).to.equal('localhost');
+      expect(obj).to.have.property('files');
+      done();
+    });
+
+    it('should save the builder\'s files in memory', function(done) {
+      let builder = new KssBuilderBase(),
+        obj = new kss.KssServer(builder);
+      builder.addOptions({destination: 'test/output/server'});
+      builder.writeFile(path.resolve('test/output/server/page.html'), '<body></body>').then(() => {
+        expect(obj.files).to.have.property('/page.html');
+        expect(obj.files['/page.html']).to.include('EventSource');
+        done();
+      });
+    });
+  });
+
+  describe('live reload clients', function() {
+    it('should only remove the client whose connection closed', function(done) {
+      let obj = new kss.KssServer(new KssBuilderBase()),
+        connect = () => {
+          let request = new EventEmitter();
+          request.url = '/kss-live-reload';
+          obj.handleRequest(request, {writeHead: () => {}, write: () => {}, end: () => {}});
+          return request;
+        },
+        first = connect(),
+        second = connect();
+      first.emit('close');
+      first.emit('close');
+      expect(obj.meta.clients).to.have.length(1);
+      obj.close().then(() => {
+        second.emit('close');
+        expect(obj.meta.clients).to.deep.equal([]);
+        done();
+      });
+    });
+  });
+
+  describe('live reload events', function() {
+    it('should send a css event for a new stylesheet matching the mask', function(done) {
+      let obj = new kss.KssServer(new KssBuilderBase()),
+        events = [];
+      obj.meta.watcher = {options: {mask: '*.scss|*.html'}};
+      obj.sendEvent = event => {
+        events.push(event);
+      };
+      obj.notifyChanges({meta: {files: []}}, [path.resolve('added.scss')]);
+      expect(events).to.deep.equal(['css']);
+      done();
+    });
+  });
+
+  describe('kss serve', function() {
+    before(function() {
+      this.source = path.resolve(__dirname, 'output', 'serve', 'source');
+      this.destination = path.resolve(__dirname, 'output', 'serve', 'style-guide');
+      this.log = '';
+
+      // Requests a page from the server.
+      this.get = urlPath => {
+        return new Promise((resolve, reject) => {
+          http.get(this.server.url() + urlPath.replace(/^\//, ''), response => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+              body += chunk;
+            });
+            response.on('end', () => {
+              resolve({statusCode: response.statusCode, contentType: response.headers['content-type'], body: body});
+            });
+          }).on('error', reject);
+        });
+      };
+      // Replace fs.watch so the tests decide when a change is reported,
+      // instead of depending on the timing of the file system's events.
+      this.fsWatch = fs.watch;
+      this.listeners = {};
+      fs.watch = (directory, listener) => {
+        this.listeners[directory] = listener;
+        return {close: () => {}};
+      };
+      // Changes a source file and resolves to the next live reload event.
+      this.changeFile = (fileName, contents) => {
+        let file = path.join(this.source, fileName);
+        return new Promise((resolve, reject) => {
+          let events = '';
+          http.get(this.server.url() + 'kss-live-reload', response => {
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+              events += chunk;
+            });
+            // Give the events time to arrive after the rebuild.
+            this.server.meta.watcher.once('build', () => {
+              setTimeout(() => {
+                response.destroy();
+                resolve(events);
+              }, 50);
+            });
+            fs.writeFileAsync(file, contents).then(() => {
+              this.listeners[this.source]('change', fileName);
+            });
+          }).on('error', reject);
+        });
+      };
+
+      return fs.copyAsync(helperUtils.fixtures('source-handlebars-builder-test'), this.source).then(() => {
+        return kss({
+          logFunction: message => {
+            this.log += message + '\n';
+          },
+          logErrorFunction: error => {
+            this.log += error + '\n';
+          },
+          source: this.source,
+          destination: this.destination,
+          serve: true,
+          port: 0
+        });
+      }).then(server => {
+        this.server = server;
+        this.server.meta.watcher.meta.delay = 0;
+      });
+    });
+
+    after(function() {
+      fs.watch = this.fsWatch;
+      return this.server.close();
+    });
+
+    it('should resolve to a KssServer object', function() {
+      expect(this.server).to.be.instanceOf(kss.KssServer);
+      expect(this.log).to.include('Serving the style guide at ' + this.server.url());
+    });
+
+    it('should not write the style guide to disk', function() {
+      return fs.statAsync(this.destination).then(() => {
+        throw new Error('The destination exists.');
+      }, error => {
+        expect(error.code).to.equal('ENOENT');
+      });
+    });
+
+    it('should serve the homepage with the live reload client', function() {
+      return this.get('/').then(result => {
+        expect(result.statusCode).to.equal(200);
+        expect(result.contentType).to.equal('text/html');
+        expect(result.body).to.include('kss-live-reload');
+      });
+    });
+
+    it('should serve the builder\'s kss-assets', function() {
+      return this.get('/kss-assets/kss.css').then(result => {
+        expect(result.statusCode).to.equal(200);
+        expect(result.contentType).to.equal('text/css');
+      });
+    });
+
+    it('should serve the files of a relative destination from disk', function() {
+      // Builders normally resolve their paths, so set the option directly.
+      let builder = this.server.builder;
+      builder.options.destination = path.relative(process.cwd(), this.destination);
+      return fs.outputFileAsync(path.join(this.destination, 'extra.css'), '.extra {}').then(() => {
+        return this.get('/extra.css');
+      }).then(result => {
+        expect(result.statusCode).to.equal(200);
+        expect(result.body).to.equal('.extra {}');
+      }).finally(() => {
+        builder.options.destination = this.destination;
+        return fs.removeAsync(this.destination);
+      });
+    });
+
+    it('should return a 404 for missing files', function() {
+      return this.get('/missing.html').then(result => {
+        expect(result.statusCode).to.equal(404);
+      });
+    });
+
+    it('should not serve files outside of the destination', function() {
+      return this.get('/kss-assets/../../package.json').then(result => {
+        expect(result.statusCode).to.equal(404);
+      });
+    });
+
+    it('should reload the pages affected by a changed template', function() {
+      return this.changeFile('1c.hbs', '<div>Served template</div>').then(events => {
+        expect(events).to.include('event: reload\ndata: ["/section-1.html"]');
+        return this.get('/section-1.html');
+      }).then(result => {
+        expect(result.body).to.include('Served template');
+      });
+    });
+
+    it('should only reload the CSS if a stylesheet changed without changing its KSS comments', function() {
+      return fs.readFileAsync(path.join(this.source, 'kss-source.scss'), 'utf8').then(contents => {
+        return this.changeFile('kss-source.scss', contents + '\n.served { color: red; }\n');
+      }).then(events => {
+        expect(events).to.include('event: css');
+        expect(events).to.not.include('event: reload');
+      });
+    });
+  });
+});
@@ -38,6 +38,8 @@ describe('KssStyleGuide object API', function() {
       let obj = new kss.KssStyleGuide();
       expect(obj).to.have.property('meta');
       expect(obj.meta).to.have.property('autoInit');
+      expect(obj.meta).to.have.property('diagnostics');
+      expect(obj.meta).to.have.property('duplicates');
       expect(obj.meta).to.have.property('files');
       expect(obj.meta).to.have.property('hasNumericReferences');
       expect(obj.meta).to.have.property('needsDepth');
@@ -77,8 +79,19 @@ describe('KssStyleGuide object API', function() {
             experimental: false,
             header: 'example',
             markup: '<div class="example">lorem ipsum</div>',
+            metadata: {},
+            source: false,
+            status: {
+              name: 'stable',
+              since: '1.0',
+              replacement: '',
+              reason: ''
+            },
             modifiers: [],
+            modifierGroups: [],
+            examples: [],
             parameters: [],
+            colors: [],
             reference: '1.1',
             referenceNumber: '1.1',
             referenceURI: '1-1',
@@ -219,6 +232,88 @@ describe('KssStyleGuide object API', function() {
       });
     });
 
+    context('given sections with duplicate references', function() {
+      before(function() {
+        this.createStyleGuide = (duplicates, diagnostics) => {
+          return new kss.KssStyleGuide({
+            duplicates: duplicates,
+            diagnostics: diagnostics,
+            sections: [{
+              header: 'First',
+              description: 'First description',
+              reference: '1.1',
+              modifiers: [{name: '.first', description: 'First modifier'}],
+              examples: [{name: 'large', markup: '<div class="large"></div>'}],
+              sourceFile: {name: 'first.scss', path: '/first.scss', line: 3}
+            }]
+          });
+        };
+        this.duplicateSection = {
+          header: 'Second',
+          description: 'Second description',
+          reference: '1.1',
+          markup: '<div class="{{modifier_class}}"></div>',
+          modifiers: [{name: '.first', description: 'Other modifier'}, {name: '.second', description: 'Second modifier'}],
+          examples: [{name: 'large', markup: 'other.hbs'}, {name: 'small', markup: 'small.hbs'}],
+          sourceFile: {name: 'second.scss', path: '/second.scss', line: 7}
+        };
+      });
+
+      it('should warn and keep both sections given "warn"', function() {
+        let diagnostics = new kss.KssDiagnostics(),
+          styleGuide = this.createStyleGuide('warn', diagnostics);
+        styleGuide.sections(this.duplicateSection);
+        expect(styleGuide.data.sections).to.have.length(2);
+        expect(styleGuide.sections('1.1').header()).to.equal('Second');
+        expect(diagnostics.diagnostics()).to.deep.equal([{
+          severity: 'warning',
+          rule: 'duplicate-reference',
+          message: 'Section 1.1 is declared more than once: /first.scss:3, /second.scss:7.',
+          file: '/second.scss',
+          line: 7
+        }]);
+      });
+
+      it('should report an error and keep the first section given "error"', function() {
+        let diagnostics = new kss.KssDiagnostics(),
+          styleGuide = this.createStyleGuide('error', diagnostics);
+        styleGuide.sections(this.duplicateSection);
+        expect(styleGuide.data.sections).to.have.length(1);
+        expect(styleGuide.sections('1.1').header()).to.equal('First');
+        expect(diagnostics.errors()).to.have.length(1);
+        expect(diagnostics.errors()[0].rule).to.equal('duplicate-reference');
+      });
+
+      it('should throw an error given "error" and no diagnostics', function() {
+        let styleGuide = this.createStyleGuide('error');
+        expect(() => {
+          styleGuide.sections(this.duplicateSection);
+        }).to.throw('Section 1.1 is declared more than once: /first.scss:3, /second.scss:7.');
+      });
+
+      it('should merge the sections given "merge"', function() {
+        let styleGuide = this.createStyleGuide('merge');
+        styleGuide.sections(this.duplicateSection);
+        expect(styleGuide.data.sections).to.have.length(1);
+        let section = styleGuide.sections('1.1');
+        expect(section.header()).to.equal('First');
+        expect(section.description()).to.equal('First description\nSecond description');
+        expect(section.markup()).to.equal('<div class="{{modifier_class}}"></div>');
+        expect(section.modifiers().map(modifier => modifier.description())).to.deep.equal(['First modifier', 'Second modifier']);
+        expect(section.examples()).to.deep.equal([{name: 'large', markup: '<div class="large"></div>'}, {name: 'small', markup: 'small.hbs'}]);
+        expect(section.custom('sourceFile').path).to.equal('/first.scss');
+      });
+
+      it('should ignore the new section given "keep-first"', function() {
+        let diagnostics = new kss.KssDiagnostics(),
+          styleGuide = this.createStyleGuide('keep-first', diagnostics);
+        styleGuide.sections(this.duplicateSection);
+        expect(styleGuide.data.sections).to.have.length(1);
+        expect(styleGuide.sections('1.1').description()).to.equal('First description');
+        expect(diagnostics.diagnostics()).to.deep.equal([]);
+      });
+    });
+
     context('given no arguments', function() {
       it('should return all referenced sections', function(done) {
         let results = [],
@@ -0,0 +1,229 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('KssWatcher object API', function() {
+  /* eslint-disable guard-for-in,no-loop-func */
+  ['watch',
+    'change',
+    'rebuild',
+    'close'
+  ].forEach(function(method) {
+    it('has ' + method + '() method', function(done) {
+      expect(new kss.KssWatcher()).to.respondTo(method);
+      done();
+    });
+  });
+  /* eslint-enable guard-for-in,no-loop-func */
+
+  describe('KssWatcher constructor', function() {
+    it('should initialize the data', function(done) {
+      let obj = new kss.KssWatcher();
+      expect(obj).to.have.property('meta');
+      expect(obj.meta).to.have.property('delay');
+      expect(obj.meta).to.have.property('changedFiles');
+      expect(obj).to.have.property('options');
+      expect(obj.options.cache).to.be.instanceOf(kss.KssCache);
+      done();
+    });
+  });
+
+  [
+    {language: 'Handlebars', extension: 'hbs'},
+    {language: 'Twig', extension: 'twig'}
+  ].forEach(function(builder) {
+    let language = builder.language,
+      extension = builder.extension;
+
+    describe('watch mode using the ' + language + ' builder', function() {
+      before(function() {
+        this.log = '';
+        this.source = path.resolve(__dirname, 'output', 'watch-' + extension, 'source');
+        this.destination = path.resolve(__dirname, 'output', 'watch-' + extension, 'style-guide');
+
+        // Writes a marker into each page so we can tell which pages get rebuilt.
+        this.markPages = () => {
+          return Promise.all(['index', 'section-1', 'section-2'].map(fileName => {
+            return fs.writeFileAsync(path.join(this.destination, fileName + '.html'), 'not rebuilt');
+          }));
+        };
+        this.readPages = () => {
+          let pages = {};
+          return Promise.all(['index', 'section-1', 'section-2'].map(fileName => {
+            return fs.readFileAsync(path.join(this.destination, fileName + '.html'), 'utf8').then(data => {
+              pages[fileName] = data;
+            });
+          })).then(() => {
+            return pages;
+          });
+        };
+        // Replace fs.watch so the tests decide when a change is reported,
+        // instead of depending on the timing of the file system's events.
+        this.fsWatch = fs.watch;
+        this.listeners = {};
+        fs.watch = (directory, listener) => {
+          this.listeners[directory] = listener;
+          return {close: () => {}};
+        };
+        // Changes a source file and waits for the style guide to be rebuilt.
+        this.changeFile = (fileName, contents) => {
+          return fs.writeFileAsync(path.join(this.source, fileName), contents).then(() => {
+            return new Promise(resolve => {
+              this.watcher.once('build', (styleGuide, changedFiles) => {
+                resolve(changedFiles);
+              });
+              this.listeners[this.source]('change', fileName);
+            });
+          });
+        };
+
+        return fs.removeAsync(path.dirname(this.source)).then(() => {
+          return fs.copyAsync(helperUtils.fixtures('source-' + language.toLowerCase() + '-builder-test'), this.source);
+        }).then(() => {
+          return kss({
+            logFunction: message => {
+              this.log += message + '\n';
+            },
+            logErrorFunction: error => {
+              this.log += error + '\n';
+            },
+            source: this.source,
+            destination: this.destination,
+            builder: 'builder/' + language.toLowerCase(),
+            watch: true
+          });
+        }).then(watcher => {
+          this.watcher = watcher;
+          this.watcher.meta.delay = 0;
+        });
+      });
+
+      after(function() {
+        fs.watch = this.fsWatch;
+        return this.watcher.close();
+      });
+
+      it('should resolve to a KssWatcher object', function() {
+        expect(this.watcher).to.be.instanceOf(kss.KssWatcher);
+        expect(this.log).to.include('Watching for changes...');
+      });
+
+      it('should only rebuild the pages using a changed template', function() {
+        return this.markPages().then(() => {
+          return this.changeFile('1c.' + extension, '<div class="{{ modifier_class }}">Watched template</div>');
+        }).then(changedFiles => {
+          expect(changedFiles).to.deep.equal([path.join(this.source, '1c.' + extension)]);
+          return this.readPages();
+        }).then(pages => {
+          expect(pages['section-1']).to.include('Watched template');
+          expect(pages['section-2']).to.equal('not rebuilt');
+          expect(pages['index']).to.equal('not rebuilt');
+          expect(this.log).to.include('Style guide rebuilt successfully!');
+        });
+      });
+
+      it('should reload a changed context file', function() {
+        return this.markPages().then(() => {
+          return this.changeFile('1c.json', '{"modifier_class": "watched-json"}');
+        }).then(() => {
+          return this.readPages();
+        }).then(pages => {
+          expect(pages['section-1']).to.include('watched-json');
+          expect(pages['section-2']).to.equal('not rebuilt');
+        });
+      });
+
+      it('should re-parse a changed stylesheet and rebuild all pages', function() {
+        return this.markPages().then(() => {
+          return fs.readFileAsync(path.join(this.source, 'kss-source.scss'), 'utf8');
+        }).then(contents => {
+          return this.changeFile('kss-source.scss', contents.replace('Heading 2.E', 'Watched heading'));
+        }).then(() => {
+          return this.readPages();
+        }).then(pages => {
+          expect(pages['section-2']).to.include('Watched heading');
+          expect(pages['section-1']).to.not.equal('not rebuilt');
+          expect(pages['index']).to.not.equal('not rebuilt');
+        });
+      });
+
+      it('should log the problems found by a rebuild', function() {
+        return this.changeFile('duplicate.scss', '// Duplicate\n//\n// Style guide: 2.E\n').then(() => {
+          expect(this.log).to.include('WARNING: Section 2.E is declared more than once');
+        });
+      });
+
+      it('should ignore files in the destination', function() {
+        this.watcher.change(path.join(this.destination, 'index.html'));
+        expect(this.watcher.meta.changedFiles).to.deep.equal([]);
+      });
+
+      it('should watch the directories added to the source', function() {
+        let directory = path.join(this.source, 'added');
+        return this.markPages().then(() => {
+          return fs.mkdirsAsync(directory);
+        }).then(() => {
+          return this.changeFile('1c.' + extension, '<div>Changed on disk</div>');
+        }).then(() => {
+          // Wait for the new directories to be watched after the rebuild.
+          return this.watcher.meta.building;
+        }).then(() => {
+          expect(this.listeners).to.have.property(directory);
+          return this.readPages();
+        }).then(pages => {
+          expect(pages['section-1']).to.include('Changed on disk');
+        });
+      });
+    });
+  });
+
+  describe('watch mode given a string mask', function() {
+    before(function() {
+      this.source = path.resolve(__dirname, 'output', 'watch-mask', 'source');
+      this.destination = path.resolve(__dirname, 'output', 'watch-mask', 'style-guide');
+
+      // Replace fs.watch so the test decides when a change is reported.
+      this.fsWatch = fs.watch;
+      this.listeners = {};
+      fs.watch = (directory, listener) => {
+        this.listeners[directory] = listener;
+        return {close: () => {}};
+      };
+
+      return fs.removeAsync(path.dirname(this.source)).then(() => {
+        return fs.copyAsync(helperUtils.fixtures('source-handlebars-builder-test'), this.source);
+      }).then(() => {
+        return kss({
+          logFunction: () => {},
+          logErrorFunction: () => {},
+          source: this.source,
+          destination: this.destination,
+          builder: 'builder/handlebars',
+          mask: '*.scss|*.txt',
+          watch: true
+        });
+      }).then(watcher => {
+        this.watcher = watcher;
+        this.watcher.meta.delay = 0;
+      });
+    });
+
+    after(function() {
+      fs.watch = this.fsWatch;
+      return this.watcher.close();
+    });
+
+    it('should parse a new file matching the mask', function() {
+      return fs.writeFileAsync(path.join(this.source, 'added.txt'), '// Added component\n//\n// Style guide: 2.Z\n').then(() => {
+        return new Promise(resolve => {
+          this.watcher.once('build', styleGuide => {
+            resolve(styleGuide);
+          });
+          this.listeners[this.source]('change', 'added.txt');
+        });
+      }).then(styleGuide => {
+        expect(styleGuide.sections('2.Z').header()).to.equal('Added component');
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/* eslint-disable max-nested-callbacks */
+
+'use strict';
+
+describe('kss.markdown()', function() {
+  it('should render Markdown with marked by default', function(done) {
+    let render = kss.markdown();
+    expect(render('First\n\nSecond')).to.equal('<p>First</p>\n<p>Second</p>\n');
+    expect(render('*Inline*', {inline: true})).to.equal('<em>Inline</em>');
+    expect(kss.markdown(true)('*Text*')).to.equal('<p><em>Text</em></p>\n');
+    done();
+  });
+
+  it('should return false given false', function(done) {
+    expect(kss.markdown(false)).to.be.false;
+    done();
+  });
+
+  it('should use the given marked options', function(done) {
+    let render = kss.markdown({
+      headerPrefix: 'kss-',
+      renderer: {
+        code: function(code, language) {
+          return '<pre class="' + language + '">' + code + '</pre>';
+        }
+      }
+    });
+    expect(render('# Title')).to.equal('<h1 id="kss-title">Title</h1>\n');
+    expect(render('```js\nvar a;\n```')).to.equal('<pre class="js">var a;</pre>');
+    expect(render('*Inline*', {inline: true})).to.equal('<em>Inline</em>');
+    done();
+  });
+
+  it('should use the given render function', function(done) {
+    let render = kss.markdown((text, options) => {
+      return '<p>' + text + (options.inline ? ' inline' : '') + '</p>';
+    });
+    expect(render('Text')).to.equal('<p>Text</p>');
+    expect(render('Text', {inline: true})).to.equal('Text inline');
+    done();
+  });
+
+  it('should use an object with a render() method', function(done) {
+    let render = kss.markdown({
+      render: text => '<p>' + text + '</p>\n'
+    });
+    expect(render('Text')).to.equal('<p>Text</p>\n');
+    expect(render('Text', {inline: true})).to.equal('Text');
+    done();
+  });
+
+  it('should load the renderer from a module', function(done) {
+    let render = kss.markdown(helperUtils.fixtures('markdown', 'renderer.js'));
+    expect(render('Text')).to.equal('<div class="renderer">Text</div>');
+    expect(render('Text', {inline: true})).to.equal('<span>Text</span>');
+    expect(kss.markdown('marked')('*Text*')).to.equal('<p><em>Text</em></p>\n');
+    done();
+  });
+});
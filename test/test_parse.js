@@ -310,6 +310,55 @@ describe('kss.parse()', function() {
         });
       });
 
+      describe('.status', function() {
+        before(function() {
+          this.diagnostics = new kss.KssDiagnostics();
+          return helperUtils.traverseFixtures({mask: 'property-status.less', diagnostics: this.diagnostics}).then(styleGuide => {
+            this.styleGuide = styleGuide;
+          });
+        });
+
+        it('should find the status and its details', function(done) {
+          let section = this.styleGuide.sections('status.deprecated');
+          expect(section.status()).to.deep.equal({
+            name: 'deprecated',
+            since: '3.0',
+            replacement: 'status.stable',
+            reason: 'Use the <em>new</em> button, which supports icons.'
+          });
+          expect(section.deprecated()).to.be.true;
+          expect(section.description()).to.equal('<p>An old button.</p>\n');
+          done();
+        });
+
+        it('should find a status without details', function(done) {
+          expect(this.styleGuide.sections('status.draft').status()).to.deep.equal({name: 'draft', since: '', replacement: '', reason: ''});
+          done();
+        });
+
+        it('should default to the stable status', function(done) {
+          expect(this.styleGuide.sections('status.stable').status().name).to.equal('stable');
+          expect(this.styleGuide.sections('status.prefix').status().name).to.equal('experimental');
+          done();
+        });
+
+        it('should report an unknown status', function(done) {
+          let warning = this.diagnostics.warnings().find(warning => warning.rule === 'invalid-status');
+          expect(warning.message).to.equal('The status "obsolete" of section status.unknown is unknown; use one of: draft, experimental, stable, deprecated, removed.');
+          expect(warning.line).to.equal(31);
+          expect(this.styleGuide.sections('status.unknown').status().name).to.equal('stable');
+          done();
+        });
+
+        it('should report a replacement that is not documented', function(done) {
+          let warning = this.diagnostics.warnings().find(warning => warning.rule === 'invalid-replacement');
+          expect(warning.message).to.equal('The replacement of section status.removed must be the reference of a documented section; found "status.missing".');
+          expect(warning.line).to.equal(39);
+          expect(this.diagnostics.warnings().filter(warning => warning.rule === 'invalid-replacement')).to.have.length(1);
+          done();
+        });
+      });
+
       describe('.reference', function() {
         it('should find reference "X.0" without trailing zero', function() {
           return helperUtils.traverseFixtures({mask: 'sections-queries.less', header: true}).then(styleGuide => {
@@ -325,10 +374,361 @@ describe('kss.parse()', function() {
           done();
         });
       });
+
+      describe('.metadata', function() {
+        before(function() {
+          this.diagnostics = new kss.KssDiagnostics();
+          return helperUtils.traverseFixtures({mask: 'property-front-matter.less', markdown: false, diagnostics: this.diagnostics}).then(styleGuide => {
+            this.styleGuide = styleGuide;
+          });
+        });
+
+        it('should parse the YAML front matter', function(done) {
+          let section = this.styleGuide.sections('front-matter.valid');
+          expect(section.metadata()).to.deep.equal({
+            tags: ['button', 'form'],
+            status: 'stable',
+            owners: ['Design systems'],
+            links: {figma: 'https://example.com/file/abc123'},
+            since: '2016-03-14'
+          });
+          expect(section.header()).to.equal('Front matter');
+          expect(section.description()).to.equal('The metadata is given in YAML.');
+          done();
+        });
+
+        it('should parse the YAML front matter of a docblock', function(done) {
+          let section = this.styleGuide.sections('front-matter.docblock');
+          expect(section.metadata('context')).to.deep.equal({label: 'Click me', disabled: false});
+          expect(section.header()).to.equal('Front matter in a docblock');
+          done();
+        });
+
+        it('should report invalid YAML', function(done) {
+          let found = this.diagnostics.errors();
+          expect(found).to.have.length(2);
+          expect(found[0].rule).to.equal('invalid-front-matter');
+          expect(found[0].message).to.include('The YAML front matter of section front-matter.invalid is not valid: ');
+          expect(found[0].line).to.equal(29);
+          expect(found[1].message).to.equal('The YAML front matter of section front-matter.list must be a mapping of keys to values.');
+          expect(this.styleGuide.sections('front-matter.invalid').metadata()).to.deep.equal({});
+          expect(this.styleGuide.sections('front-matter.invalid').header()).to.equal('Invalid front matter');
+          done();
+        });
+
+        it('should only find front matter at the start of the comment', function(done) {
+          let section = this.styleGuide.sections('front-matter.none');
+          expect(section.metadata()).to.deep.equal({});
+          expect(section.description()).to.equal('---');
+          done();
+        });
+      });
+
+      describe('.colors', function() {
+        before(function() {
+          return helperUtils.traverseFixtures({mask: 'property-colors.less'}).then(styleGuide => {
+            this.styleGuide = styleGuide;
+          });
+        });
+
+        it('should find the colors', function(done) {
+          let colors = this.styleGuide.sections('colors.brand').colors();
+          expect(colors.map(color => color.name())).to.deep.equal(['$brand-blue', '@brand-red', '--brand-green', '$link-color', '$brand-shadow', '$brand-dark']);
+          expect(colors.map(color => color.value())).to.deep.equal(['#0066cc', 'rgb(204, 0, 0)', 'hsl(120, 100%, 25%)', '$brand-blue', 'rgba(0, 0, 0, 0.5)', 'darken($brand-blue, 20%)']);
+          done();
+        });
+
+        it('should find the descriptions, including multi-line ones', function(done) {
+          let section = this.styleGuide.sections('colors.brand');
+          expect(section.colors('$brand-blue').description()).to.equal('The primary color of the brand.');
+          expect(section.colors('@brand-red').description()).to.equal('Used for errors and destructive actions.');
+          expect(section.colors('--brand-green').description()).to.equal('');
+          done();
+        });
+
+        it('should not add the colors to the description', function(done) {
+          expect(this.styleGuide.sections('colors.brand').description()).to.equal('<p>The colors of the brand.</p>\n');
+          expect(this.styleGuide.sections('colors.none').colors()).to.deep.equal([]);
+          done();
+        });
+
+        it('should report lines that are not colors', function(done) {
+          let diagnostics = new kss.KssDiagnostics();
+          let styleGuide = kss.parse('// Colors\n//\n// Colors:\n// Not a color\n// $red: #f00\n//\n// Style guide: 1', {diagnostics: diagnostics});
+          expect(diagnostics.warnings()).to.have.length(1);
+          expect(diagnostics.warnings()[0].rule).to.equal('invalid-color');
+          expect(diagnostics.warnings()[0].line).to.equal(4);
+          expect(styleGuide.sections('1').colors().map(color => color.name())).to.deep.equal(['$red']);
+          done();
+        });
+
+        it('should not replace a custom "Colors:" property', function(done) {
+          let section = kss.parse('// Palette\n//\n// Colors:\n// $red: #f00\n//\n// Style guide: 1', {custom: ['Colors']}).sections('1');
+          expect(section.custom('colors')).to.equal('$red: #f00');
+          expect(section.colors()).to.deep.equal([]);
+          expect(section.toJSON().colors).to.equal('$red: #f00');
+          done();
+        });
+      });
+
+      describe('.modifierGroups', function() {
+        before(function() {
+          return helperUtils.traverseFixtures({mask: 'property-modifier-groups.less'}).then(styleGuide => {
+            this.styleGuide = styleGuide;
+          });
+        });
+
+        it('should find the modifier groups', function(done) {
+          expect(this.styleGuide.sections('buttons.groups').modifierGroups()).to.deep.equal([
+            {name: 'size', modifiers: ['.button--small', '.button--large']},
+            {name: 'variant', modifiers: ['.button--primary', '.button--danger']},
+            {name: '', modifiers: [':hover', ':disabled']}
+          ]);
+          expect(this.styleGuide.sections('buttons.none').modifierGroups()).to.deep.equal([]);
+          done();
+        });
+
+        it('should not add the modifier groups to the description or modifiers', function(done) {
+          let section = this.styleGuide.sections('buttons.groups');
+          expect(section.description()).to.equal('<p>A button with sizes, variants and states.</p>\n');
+          expect(section.modifiers()).to.have.length(6);
+          expect(section.combinationCount()).to.equal(20);
+          done();
+        });
+
+        it('should report modifiers that are not documented', function(done) {
+          let diagnostics = new kss.KssDiagnostics();
+          let styleGuide = kss.parse('// Buttons\n//\n// Markup: <button></button>\n//\n// Modifier groups:\n// size: .small, .huge\n//\n// .small - Small.\n//\n// Style guide: 1', {diagnostics: diagnostics});
+          expect(diagnostics.warnings()).to.have.length(1);
+          expect(diagnostics.warnings()[0].rule).to.equal('invalid-modifier-group');
+          expect(diagnostics.warnings()[0].line).to.equal(6);
+          expect(styleGuide.sections('1').modifierGroups()).to.deep.equal([{name: 'size', modifiers: ['.small']}]);
+          done();
+        });
+      });
+
+      describe('.parameters', function() {
+        before(function() {
+          this.diagnostics = new kss.KssDiagnostics();
+          return helperUtils.traverseFixtures({mask: 'property-parameters-signature.scss', markdown: false, diagnostics: this.diagnostics}).then(styleGuide => {
+            this.styleGuide = styleGuide;
+            this.mismatches = this.diagnostics.warnings().filter(diagnostic => diagnostic.rule === 'parameter-mismatch');
+          });
+        });
+
+        it('should find the types and optional markers', function(done) {
+          let parameters = this.styleGuide.sections('signature.button').parameters().map(parameter => parameter.toJSON());
+          expect(parameters).to.deep.equal([
+            {name: '$color', type: 'color', defaultValue: '', optional: false, description: 'The text color.'},
+            {name: '$size', type: 'length', defaultValue: '1rem', optional: true, description: 'The font size.'},
+            {name: '$padding', type: '', defaultValue: '1em', optional: true, description: 'The padding.'}
+          ]);
+          done();
+        });
+
+        it('should fill in default values from the signature', function(done) {
+          expect(this.styleGuide.sections('signature.button').parameters('$size').defaultValue()).to.equal('1rem');
+          done();
+        });
+
+        it('should use the signature if no parameters are documented', function(done) {
+          let parameters = this.styleGuide.sections('signature.undocumented').parameters();
+          expect(parameters.map(parameter => parameter.name())).to.deep.equal(['$px', '$base']);
+          expect(parameters.map(parameter => parameter.defaultValue())).to.deep.equal(['', '16px']);
+          expect(parameters.map(parameter => parameter.optional())).to.deep.equal([false, true]);
+          done();
+        });
+
+        it('should report parameters that are not in the signature', function(done) {
+          expect(this.mismatches[1].message).to.equal('Section signature.mismatch documents the parameter "$color", but the mixin "mismatch" has no such parameter.');
+          expect(this.mismatches[1].line).to.equal(24);
+          done();
+        });
+
+        it('should report and correct default values that do not match the signature', function(done) {
+          let section = this.styleGuide.sections('signature.mismatch');
+          expect(this.mismatches[2].message).to.equal('The parameter "$border" of section signature.mismatch defaults to "1px solid", but the mixin "mismatch" uses "2px solid rgba(0, 0, 0, .5)".');
+          expect(this.mismatches[3].message).to.equal('The parameter "$weight" of section signature.mismatch defaults to "bold", but the mixin "mismatch" has no default value.');
+          expect(section.parameters('$border').defaultValue()).to.equal('2px solid rgba(0, 0, 0, .5)');
+          expect(section.parameters('$weight').optional()).to.be.false;
+          done();
+        });
+
+        it('should report and add undocumented parameters of the signature', function(done) {
+          expect(this.mismatches[0].message).to.equal('The parameter "$extra..." of the mixin "mismatch" is not documented in section signature.mismatch.');
+          expect(this.mismatches).to.have.length(4);
+          expect(this.styleGuide.sections('signature.mismatch').parameters('$extra...')).to.be.an.instanceof(kss.KssParameter);
+          done();
+        });
+
+        it('should read Less mixin signatures', function(done) {
+          let styleGuide = kss.parse('// Shadow\n//\n// @shadow - The shadow.\n//\n// Style guide: 1\n.shadow(@shadow: 0 1px rgba(0,0,0,.2), inset 0 0 1px #fff; @radius: 4px; dark) {\n}', {markdown: false});
+          expect(styleGuide.sections('1').parameters().map(parameter => [parameter.name(), parameter.defaultValue()])).to.deep.equal([
+            ['@shadow', '0 1px rgba(0,0,0,.2), inset 0 0 1px #fff'],
+            ['@radius', '4px']
+          ]);
+          done();
+        });
+
+        it('should read indented Sass mixin signatures', function(done) {
+          let styleGuide = kss.parse([{path: 'file.sass', contents: '// Mixin\n//\n// Style guide: 1\n=large-text($size: 2em)\n  font-size: $size'}], {markdown: false});
+          expect(styleGuide.sections('1').parameters('$size').defaultValue()).to.equal('2em');
+          done();
+        });
+
+        it('should not read the signature of a section with markup', function(done) {
+          let styleGuide = kss.parse('// Button\n//\n// Markup: <button></button>\n//\n// Style guide: 1\n@mixin button($color) {\n}', {markdown: false});
+          expect(styleGuide.sections('1').parameters()).to.deep.equal([]);
+          done();
+        });
+      });
+
+      describe('labelled .modifiers and .parameters', function() {
+        before(function() {
+          return helperUtils.traverseFixtures({mask: 'property-labelled-lists.less', markdown: false}).then(styleGuide => {
+            this.styleGuide = styleGuide;
+          });
+        });
+
+        it('should find both labelled lists in a section', function(done) {
+          let section = this.styleGuide.sections('labelled.both');
+          expect(section.modifiers().map(modifier => [modifier.name(), modifier.description()])).to.deep.equal([
+            ['.card--large', 'A large card.'],
+            ['.card--flat', 'A flat card.']
+          ]);
+          expect(section.parameters().map(parameter => parameter.toJSON())).to.deep.equal([
+            {name: 'title', type: 'string', defaultValue: '', optional: false, description: 'The title.'},
+            {name: 'image', type: '', defaultValue: '', optional: true, description: 'The image.'}
+          ]);
+          expect(section.description()).to.equal('A card with both modifiers and template variables.');
+          done();
+        });
+
+        it('should find a labelled list of parameters and an unlabelled list of modifiers', function(done) {
+          let section = this.styleGuide.sections('labelled.parameters');
+          expect(section.modifiers().map(modifier => modifier.name())).to.deep.equal(['.banner--dark']);
+          expect(section.parameters().map(parameter => [parameter.name(), parameter.defaultValue()])).to.deep.equal([['text', 'Welcome']]);
+          done();
+        });
+
+        it('should find a labelled list of modifiers and an unlabelled list of parameters', function(done) {
+          let section = this.styleGuide.sections('labelled.modifiers');
+          expect(section.modifiers().map(modifier => modifier.name())).to.deep.equal(['.spacing--tight']);
+          expect(section.parameters().map(parameter => parameter.name())).to.deep.equal(['$size']);
+          done();
+        });
+
+        it('should report labelled modifiers without a description', function(done) {
+          let diagnostics = new kss.KssDiagnostics();
+          kss.parse('// Button\n//\n// Markup: <button></button>\n//\n// Modifiers:\n// .small - Small.\n// .large\n//\n// Style guide: 1', {diagnostics: diagnostics});
+          expect(diagnostics.warnings()).to.have.length(1);
+          expect(diagnostics.warnings()[0].rule).to.equal('modifier-without-description');
+          expect(diagnostics.warnings()[0].line).to.equal(7);
+          done();
+        });
+
+        it('should not replace custom properties of the same name', function(done) {
+          let section = kss.parse('// Button\n//\n// Markup: <button></button>\n//\n// Modifiers: none yet\n//\n// Variables: see the theme\n//\n// .small - Small.\n//\n// Style guide: 1', {custom: ['Modifiers', 'Variables']}).sections('1');
+          expect(section.custom('modifiers')).to.equal('none yet');
+          expect(section.custom('variables')).to.equal('see the theme');
+          expect(section.modifiers().map(modifier => modifier.name())).to.deep.equal(['.small']);
+          expect(section.toJSON().modifiers.map(modifier => modifier.name)).to.deep.equal(['.small']);
+          expect(section.parameters()).to.deep.equal([]);
+          done();
+        });
+      });
     });
   });
 
   context('given options', function() {
+    describe('.sourceCode', function() {
+      before(function() {
+        return helperUtils.traverseFixtures({mask: 'options-source-code.scss', markdown: false, sourceCode: true}).then(styleGuide => {
+          this.styleGuide = styleGuide;
+        });
+      });
+
+      it('should capture the source code up to the next KSS comment', function(done) {
+        let code = this.styleGuide.sections('source.button').source().code;
+        expect(code).to.match(/^:root \{\n/);
+        expect(code).to.include('// This comment is not a KSS comment.');
+        expect(code).to.match(/@mixin button-hidden \{\n {2}\.hidden \{\n {4}display: none;\n {2}\}\n\}$/);
+        expect(this.styleGuide.sections('source.link').source().code).to.equal('.link { color: red; }');
+        expect(this.styleGuide.sections('source.none').source().code).to.equal('');
+        done();
+      });
+
+      it('should find the selectors', function(done) {
+        expect(this.styleGuide.sections('source.button').source().selectors).to.deep.equal([
+          ':root',
+          '.button',
+          '.btn',
+          '.button:hover',
+          '.btn:hover',
+          '.button .button__icon',
+          '.btn .button__icon',
+          '.button .button__icon.is-wide',
+          '.btn .button__icon.is-wide',
+          '.button--primary'
+        ]);
+        done();
+      });
+
+      it('should find the custom properties declared and used', function(done) {
+        expect(this.styleGuide.sections('source.button').source().customProperties).to.deep.equal({
+          declared: ['--button-color'],
+          used: ['--button-color']
+        });
+        done();
+      });
+
+      it('should find the Sass variables referenced', function(done) {
+        expect(this.styleGuide.sections('source.button').source().variables).to.deep.equal(['$brand-color', '$fallback-color', '$padding', '$breakpoint']);
+        done();
+      });
+
+      it('should not capture the source code by default', function() {
+        return helperUtils.traverseFixtures({mask: 'options-source-code.scss'}).then(styleGuide => {
+          expect(styleGuide.sections('source.button').source()).to.be.false;
+        });
+      });
+    });
+
+    describe('.autoModifiers', function() {
+      before(function() {
+        return helperUtils.traverseFixtures({mask: 'options-auto-modifiers.scss', markdown: false, autoModifiers: true}).then(styleGuide => {
+          this.styleGuide = styleGuide;
+        });
+      });
+
+      it('should find the BEM modifiers and the pseudo-classes of the rules following the comment', function(done) {
+        expect(this.styleGuide.sections('auto.button').modifiers().map(modifier => modifier.toJSON())).to.deep.equal([
+          {name: ':hover', description: '', className: 'pseudo-class-hover', attributes: ''},
+          {name: ':focus', description: '', className: 'pseudo-class-focus', attributes: ''},
+          {name: '.button--primary', description: '', className: 'button--primary', attributes: ''},
+          {name: '.button--large', description: '', className: 'button--large', attributes: ''}
+        ]);
+        done();
+      });
+
+      it('should not replace a list of modifiers', function(done) {
+        expect(this.styleGuide.sections('auto.link').modifiers().map(modifier => modifier.name())).to.deep.equal(['.link--external']);
+        done();
+      });
+
+      it('should not find modifiers for sections without markup', function(done) {
+        expect(this.styleGuide.sections('auto.mixin').modifiers()).to.deep.equal([]);
+        expect(this.styleGuide.sections('auto.mixin').parameters()).to.deep.equal([]);
+        done();
+      });
+
+      it('should not find modifiers by default', function() {
+        return helperUtils.traverseFixtures({mask: 'options-auto-modifiers.scss'}).then(styleGuide => {
+          expect(styleGuide.sections('auto.button').modifiers()).to.deep.equal([]);
+        });
+      });
+    });
+
     describe('.custom', function() {
       before(function() {
         return helperUtils.traverseFixtures({
@@ -367,6 +767,90 @@ describe('kss.parse()', function() {
       });
     });
 
+    describe('.custom with types', function() {
+      before(function() {
+        this.diagnostics = new kss.KssDiagnostics();
+        this.file = helperUtils.fixtures('options-custom-types.less');
+        return helperUtils.traverseFixtures({
+          mask: 'options-custom-types.less',
+          markdown: false,
+          diagnostics: this.diagnostics,
+          custom: ['Owner:list', 'Since:date', 'Columns:number', 'Responsive:boolean', 'Figma:json', 'Notes:markdown', {name: 'Replaces', type: 'reference'}]
+        }).then(styleGuide => {
+          this.styleGuide = styleGuide;
+          this.section = styleGuide.sections('types.valid');
+        });
+      });
+
+      it('should convert a list value', function(done) {
+        expect(this.section.custom('owner')).to.deep.equal(['Design systems', 'Front end']);
+        done();
+      });
+
+      it('should convert a date value', function(done) {
+        expect(this.section.custom('since')).to.be.an.instanceOf(Date);
+        expect(this.section.custom('since').toISOString()).to.equal('2016-03-14T00:00:00.000Z');
+        done();
+      });
+
+      it('should convert a number value', function(done) {
+        expect(this.section.custom('columns')).to.equal(12);
+        done();
+      });
+
+      it('should convert a boolean value', function(done) {
+        expect(this.section.custom('responsive')).to.be.true;
+        done();
+      });
+
+      it('should convert a JSON value', function(done) {
+        expect(this.section.custom('figma')).to.deep.equal({file: 'abc123', node: '1:2'});
+        done();
+      });
+
+      it('should convert a Markdown value', function(done) {
+        expect(this.section.custom('notes')).to.equal(marked('Use *sparingly*.'));
+        done();
+      });
+
+      it('should keep a reference to a documented section', function(done) {
+        expect(this.section.custom('replaces')).to.equal('types.invalid');
+        done();
+      });
+
+      it('should report and remove invalid values', function(done) {
+        let section = this.styleGuide.sections('types.invalid');
+        ['since', 'columns', 'responsive', 'figma'].forEach(name => {
+          expect(section.custom(name)).to.not.exist;
+        });
+        expect(this.diagnostics.errors().map(diagnostic => diagnostic.line)).to.deep.equal([21, 23, 25, 27, 29]);
+        expect(this.diagnostics.errors()[0]).to.deep.equal({
+          severity: 'error',
+          rule: 'invalid-custom-property',
+          message: 'The "Since:" property of section types.invalid must be a date; found "next week".',
+          file: this.file,
+          line: 21
+        });
+        expect(this.diagnostics.errors()[4].message).to.equal('The "Replaces:" property of section types.invalid must be the reference of a documented section; found "types.missing".');
+        done();
+      });
+
+      it('should convert the values of cached files', function() {
+        let cache = new kss.KssCache(),
+          options = {cache: cache, custom: ['Since:date']},
+          file = {path: '/tmp/file.css', contents: '// Cached\n//\n// Since: 2016-03-14\n//\n// Style guide: 1'};
+        kss.parse([file], options);
+        expect(kss.parse([file], options).sections('1').custom('since')).to.be.an.instanceOf(Date);
+      });
+
+      it('should throw an error given an unknown type', function(done) {
+        expect(() => {
+          kss.parse('', {custom: ['Owner:person']});
+        }).to.throw('The custom property "Owner" has an unknown type, "person"');
+        done();
+      });
+    });
+
     describe('.markup', function() {
       before(function() {
         return helperUtils.traverseFixtures({mask: 'property-markup.less', markdown: false}).then(styleGuide => {
@@ -396,6 +880,37 @@ describe('kss.parse()', function() {
         expect(section.modifiers()[0].name()).to.equal('.title');
         done();
       });
+
+      it('should find named examples', function(done) {
+        let section = this.styleGuide.sections('markup.named-examples');
+        expect(section.markup()).to.equal('<button class="{{modifier_class}}">Button</button>');
+        expect(section.examples()).to.deep.equal([
+          {name: 'with icon', markup: '<button class="{{modifier_class}}"><i></i> Button</button>'},
+          {name: 'linked', markup: '<a href="#" class="{{modifier_class}}">\n  Button\n</a>'}
+        ]);
+        expect(section.description()).to.equal('');
+        expect(section.modifiers().length).to.equal(1);
+        done();
+      });
+
+      it('should find modifiers of sections with only named examples', function(done) {
+        let section = this.styleGuide.sections('markup.only-named-examples');
+        expect(section.markup()).to.equal('');
+        expect(section.examples()).to.deep.equal([{name: 'small', markup: 'small.hbs'}]);
+        expect(section.modifiers()[0].name()).to.equal('.primary');
+        expect(section.parameters()).to.deep.equal([]);
+        done();
+      });
+
+      it('should report examples with the same name', function(done) {
+        let diagnostics = new kss.KssDiagnostics();
+        let styleGuide = kss.parse('// Buttons\n//\n// Markup (large): <button></button>\n//\n// Markup (large): large.hbs\n//\n// Style guide: 1', {diagnostics: diagnostics});
+        expect(diagnostics.warnings()).to.have.length(1);
+        expect(diagnostics.warnings()[0].rule).to.equal('duplicate-example');
+        expect(diagnostics.warnings()[0].line).to.equal(5);
+        expect(styleGuide.sections('1').examples()).to.deep.equal([{name: 'large', markup: '<button></button>'}]);
+        done();
+      });
     });
 
     describe('.markdown:', function() {
@@ -411,6 +926,22 @@ describe('kss.parse()', function() {
       });
     });
 
+    describe('.markdown: given a renderer', function() {
+      it('should render the descriptions with the renderer', function() {
+        return helperUtils.traverseFixtures({mask: 'property-modifiers.less', markdown: helperUtils.fixtures('markdown', 'renderer.js')}).then(styleGuide => {
+          let section = styleGuide.sections().filter(section => section.modifiers().length)[0];
+          expect(section.description()).to.match(/^<div class="renderer">[\s\S]*<\/div>$/);
+          expect(section.modifiers()[0].description()).to.match(/^<span>[\s\S]*<\/span>$/);
+        });
+      });
+
+      it('should render parameter descriptions inline with the marked options', function(done) {
+        let styleGuide = kss.parse('// Mixin\n//\n// $param - The "value".\n//\n// Style guide: 1', {markdown: {smartypants: true}});
+        expect(styleGuide.sections('1').parameters()[0].description()).to.equal('The \u201cvalue\u201d.');
+        done();
+      });
+    });
+
     describe('.header:', function() {
       it('should be enabled by default', function() {
         return helperUtils.traverseFixtures({mask: 'property-header.less', markdown: false}).then(styleGuide => {
@@ -424,5 +955,132 @@ describe('kss.parse()', function() {
         });
       });
     });
+
+    describe('.diagnostics:', function() {
+      before(function() {
+        this.diagnostics = new kss.KssDiagnostics();
+        this.file = helperUtils.fixtures('lint', 'lint.scss');
+        return helperUtils.traverseFixtures({mask: /lint\/lint\.scss/, diagnostics: this.diagnostics}).then(() => {
+          this.findDiagnostics = rule => {
+            return this.diagnostics.diagnostics().filter(diagnostic => {
+              return diagnostic.rule === rule;
+            });
+          };
+        });
+      });
+
+      it('should note modifiers without a description', function() {
+        let found = this.findDiagnostics('modifier-without-description');
+        expect(found).to.have.length(1);
+        expect(found[0]).to.deep.equal({severity: 'warning', rule: 'modifier-without-description', message: 'The modifier ".primary" of section 1.1 has no description.', file: this.file, line: 9});
+      });
+
+      it('should note sections without a header', function() {
+        let found = this.findDiagnostics('empty-header');
+        expect(found).to.have.length(1);
+        expect(found[0].message).to.equal('Section 1.2 has no header.');
+        expect(found[0].line).to.equal(17);
+      });
+
+      it('should note unknown properties', function() {
+        let found = this.findDiagnostics('unknown-property');
+        expect(found).to.have.length(1);
+        expect(found[0].message).to.equal('Section 1.3 has an unknown "Since:" property; use the "custom" option to parse it.');
+        expect(found[0].line).to.equal(21);
+      });
+
+      it('should not note paragraphs of the description that start with a label', function() {
+        expect(this.findDiagnostics('unknown-property').filter(diagnostic => diagnostic.message.indexOf('1.6') !== -1)).to.deep.equal([]);
+      });
+
+      it('should note a paragraph in the middle of the description whose property name is on a line of its own', function() {
+        let diagnostics = new kss.KssDiagnostics();
+        kss.parse('// Header\n//\n// Since:\n// 2.0\n//\n// A paragraph.\n//\n// Style guide: 1\n', {diagnostics: diagnostics});
+        expect(diagnostics.diagnostics().map(diagnostic => diagnostic.rule)).to.deep.equal(['unknown-property']);
+      });
+
+      it('should note modifiers that were added to the description', function() {
+        let found = this.findDiagnostics('malformed-modifiers');
+        expect(found).to.have.length(1);
+        expect(found[0].message).to.include('section 1.4');
+        expect(found[0].line).to.equal(27);
+      });
+
+      it('should note references that are not the last paragraph', function() {
+        let found = this.findDiagnostics('reference-not-last');
+        expect(found).to.have.length(1);
+        expect(found[0].message).to.include('"Style guide: 1.5"');
+        expect(found[0].line).to.equal(34);
+      });
+
+      it('should note sections without a parent section', function() {
+        let found = this.findDiagnostics('missing-parent');
+        expect(found).to.have.length(1);
+        expect(found[0].message).to.equal('Section 2.1 has no parent section; section 2 is not documented.');
+      });
+
+      it('should note duplicate references', function() {
+        let found = this.findDiagnostics('duplicate-reference');
+        expect(found).to.have.length(1);
+        expect(found[0].severity).to.equal('warning');
+        expect(found[0].message).to.equal('Section 1.1 is declared more than once: ' + this.file + ':5, ' + this.file + ':42.');
+      });
+
+      it('should report duplicate references as errors given the "error" policy', function() {
+        let diagnostics = new kss.KssDiagnostics();
+        return helperUtils.traverseFixtures({mask: /lint\/lint\.scss/, diagnostics: diagnostics, duplicates: 'error'}).then(styleGuide => {
+          expect(diagnostics.errors().map(diagnostic => diagnostic.rule)).to.deep.equal(['duplicate-reference']);
+          expect(styleGuide.sections().filter(section => section.reference() === '1.1')).to.have.length(1);
+        });
+      });
+
+      it('should note modifiers that are not used by the stylesheet', function() {
+        let diagnostics = new kss.KssDiagnostics(),
+          file = helperUtils.fixtures('lint-modifiers', 'style.scss');
+        return helperUtils.traverseFixtures({mask: /lint-modifiers\/style\.scss/, diagnostics: diagnostics}).then(() => {
+          expect(diagnostics.diagnostics()).to.deep.equal([
+            {severity: 'warning', rule: 'unknown-modifier', message: 'The modifier ".button--removed" of section button is not used by style.scss; ".button--removed" was not found.', file: file, line: 6},
+            {severity: 'warning', rule: 'undocumented-modifier', message: 'The class ".button--ghost" looks like a modifier of section button, but it is not documented.', file: file, line: 22}
+          ]);
+        });
+      });
+
+      it('should check the modifiers against the given stylesheets', function() {
+        let diagnostics = new kss.KssDiagnostics(),
+          stylesheet = helperUtils.fixtures('lint-modifiers', 'built.css');
+        return helperUtils.traverseFixtures({mask: /lint-modifiers\/style\.scss/, diagnostics: diagnostics, stylesheets: [stylesheet, helperUtils.fixtures('lint-modifiers', 'missing.css')]}).then(() => {
+          expect(diagnostics.diagnostics().map(diagnostic => diagnostic.rule + ': ' + diagnostic.message)).to.deep.equal([
+            'stylesheet-not-found: The stylesheet ' + helperUtils.fixtures('lint-modifiers', 'missing.css') + ' could not be read, so the modifiers were not checked against it.',
+            'unknown-modifier: The modifier ":hover" of section button is not used by built.css; ":hover" was not found.'
+          ]);
+        });
+      });
+
+      it('should not check the modifiers of sections outside of stylesheets', function() {
+        let diagnostics = new kss.KssDiagnostics();
+        kss.parse([{path: '/tmp/button.twig', contents: '{# Button\n\n.button--primary - A primary button.\n\nMarkup: button.twig\n\nStyle guide: button #}'}], {diagnostics: diagnostics});
+        expect(diagnostics.diagnostics()).to.deep.equal([]);
+      });
+
+      it('should only find the selectors of a stylesheet when checking its modifiers', function() {
+        let cache = new kss.KssCache(),
+          diagnostics = new kss.KssDiagnostics(),
+          file = {path: '/tmp/button.css', contents: '// Button\n//\n// .button--removed - A removed button.\n//\n// Markup: <button class="{{modifier_class}}"></button>\n//\n// Style guide: button\n.button {}\n'};
+        kss.parse([file], {cache: cache});
+        expect(cache.data.files[file.path].data).to.not.have.property('selectors');
+        kss.parse([file], {cache: cache, diagnostics: diagnostics});
+        expect(cache.data.files[file.path].data.selectors).to.deep.equal(['.button']);
+        expect(diagnostics.diagnostics().map(diagnostic => diagnostic.rule)).to.deep.equal(['unknown-modifier']);
+      });
+
+      it('should store the diagnostics of a file in the cache', function() {
+        let cache = new kss.KssCache(),
+          diagnostics = new kss.KssDiagnostics(),
+          file = {path: '/tmp/file.css', contents: '// Style guide: 1'};
+        kss.parse([file], {cache: cache});
+        kss.parse([file], {cache: cache, diagnostics: diagnostics});
+        expect(diagnostics.diagnostics().map(diagnostic => diagnostic.rule)).to.deep.equal(['empty-header']);
+      });
+    });
   });
 });
@@ -34,6 +34,42 @@ describe('kss.traverse()', function() {
   });
 
   context('given options', function() {
+    describe('.cache:', function() {
+      let directory = path.resolve(__dirname, 'output', 'traverse-cache');
+
+      after(function() {
+        return fs.removeAsync(directory);
+      });
+
+      it('should save the parsed files to the given cache directory', function() {
+        return kss.traverse(helperUtils.fixtures('traverse-directories'), {cache: directory}).then(() => {
+          return fs.readJsonAsync(path.join(directory, 'kss-cache.json'));
+        }).then(cache => {
+          expect(cache.files).to.have.property(helperUtils.fixtures('traverse-directories', 'file-type.css'));
+        });
+      });
+
+      it('should re-use the sections of unchanged files', function() {
+        let cache = new kss.KssCache(directory),
+          file = helperUtils.fixtures('traverse-directories', 'file-type.css');
+        return cache.load().then(() => {
+          // Alter the cached data so we can detect its use.
+          cache.data.files[file].data.sections[0].header = 'Cached header';
+          return kss.traverse(helperUtils.fixtures('traverse-directories'), {cache: cache});
+        }).then(styleGuide => {
+          expect(styleGuide.data.sections).to.have.length(12);
+          expect(styleGuide.sections().map(section => section.header())).to.include('Cached header');
+        });
+      });
+
+      it('should not alter the given options', function() {
+        let options = {cache: directory};
+        return kss.traverse(helperUtils.fixtures('traverse-directories'), options).then(() => {
+          expect(options).to.deep.equal({cache: directory});
+        });
+      });
+    });
+
     describe('.mask:', function() {
       describe('default mask', function() {
         before(function() {
@@ -176,6 +212,22 @@ describe('kss.traverse()', function() {
           done();
         });
       });
+
+      describe("'*.scss|*.hbs' (string)", function() {
+        it('should find the sections of Handlebars templates', function() {
+          return kss.traverse(helperUtils.fixtures('comment-extractors'), {mask: '*.scss|*.hbs'}).then(styleGuide => {
+            expect(styleGuide).to.containFixture('comment-extractors/component.hbs');
+            expect(styleGuide.sections('extractors.handlebars').header()).to.equal('Handlebars block comment');
+          });
+        });
+
+        it('should not find the sections of templates with the default mask', function() {
+          return kss.traverse(helperUtils.fixtures('comment-extractors')).then(styleGuide => {
+            expect(styleGuide).to.not.containFixture('comment-extractors/component.hbs');
+            expect(styleGuide.sections('extractors.handlebars')).to.be.false;
+          });
+        });
+      });
     });
   });
 });